@@ -0,0 +1,207 @@
+import express from "express";
+import { ambiguityDetails } from "./lib/entity-resolver.js";
+import { MAX_WATCHLIST_COMPANIES, getWatchlist, resolveWatchlistEntry } from "./lib/watchlists.js";
+import {
+  createRule,
+  createWebhook,
+  deleteRule,
+  deleteWebhook,
+  getWebhook,
+  listAlerts,
+  listDeliveries,
+  listRules,
+  listWebhooks,
+  logDeliveries,
+  pollAlerts,
+  startAlertPoller,
+} from "./lib/alerts.js";
+import config from "./lib/config.js";
+import { deliverWebhook } from "./lib/webhooks.js";
+import { isPublicUrl } from "./lib/public-url.js";
+
+const router = express.Router();
+
+// The poller runs for as long as the alerts feature is mounted
+startAlertPoller();
+
+// ---------------- Helpers ----------------
+
+// 🔹 ?limit= as a number between 1 and 200 (50 by default)
+function limitParam(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? Math.min(n, 200) : 50;
+}
+
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function stringList(value) {
+  return Array.isArray(value) ? value.map((v) => String(v).trim()).filter(Boolean) : [];
+}
+
+// ---------------- Alerts ----------------
+
+// Recent alerts, newest first. ?limit=50
+router.get("/alerts", async (req, res) => {
+  try {
+    res.json({ alerts: await listAlerts(limitParam(req.query.limit)) });
+  } catch (err) {
+    console.error("Error in GET /alerts:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+// Run a poll now instead of waiting for the next one
+router.post("/alerts/poll", async (req, res) => {
+  try {
+    res.json(await pollAlerts());
+  } catch (err) {
+    console.error("Error in /alerts/poll:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+// ---------------- Rules ----------------
+
+router.get("/alerts/rules", async (req, res) => {
+  try {
+    res.json({ rules: await listRules() });
+  } catch (err) {
+    console.error("Error in GET /alerts/rules:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+// Body: { name, companies: ["AAPL", "Microsoft", ...] | watchlist: "name",
+//         filings?: true, forms?: ["8-K", "10-Q"], keywords?: ["recall", "lawsuit"], priceMovePct?: 5 }
+router.post("/alerts/rules", async (req, res) => {
+  try {
+    const { name, companies = [], watchlist, filings = true, priceMovePct = null } = req.body || {};
+    const forms = stringList(req.body?.forms).map((f) => f.toUpperCase());
+    const keywords = stringList(req.body?.keywords);
+
+    if (!name || typeof name !== "string") return res.status(400).json({ error: "name is required." });
+    if (!Array.isArray(companies)) return res.status(400).json({ error: "companies must be a list." });
+    if (!companies.length && !watchlist) return res.status(400).json({ error: "companies or watchlist is required." });
+    if (companies.length > MAX_WATCHLIST_COMPANIES) {
+      return res.status(400).json({ error: `A rule watches at most ${MAX_WATCHLIST_COMPANIES} companies; use a watchlist.` });
+    }
+    if (priceMovePct !== null && !(Number(priceMovePct) > 0)) {
+      return res.status(400).json({ error: "priceMovePct must be a positive number." });
+    }
+    if (!filings && !keywords.length && priceMovePct === null) {
+      return res.status(400).json({ error: "Enable at least one trigger: filings, keywords or priceMovePct." });
+    }
+    if (watchlist && !(await getWatchlist(watchlist))) {
+      return res.status(404).json({ error: `Watchlist "${watchlist}" not found.` });
+    }
+
+    const resolved = [];
+    const unresolved = [];
+    for (const entry of companies) {
+      const result = await resolveWatchlistEntry(entry);
+      if (result.ambiguous) return res.status(409).json(ambiguityDetails(result.resolution, result.input));
+      if (result.notFound) unresolved.push(result.input);
+      else if (!resolved.some((c) => c.ticker === result.company.ticker)) resolved.push(result.company);
+    }
+    if (!watchlist && !resolved.length) return res.status(404).json({ error: "None of the companies could be found.", unresolved });
+
+    const rule = await createRule({
+      name: name.trim(),
+      companies: resolved,
+      watchlist: watchlist || null,
+      triggers: { filings: Boolean(filings), forms, keywords, priceMovePct: priceMovePct === null ? null : Number(priceMovePct) },
+    });
+    res.status(201).json({ rule, unresolved });
+  } catch (err) {
+    console.error("Error in POST /alerts/rules:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+router.delete("/alerts/rules/:id", async (req, res) => {
+  try {
+    if (!(await deleteRule(req.params.id))) return res.status(404).json({ error: "Rule not found." });
+    res.json({ deleted: req.params.id });
+  } catch (err) {
+    console.error("Error in DELETE /alerts/rules/:id:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+// ---------------- Webhooks ----------------
+
+router.get("/alerts/webhooks", async (req, res) => {
+  try {
+    res.json({ webhooks: await listWebhooks() });
+  } catch (err) {
+    console.error("Error in GET /alerts/webhooks:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+// Body: { url, secret?, rules?: [rule ids] }. The signing secret is only returned here.
+router.post("/alerts/webhooks", async (req, res) => {
+  try {
+    const { url, secret } = req.body || {};
+    const rules = stringList(req.body?.rules);
+    if (!isHttpUrl(url)) return res.status(400).json({ error: "url must be an http(s) URL." });
+    if (!(await isPublicUrl(url, { allowedHosts: config.webhookAllowedHosts }))) {
+      return res.status(400).json({ error: "url must be on a public host; private and loopback hosts need WEBHOOK_ALLOWED_HOSTS." });
+    }
+    if (secret !== undefined && (typeof secret !== "string" || secret.length < 16)) {
+      return res.status(400).json({ error: "secret must be a string of at least 16 characters." });
+    }
+    const known = (await listRules()).map((r) => r.id);
+    const unknown = rules.filter((id) => !known.includes(id));
+    if (unknown.length) return res.status(404).json({ error: `Unknown rule ids: ${unknown.join(", ")}` });
+
+    res.status(201).json({ webhook: await createWebhook({ url, secret, rules }) });
+  } catch (err) {
+    console.error("Error in POST /alerts/webhooks:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+router.delete("/alerts/webhooks/:id", async (req, res) => {
+  try {
+    if (!(await deleteWebhook(req.params.id))) return res.status(404).json({ error: "Webhook not found." });
+    res.json({ deleted: req.params.id });
+  } catch (err) {
+    console.error("Error in DELETE /alerts/webhooks/:id:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+// Send a signed test payload to check the receiver
+router.post("/alerts/webhooks/:id/test", async (req, res) => {
+  try {
+    const webhook = await getWebhook(req.params.id);
+    if (!webhook) return res.status(404).json({ error: "Webhook not found." });
+    const delivery = await deliverWebhook(webhook, { event: "test", sentAt: new Date().toISOString() }, { maxAttempts: 1 });
+    await logDeliveries([delivery]);
+    res.json({ delivery });
+  } catch (err) {
+    console.error("Error in /alerts/webhooks/:id/test:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+// ---------------- Delivery log ----------------
+
+// Webhook deliveries, newest first. ?limit=50
+router.get("/alerts/deliveries", async (req, res) => {
+  try {
+    res.json({ deliveries: await listDeliveries(limitParam(req.query.limit)) });
+  } catch (err) {
+    console.error("Error in GET /alerts/deliveries:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+export default router;
@@ -0,0 +1,103 @@
+import express from "express";
+import config from "./lib/config.js";
+import { ambiguityDetails } from "./lib/entity-resolver.js";
+import { MAX_WATCHLIST_COMPANIES, resolveWatchlistEntry, withWatchlist } from "./lib/watchlists.js";
+import { companyEarnings, earningsFactLines, earningsWindow } from "./lib/earnings.js";
+import { completeWithFacts } from "./lib/fact-check.js";
+import { ISO_DATE, parseTimeRange } from "./lib/time-range.js";
+
+const router = express.Router();
+
+const EARNINGS_BATCH_SIZE = 4; // companies fetched in parallel
+
+// ---------------- Helpers ----------------
+
+// 🔹 AI beat / miss summary over the computed surprises
+async function summarizeEarnings(entries, query) {
+  const facts = earningsFactLines(entries).join("\n");
+  const prompt = `
+You are a financial analyst AI. Summarize these earnings results and dates.
+
+For each company, lead with the latest reported quarter: whether it beat or missed on EPS and on
+revenue and by how much, then the trend over the earlier quarters, then the next expected report date
+and its estimates. Keep each company to 2-4 sentences. Use the overall verdicts as given.
+${query ? `\nThe user asked: ${query}\n` : ""}
+Data:
+${facts}
+`;
+
+  return completeWithFacts({ prompt, facts, query, max_tokens: 600 });
+}
+
+// ---------------- Earnings Endpoint ----------------
+
+// Upcoming and recent earnings with EPS / revenue estimates vs. actuals and the results 8-K.
+// Body: { ticker } | { companyName } | { tickers: ["AAPL", "Microsoft", ...] } | { watchlist },
+//       plus from? / to? (YYYY-MM-DD; the last year and the next four months by default) and query?
+router.post("/earnings", withWatchlist(async (req, res) => {
+  try {
+    if (!config.finnhubApiKey) return res.status(503).json({ error: "Earnings data needs FINNHUB_API_KEY." });
+
+    const { ticker, companyName, query } = req.body;
+    const entries = Array.isArray(req.body.tickers) ? req.body.tickers.filter(Boolean) : [];
+    if (ticker || companyName) entries.unshift({ ticker, companyName });
+    if (!entries.length) return res.status(400).json({ error: "ticker, companyName, tickers or watchlist is required." });
+    if (entries.length > MAX_WATCHLIST_COMPANIES) {
+      return res.status(400).json({ error: `Ask for at most ${MAX_WATCHLIST_COMPANIES} companies at a time.` });
+    }
+
+    const { from, to } = req.body;
+    if ((from && !ISO_DATE.test(from)) || (to && !ISO_DATE.test(to))) {
+      return res.status(400).json({ error: "from and to must be YYYY-MM-DD." });
+    }
+    // a past period the query names ("earnings in 2025") narrows the window; the default reaches into the future
+    const named = parseTimeRange(query);
+    const window = earningsWindow({ from: from || named?.from, to: to || named?.to });
+    if (window.from > window.to) return res.status(400).json({ error: "from must not be after to." });
+
+    const companies = [];
+    const unresolved = [];
+    for (const entry of entries) {
+      const result = await resolveWatchlistEntry(entry);
+      if (result.ambiguous) return res.status(409).json(ambiguityDetails(result.resolution, result.input));
+      if (result.notFound) unresolved.push(result.input);
+      else if (!companies.some((c) => c.ticker === result.company.ticker)) companies.push(result.company);
+    }
+    if (!companies.length) return res.status(404).json({ error: "None of the companies could be found.", unresolved });
+
+    const results = [];
+    for (let i = 0; i < companies.length; i += EARNINGS_BATCH_SIZE) {
+      const batch = companies.slice(i, i + EARNINGS_BATCH_SIZE);
+      results.push(
+        ...(await Promise.all(
+          batch.map((company) =>
+            companyEarnings(company, window).catch((err) => {
+              console.error(`Error fetching earnings for ${company.ticker}:`, err.message);
+              return {
+                ticker: company.ticker,
+                name: company.name,
+                cik: company.cik,
+                currency: null,
+                upcoming: [],
+                reported: [],
+                error: "Earnings data unavailable.",
+              };
+            })
+          )
+        ))
+      );
+    }
+
+    const withData = results.filter((r) => r.reported.length || r.upcoming.length);
+    const { answer, unsupportedNumbers } = withData.length
+      ? await summarizeEarnings(withData, query)
+      : { answer: "No earnings dates found in this window.", unsupportedNumbers: [] };
+
+    res.json({ from: window.from, to: window.to, companies: results, unresolved, answer, unsupportedNumbers });
+  } catch (err) {
+    console.error("Error in /earnings:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+}, { listField: "tickers" }));
+
+export default router;
@@ -1,46 +1,27 @@
 import express from "express";
-import axios from "axios";
-import dotenv from "dotenv";
-import cors from "cors";
-import { AzureOpenAI } from "openai";
-
-dotenv.config();
-
-const app = express();
-app.use(express.json());
-app.use(cors());
-
-const {
-  AZURE_OPENAI_ENDPOINT,
-  AZURE_OPENAI_API_KEY,
-  AZURE_OPENAI_DEPLOYMENT,
-  ALPHA_VANTAGE_KEY,
-} = process.env;
-
-// ---------------- Azure Client ----------------
-const aiClient = new AzureOpenAI({
-  endpoint: AZURE_OPENAI_ENDPOINT,
-  apiKey: AZURE_OPENAI_API_KEY,
-  deployment: AZURE_OPENAI_DEPLOYMENT,
-  apiVersion: "2024-02-15-preview",
-});
+import { aiClient } from "./lib/llm.js";
+import { resolveCompany, ambiguityDetails } from "./lib/entity-resolver.js";
+import { fetchCompanySnapshot } from "./lib/market-data.js";
+import { searchTicker } from "./lib/yahoo.js";
+import {
+  INTERVALS,
+  chartSeries,
+  computePerformance,
+  fetchPriceHistory,
+  performanceFactLines,
+  presetRange,
+} from "./lib/price-history.js";
+import { isoDate, resolveTimeRange } from "./lib/time-range.js";
+import { getFinancialSeries } from "./lib/sec-xbrl.js";
+import { MAX_PEERS, buildComparison, comparisonFactLines, filingMetrics } from "./lib/peers.js";
+import { computeRatios, ratioFactLines } from "./lib/ratios.js";
+import { completeWithFacts } from "./lib/fact-check.js";
+import { withWatchlist } from "./lib/watchlists.js";
+
+const router = express.Router();
 
 // ---------------- Helpers ----------------
 
-// 🔹 Fetch company overview or key ratios from Alpha Vantage
-async function fetchFinanceOverview(symbol) {
-  try {
-    if (!symbol) return null;
-    const url = `https://www.alphavantage.co/query?function=OVERVIEW&symbol=${symbol}&apikey=${ALPHA_VANTAGE_KEY}`;
-    const { data } = await axios.get(url);
-    if (!data || !data.Symbol) return null;
-    return data;
-  } catch (err) {
-    console.error("Error fetching finance data:", err.message);
-    return null;
-  }
-}
-
 // 🔹 AI prompt to classify and extract finance-related details
 async function extractFinanceIntent(query) {
   const prompt = `
@@ -48,13 +29,15 @@ You are a classification AI that determines what type of financial data a user i
 
 Decide only whether the query is about "finance" (company overview, stock, ratios, earnings, or financial metrics).
 
-Also extract companyName or ticker if mentioned.
+Also extract companyName or ticker if mentioned, and whether the question is about how the stock
+has performed or moved over time (returns, price trend, volatility, drawdown, "how has X done this year").
 
 Return JSON ONLY:
 {
   "source": "finance",
   "companyName": "string or null",
-  "ticker": "string or null"
+  "ticker": "string or null",
+  "performance": true | false
 }
 
 Be strict:
@@ -75,59 +58,35 @@ JSON:
     return JSON.parse(completion.choices[0].message.content.trim());
   } catch (err) {
     console.error("Failed parsing intent:", err.message);
-    return { source: "finance", companyName: null, ticker: null };
+    return { source: "finance", companyName: null, ticker: null, performance: false };
   }
 }
 
-// 🔹 AI summarization for finance data
-// async function summarizeFinanceData(query, financeData) {
-//   const context = financeData
-//     ? `Finance Overview:\n${JSON.stringify(financeData, null, 2)}`
-//     : "No finance data found.";
-
-//   const prompt = `
-// You are a financial analyst AI.
-// Analyze the following financial context and answer the user query clearly.
-
-// User Query: ${query}
-
-// Context:
-// ${context}
-
-// Provide a concise and clear summary including:
-// - Key financial metrics (Revenue, PE Ratio, Market Cap, etc.)
-// - Company performance insights
-// - Investment outlook or potential risks
-// `;
-
-//   const response = await aiClient.chat.completions.create({
-//     messages: [{ role: "user", content: prompt }],
-//     max_tokens: 400,
-//     temperature: 0.3,
-//   });
-
-//   return response.choices?.[0]?.message?.content || "No summary generated.";
-// }
-
-
-// 🔹 AI summarization for finance data (formatted output)
-async function summarizeFinanceData(query, financeData) {
-  const context = financeData
-    ? `Finance Overview:\n${JSON.stringify(financeData, null, 2)}`
+// 🔹 AI summarization for finance data (formatted output). Every figure comes from the ratio engine or
+//    the price statistics, and the answer is checked for numbers that don't appear in those facts.
+async function summarizeFinanceData(query, financeData, priceHistory, ratios) {
+  const company = financeData
+    ? ["name", "ticker", "exchange", "sector", "industry", "currency"]
+        .filter((k) => financeData[k])
+        .map((k) => `- ${k}: ${financeData[k]}`)
+        .join("\n")
     : "No finance data found.";
+  const facts = [...ratioFactLines(ratios), ...performanceFactLines(priceHistory)].join("\n") || "No figures available.";
 
   const prompt = `
 You are a professional financial analyst AI. 
-Based on the financial context and the user query, summarize and format the result in this **exact markdown structure**:
+Based on the company facts and the user query, summarize and format the result in this **exact markdown structure**:
 
 **Company:** <company name or N/A>  
 **Ticker:** <ticker or N/A>  
 **Sector:** <sector if available>  
-**Market Cap:** <value if available>  
-**P/E Ratio:** <value if available>  
-**Revenue:** <value if available>  
-**Net Income:** <value if available>  
-**EPS:** <value if available>  
+**Market Cap:** <marketCap from Facts, or N/A>  
+**P/E Ratio:** <P/E from Facts, or N/A>  
+**Revenue:** <revenue from Facts, or N/A>  
+**Net Income:** <netIncome from Facts, or N/A>  
+**EPS:** <eps from Facts, or N/A>  
+
+**Price Performance:** <only when the Facts include price figures: period, total return, volatility, max drawdown and the price vs its moving averages; otherwise omit this line>  
 
 **Financial Summary:**  
 - Provide 2–3 bullet points summarizing key financial performance or trends.
@@ -135,33 +94,97 @@ Based on the financial context and the user query, summarize and format the resu
 **Insights:**  
 - Provide 2–3 bullet points with investment outlook, opportunities, or risks.
 
-Make sure the response is always markdown formatted.
+Make sure the response is always markdown formatted. Questions about how the stock has performed must be
+answered from the price figures.
 
 User Query: ${query}
 
-Context:
-${context}
+Company:
+${company}
+
+Facts:
+${facts}
 `;
 
-  const response = await aiClient.chat.completions.create({
+  return completeWithFacts({ prompt, facts, query, max_tokens: 500 });
+}
+
+
+// 🔹 AI extraction of the companies a comparison question names
+async function extractPeersFromQuery(query) {
+  const prompt = `
+Extract every company the user wants compared.
+
+Return JSON ONLY:
+{ "companies": [{ "companyName": "string or null", "ticker": "string or null" }] }
+
+Query: "${query}"
+JSON:
+`;
+
+  const completion = await aiClient.chat.completions.create({
     messages: [{ role: "user", content: prompt }],
-    max_tokens: 400,
-    temperature: 0.3,
+    max_tokens: 200,
+    temperature: 0,
   });
 
-  // ✅ Handle both Azure and standard OpenAI formats
-  const content =
-    response.choices?.[0]?.message?.content ||
-    response.choices?.[0]?.messages?.[0]?.content?.[0]?.text ||
-    response.choices?.[0]?.content?.[0]?.text ||
-    "No summary generated.";
+  try {
+    return JSON.parse(completion.choices[0].message.content.trim()).companies || [];
+  } catch (err) {
+    console.error("Failed parsing peers:", err.message);
+    return [];
+  }
+}
 
-  return content.trim();
+// 🔹 "MSFT" / "Alphabet" / { ticker, companyName } -> { ticker, name, cik } or { ambiguous, resolution }
+async function resolvePeer(entry) {
+  const input = typeof entry === "string" ? { companyName: entry } : entry || {};
+  const label = input.ticker || input.companyName;
+  const looksLikeTicker = /^[A-Z][A-Z0-9.-]{0,5}$/.test(String(label || ""));
+  const resolution = await resolveCompany({
+    name: input.companyName,
+    ticker: input.ticker || (looksLikeTicker ? label : undefined),
+  });
+  if (resolution.ambiguous) return { input: label, ambiguous: true, resolution };
+  if (resolution.match) return { input: label, ticker: resolution.match.ticker, name: resolution.match.name, cik: resolution.match.cik };
+
+  // not an SEC registrant: market data only
+  const ticker = input.ticker || (await searchTicker(input.companyName));
+  return ticker ? { input: label, ticker, name: input.companyName || null, cik: null } : { input: label, notFound: true };
 }
 
+// 🔹 AI narrative for a peer comparison (formatted output)
+async function summarizeComparison(query, comparison) {
+  const facts = comparisonFactLines(comparison).join("\n");
+  const prompt = `
+You are a professional financial analyst AI.
+Compare the companies below using ONLY the comparison data, and format the result in this **exact markdown structure**:
+
+**Companies:** <ticker — name, comma separated>  
+
+**Comparison:**  
+A markdown table with one column per company and rows for the metrics most relevant to the question.
+
+**Leaders:**  
+- One bullet per relevant metric naming the leading company and its value.
+
+**Insights:**  
+- Provide 2–3 bullet points on how the companies differ (profitability, growth, valuation) and what stands out.
+
+Valuation multiples rank lowest first. Filing figures are each company's latest fiscal year, which can
+differ between companies; say so when it matters.
+
+User Query: ${query}
+
+Comparison data:
+${facts}
+`;
+
+  return completeWithFacts({ prompt, facts, query, max_tokens: 700 });
+}
 
 // ---------------- API Endpoint ----------------
-app.post("/api/ai-finance", async (req, res) => {
+router.post("/api/ai-finance", withWatchlist(async (req, res) => {
   try {
     const { query } = req.body;
     if (!query) return res.status(400).json({ error: "Query is required." });
@@ -170,46 +193,158 @@ app.post("/api/ai-finance", async (req, res) => {
     const intent = await extractFinanceIntent(query);
     let { companyName, ticker } = intent;
 
-    // 🧠 Step 2: Resolve ticker via Yahoo Finance if only name provided
-    let resolvedTicker = ticker || null;
-    if (companyName && !resolvedTicker) {
-      try {
-        const searchUrl = `https://query2.finance.yahoo.com/v1/finance/search?q=${encodeURIComponent(
-          companyName
-        )}`;
-        const resp = await axios.get(searchUrl, {
-          headers: { "User-Agent": "Mozilla/5.0" },
-        });
-        resolvedTicker = resp.data?.quotes?.[0]?.symbol || null;
-      } catch (err) {
-        console.error("Yahoo search failed:", err.message);
+    // 🧠 Step 2: Resolve ticker from SEC listings; ask instead of guessing when ambiguous
+    let resolvedTicker = req.body.ticker || ticker || null;
+    let cik = null;
+    if (companyName || resolvedTicker) {
+      const resolution = await resolveCompany({ name: companyName, ticker: resolvedTicker });
+      if (resolution.ambiguous) {
+        return res.status(409).json(ambiguityDetails(resolution, companyName || resolvedTicker));
+      }
+      if (resolution.match) {
+        resolvedTicker = resolution.match.ticker;
+        cik = resolution.match.cik;
       }
     }
 
-    // 🧠 Step 3: Fetch finance data
+    // Not an SEC registrant (e.g. a foreign listing) → Yahoo Finance search
+    if (companyName && !resolvedTicker) {
+      resolvedTicker = await searchTicker(companyName);
+    }
+
+    // 🧠 Step 3: Fetch finance data; ratios are computed from the filings' XBRL figures and market data
     let financeData = null;
     if (resolvedTicker) {
-      financeData = await fetchFinanceOverview(resolvedTicker);
+      financeData = await fetchCompanySnapshot(resolvedTicker);
+    }
+    const financials = cik ? await getFinancialSeries(cik) : null;
+    const ratios = financeData || financials ? computeRatios({ financials, snapshot: financeData }) : null;
+
+    // Performance questions ("how has NVDA performed this year") are answered from price history
+    // over the window the query names; the last year when it names none
+    let priceHistory = null;
+    if (resolvedTicker && intent.performance) {
+      const timeRange = resolveTimeRange({ query, from: req.body.from, to: req.body.to });
+      const window = timeRange.from ? timeRange : presetRange("1y");
+      const history = await fetchPriceHistory(resolvedTicker, { from: window.from, to: window.to || isoDate(new Date()) });
+      if (history) {
+        const { bars, ...rest } = history;
+        priceHistory = { ...rest, performance: computePerformance(bars, { interval: history.interval }) };
+      }
     }
 
     // 🧠 Step 4: AI summary
-    const answer = await summarizeFinanceData(query, financeData);
+    const { answer, unsupportedNumbers } = await summarizeFinanceData(query, financeData, priceHistory, ratios);
 
     res.json({
       sourceUsed: "finance",
-      companyName: companyName || financeData?.Name || null,
+      companyName: companyName || financeData?.name || null,
       ticker: resolvedTicker,
       answer,
       financeData: financeData || {},
+      ratios,
+      priceHistory,
+      unsupportedNumbers,
     });
   } catch (err) {
     console.error("Error in /api/ai-finance:", err.message);
     res.status(500).json({ error: "Internal server error." });
   }
-});
+}));
+
+// ---------------- Price History Endpoint ----------------
+// OHLCV bars plus return, volatility, drawdown and moving averages. Pass from / to (YYYY-MM-DD)
+// or range ("1m", "6m", "ytd", "1y", "5y"); the last year by default.
+router.post("/api/price-history", withWatchlist(async (req, res) => {
+  try {
+    const { ticker, companyName, from, to, range, interval = "1d", movingAverages } = req.body;
+    if (!ticker && !companyName) return res.status(400).json({ error: "ticker or companyName is required." });
+    if (!INTERVALS[interval]) {
+      return res.status(400).json({ error: `interval must be one of ${Object.keys(INTERVALS).join(", ")}.` });
+    }
+    const preset = range ? presetRange(range) : null;
+    if (range && !preset) return res.status(400).json({ error: "range must look like 1m, 6m, ytd, 1y or 5y." });
+    const windows = Array.isArray(movingAverages) ? movingAverages.map(Number).filter((n) => n > 1) : undefined;
+
+    let symbol = ticker || null;
+    if (!symbol) {
+      const resolution = await resolveCompany({ name: companyName });
+      if (resolution.ambiguous) return res.status(409).json(ambiguityDetails(resolution, companyName));
+      symbol = resolution.match?.ticker || (await searchTicker(companyName));
+    }
+    if (!symbol) return res.status(404).json({ error: `Ticker not found for "${companyName}".` });
+
+    const window = preset || presetRange("1y");
+    const history = await fetchPriceHistory(symbol, { from: from || window.from, to: to || window.to, interval });
+    if (!history) return res.status(404).json({ error: `No price data for ${symbol} in this range.` });
+
+    const { bars, ...rest } = history;
+    res.json({
+      ...rest,
+      performance: computePerformance(bars, { interval, movingAverages: windows }),
+      chart: chartSeries(bars, { movingAverages: windows }),
+    });
+  } catch (err) {
+    console.error("Error in /api/price-history:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+}));
+
+// ---------------- Peer Comparison Endpoint ----------------
+// Pass companies (tickers, names or { ticker, companyName }), or a query to extract them from.
+router.post("/api/peer-comparison", withWatchlist(async (req, res) => {
+  try {
+    const { query } = req.body;
+    let companies = Array.isArray(req.body.companies) ? req.body.companies.filter(Boolean) : [];
+    if (!companies.length && !query) return res.status(400).json({ error: "companies or query is required." });
+    if (!companies.length) companies = await extractPeersFromQuery(query);
+    if (companies.length < 2) return res.status(400).json({ error: "Name at least two companies to compare." });
+    if (companies.length > MAX_PEERS) return res.status(400).json({ error: `Compare at most ${MAX_PEERS} companies.` });
+
+    const resolved = await Promise.all(companies.map(resolvePeer));
+    const ambiguous = resolved.find((r) => r.ambiguous);
+    if (ambiguous) return res.status(409).json(ambiguityDetails(ambiguous.resolution, ambiguous.input));
+    const unresolved = resolved.filter((r) => r.notFound).map((r) => r.input);
+
+    // one entry per company, even if it was named twice (ticker and name)
+    const peers = [...new Map(resolved.filter((r) => r.ticker).map((r) => [r.ticker, r])).values()];
+    if (peers.length < 2) {
+      return res.status(404).json({ error: "Fewer than two of the companies could be found.", unresolved });
+    }
+
+    const withData = await Promise.all(
+      peers.map(async (peer) => {
+        const [snapshot, xbrl] = await Promise.all([
+          fetchCompanySnapshot(peer.ticker),
+          peer.cik ? getFinancialSeries(peer.cik) : null,
+        ]);
+        return { ...peer, snapshot, filings: filingMetrics(xbrl) };
+      })
+    );
+
+    const comparison = buildComparison(withData);
+    const { answer, unsupportedNumbers } = await summarizeComparison(
+      query || `Compare ${peers.map((p) => p.ticker).join(", ")}`,
+      comparison
+    );
+
+    res.json({
+      companies: withData.map(({ ticker, name, cik, snapshot }) => ({
+        ticker,
+        name,
+        cik,
+        snapshotSources: snapshot?.sources || {},
+        snapshotAsOf: snapshot?.asOf || null,
+      })),
+      unresolved,
+      comparison,
+      answer,
+      unsupportedNumbers,
+    });
+  } catch (err) {
+    console.error("Error in /api/peer-comparison:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+}, { listField: "companies" }));
 
-// ---------------- Start Server ----------------
-const PORT = process.env.PORT || 3001;
-app.listen(PORT, () =>
-  console.log(`✅ AI Finance service running on http://localhost:${PORT}`)
-);
+export default router;
@@ -0,0 +1,50 @@
+import express from "express";
+import cors from "cors";
+import config, { FEATURES, isFeatureEnabled } from "./lib/config.js";
+
+const app = express();
+app.use(express.json());
+app.use(cors());
+
+// ---------------- Feature Routers ----------------
+
+// Each module exports an Express router that owns its own paths. Modules are
+// imported only when their feature is on, so a disabled service never builds
+// its clients or reads its credentials.
+const featureModules = {
+  finance: "./finance.js", // /api/ai-finance, /api/price-history, /api/peer-comparison
+  "news-api": "./news-api.js", // /api/news-ai
+  "news-finnhub": "./news-finnhub.js", // /ai-company-news, /ai-company-sentiment
+  "sec-finance": "./sec-finance.js", // /api/ai-finance-sec, /api/financial-series
+  // /sec-query, /sec-search, /sec-sections, /sec-section-diff, /insider-activity,
+  // /institutional-holdings, /institutional-holders, /company-timeline
+  "sec-smart": "./sec-smart.js",
+  "sharepoint-search": "./sharepoint-search.js", // /sharepoint-query
+  "url-search": "./url-search.js", // /url-search
+  watchlists: "./watchlists.js", // /watchlists, /watchlists/:name, /watchlists/:name/digest
+  alerts: "./alerts.js", // /alerts, /alerts/poll, /alerts/rules, /alerts/webhooks, /alerts/deliveries
+  earnings: "./earnings.js", // /earnings
+};
+
+const mounted = [];
+for (const name of FEATURES) {
+  if (!isFeatureEnabled(name)) continue;
+  const { default: router } = await import(featureModules[name]);
+  app.use(router);
+  mounted.push(name);
+}
+
+app.get("/health", (req, res) => {
+  res.json({ status: "ok", features: mounted });
+});
+
+// ---------------- Start Server ----------------
+app.listen(config.port, () => {
+  console.log(`✅ AI gateway running on http://localhost:${config.port} (${mounted.join(", ") || "no features"})`);
+  if (!process.env.SEC_USER_AGENT) {
+    console.warn(
+      `⚠️ SEC_USER_AGENT is not set: SEC requests go out as "${config.secUserAgent}", which EDGAR throttles or blocks. ` +
+        'Set it to "Company Name contact@email".'
+    );
+  }
+});
@@ -0,0 +1,388 @@
+import crypto from "crypto";
+import config from "./config.js";
+import { createJsonStore } from "./json-store.js";
+import { getWatchlist } from "./watchlists.js";
+import { fetchFilingsFromSECByCIK, formMatches } from "./sec-filings.js";
+import { filingDocumentUrl } from "./sec-documents.js";
+import { classify8K } from "./sec-8k.js";
+import { fetchNews } from "./news.js";
+import { fetchPriceHistory } from "./price-history.js";
+import { isoDate, shiftDays } from "./time-range.js";
+import { escapeRegExp } from "./text.js";
+import { completeWithFacts } from "./fact-check.js";
+import { deliverWebhook, generateSecret } from "./webhooks.js";
+
+// Alert rules watch companies (a list, or a watchlist by name) for new EDGAR
+// submissions, news matching keywords and price moves. The poller checks
+// every active rule, and each alert it raises is summarized and POSTed to the
+// registered webhooks. Everything lives in one JSON file (config.alertsFile):
+// { rules, webhooks, state, alerts, deliveries, outbox }, where state[ruleId][ticker]
+// remembers what was already seen so nothing fires twice and outbox holds the
+// alerts a webhook hasn't accepted yet, retried on later polls.
+
+const store = createJsonStore(config.alertsFile, () => ({ rules: [], webhooks: [], state: {}, alerts: [], deliveries: [], outbox: [] }));
+
+const MAX_FILINGS_CHECKED = 40; // newest submissions compared against what was seen
+const MAX_SEEN = 200; // accessions / article URLs remembered per company
+const MAX_ALERTS_KEPT = 200;
+const MAX_DELIVERIES_KEPT = 500;
+const MAX_OUTBOX = 500; // queued deliveries kept across polls (oldest dropped first)
+const OUTBOX_MAX_AGE_MS = 24 * 3_600_000; // queued deliveries are given up after this
+const NEWS_LOOKBACK_DAYS = 2;
+const PRICE_LOOKBACK_DAYS = 10;
+
+let polling = null; // the poll in progress, so overlapping triggers share it
+
+// ---------------- Helpers ----------------
+
+// 🔹 Keywords found (as whole words, case-insensitive) in a text
+function matchedKeywords(text, keywords) {
+  return keywords.filter((k) => new RegExp(`\\b${escapeRegExp(k)}\\b`, "i").test(text));
+}
+
+function remember(list, values) {
+  return [...new Set([...values, ...list])].slice(0, MAX_SEEN);
+}
+
+function newAlert(rule, company, type, title, data) {
+  return {
+    id: crypto.randomUUID(),
+    ruleId: rule.id,
+    ruleName: rule.name,
+    type,
+    ticker: company.ticker,
+    companyName: company.name || null,
+    title,
+    detectedAt: new Date().toISOString(),
+    data,
+  };
+}
+
+// ---------------- Rules and webhooks ----------------
+
+export async function listRules() {
+  return (await store.read()).rules;
+}
+
+/**
+ * Save a new rule. `rule` is { name, companies, watchlist, triggers } where
+ * companies are resolved watchlist entries, watchlist a watchlist name read at
+ * every poll, and triggers { filings, forms, keywords, priceMovePct }:
+ * filings alerts on new submissions (only the listed forms and their
+ * amendments when forms is non-empty), keywords on news articles naming any of
+ * them, priceMovePct on a close this far (in %) from the previous one.
+ */
+export function createRule({ name, companies = [], watchlist = null, triggers }) {
+  return store.mutate((doc) => {
+    const rule = {
+      id: crypto.randomUUID(),
+      name,
+      companies,
+      watchlist,
+      triggers: {
+        filings: triggers.filings ?? true,
+        forms: triggers.forms || [],
+        keywords: triggers.keywords || [],
+        priceMovePct: triggers.priceMovePct ?? null,
+      },
+      active: true,
+      createdAt: new Date().toISOString(),
+    };
+    doc.rules.push(rule);
+    return rule;
+  });
+}
+
+// 🔹 true when a rule was deleted; its poller state goes with it
+export function deleteRule(id) {
+  return store.mutate((doc) => {
+    const before = doc.rules.length;
+    doc.rules = doc.rules.filter((r) => r.id !== id);
+    delete doc.state[id];
+    return doc.rules.length < before;
+  });
+}
+
+// 🔹 Webhooks without their secrets
+export async function listWebhooks() {
+  return (await store.read()).webhooks.map(({ secret, ...webhook }) => webhook);
+}
+
+export async function getWebhook(id) {
+  return (await store.read()).webhooks.find((w) => w.id === id) || null;
+}
+
+// 🔹 Register a webhook; `rules` limits it to those rule ids (all rules when empty). The secret is returned only here.
+export function createWebhook({ url, secret, rules = [] }) {
+  return store.mutate((doc) => {
+    const webhook = { id: crypto.randomUUID(), url, secret: secret || generateSecret(), rules, createdAt: new Date().toISOString() };
+    doc.webhooks.push(webhook);
+    return webhook;
+  });
+}
+
+export function deleteWebhook(id) {
+  return store.mutate((doc) => {
+    const before = doc.webhooks.length;
+    doc.webhooks = doc.webhooks.filter((w) => w.id !== id);
+    return doc.webhooks.length < before;
+  });
+}
+
+// 🔹 Most recent alerts / deliveries first
+export async function listAlerts(limit = 50) {
+  return (await store.read()).alerts.slice(0, limit);
+}
+
+export async function listDeliveries(limit = 50) {
+  return (await store.read()).deliveries.slice(0, limit);
+}
+
+// 🔹 Record deliveries made outside a poll (test pings)
+export function logDeliveries(deliveries) {
+  return store.mutate((doc) => {
+    doc.deliveries = [...deliveries, ...doc.deliveries].slice(0, MAX_DELIVERIES_KEPT);
+  });
+}
+
+// ---------------- Checks ----------------
+
+// Each check gets the company's saved state and returns { alerts, state }. A
+// check that has never run for a company only records what exists today, so
+// a new rule doesn't fire on old filings and articles.
+
+async function checkFilings(rule, company, state) {
+  if (!rule.triggers.filings || !company.cik) return { alerts: [], state };
+  const filings = await fetchFilingsFromSECByCIK(company.cik, MAX_FILINGS_CHECKED);
+  if (!filings.length) return { alerts: [], state };
+  const accessions = filings.map((f) => f.accessionNumber);
+  if (!state.accessions) return { alerts: [], state: { ...state, accessions } };
+
+  const { forms } = rule.triggers;
+  const alerts = filings
+    .filter((f) => !state.accessions.includes(f.accessionNumber))
+    .filter((f) => !forms.length || forms.some((form) => formMatches(f.form, form)))
+    .reverse() // oldest first
+    .map((f) => {
+      const items = f.items.length ? classify8K(f.items).items.map((i) => `Item ${i.code} ${i.title}`) : [];
+      return newAlert(rule, company, "filing", `${company.ticker} filed ${f.form}${items.length ? `: ${items.join("; ")}` : ""}`, {
+        form: f.form,
+        filingDate: f.filingDate,
+        reportDate: f.reportDate,
+        items,
+        accessionNumber: f.accessionNumber,
+        url: filingDocumentUrl(f),
+      });
+    });
+  return { alerts, state: { ...state, accessions: remember(state.accessions, accessions) } };
+}
+
+// 🔹 Recent Finnhub and NewsAPI articles about a company, merged and deduplicated
+async function recentArticles(company) {
+  const to = isoDate(new Date());
+  const { articles } = await fetchNews({ ticker: company.ticker, companyName: company.name, from: shiftDays(to, -NEWS_LOOKBACK_DAYS), to, pageSize: 50 });
+  return articles;
+}
+
+async function checkNews(rule, company, state) {
+  const { keywords } = rule.triggers;
+  if (!keywords.length) return { alerts: [], state };
+  const articles = await recentArticles(company);
+  if (!articles.length) return { alerts: [], state };
+  const urls = articles.map((a) => a.url);
+  if (!state.articles) return { alerts: [], state: { ...state, articles: urls } };
+
+  const alerts = [];
+  for (const article of articles) {
+    if (state.articles.includes(article.url)) continue;
+    const matched = matchedKeywords(`${article.title} ${article.summary}`, keywords);
+    if (matched.length) {
+      const { url, title, summary, source, alsoReportedBy, publishedAt } = article;
+      alerts.push(
+        newAlert(rule, company, "news", `${company.ticker} news: ${title}`, { url, title, summary, source, alsoReportedBy, publishedAt, keywords: matched })
+      );
+    }
+  }
+  return { alerts, state: { ...state, articles: remember(state.articles, urls) } };
+}
+
+async function checkPrice(rule, company, state) {
+  const threshold = rule.triggers.priceMovePct;
+  if (!threshold) return { alerts: [], state };
+  const history = await fetchPriceHistory(company.ticker, { from: shiftDays(new Date(), -PRICE_LOOKBACK_DAYS) });
+  const bars = history?.bars || [];
+  if (bars.length < 2) return { alerts: [], state };
+
+  const [previous, last] = bars.slice(-2);
+  const changePct = Number(((last.close / previous.close - 1) * 100).toFixed(2));
+  // one alert per session, even though the session's bar keeps changing until the close
+  if (Math.abs(changePct) < threshold || state.priceAlertDate === last.date) return { alerts: [], state };
+
+  const move = `${changePct > 0 ? "+" : ""}${changePct.toFixed(2)}%`;
+  const alert = newAlert(rule, company, "price", `${company.ticker} moved ${move} on ${last.date}`, {
+    date: last.date,
+    close: Number(last.close.toFixed(2)),
+    previousDate: previous.date,
+    previousClose: Number(previous.close.toFixed(2)),
+    changePct,
+    thresholdPct: threshold,
+    currency: history.currency,
+  });
+  return { alerts: [alert], state: { ...state, priceAlertDate: last.date } };
+}
+
+// ---------------- Summaries ----------------
+
+// 🔹 An alert's data as prompt lines
+function alertFactLines(alert) {
+  const d = alert.data;
+  const lines = [`- ${alert.title}`, `- Company: ${alert.companyName || alert.ticker} (${alert.ticker})`];
+  if (alert.type === "filing") {
+    lines.push(`- Form ${d.form} filed ${d.filingDate}${d.reportDate ? ` for the period ending ${d.reportDate}` : ""}`);
+    for (const item of d.items) lines.push(`- ${item}`);
+  } else if (alert.type === "news") {
+    lines.push(`- Source: ${d.source || "N/A"}, published ${d.publishedAt || "N/A"}`);
+    if (d.summary) lines.push(`- Article summary: ${d.summary}`);
+    lines.push(`- Matched keywords: ${d.keywords.join(", ")}`);
+  } else if (alert.type === "price") {
+    const currency = d.currency ? ` ${d.currency}` : "";
+    lines.push(`- Close ${d.close.toFixed(2)}${currency} on ${d.date}; previous close ${d.previousClose.toFixed(2)}${currency} on ${d.previousDate}`);
+    lines.push(`- Alert threshold: ${d.thresholdPct}%`);
+  }
+  return lines;
+}
+
+// 🔹 Two-sentence AI summary of an alert; the title when the model is unavailable
+async function summarizeAlert(alert) {
+  const facts = alertFactLines(alert).join("\n");
+  const prompt = `
+You are a financial analyst AI. Write a two-sentence alert for an investment team about the event
+below: what happened and why it may matter.
+
+Facts:
+${facts}
+`;
+  try {
+    const { answer } = await completeWithFacts({ prompt, facts, max_tokens: 150, fallback: alert.title });
+    return answer;
+  } catch (err) {
+    console.error("Error summarizing alert:", err.message);
+    return alert.title;
+  }
+}
+
+// ---------------- Polling ----------------
+
+async function ruleCompanies(rule) {
+  if (!rule.watchlist) return rule.companies;
+  const watchlist = await getWatchlist(rule.watchlist);
+  if (!watchlist) console.error(`Alert rule "${rule.name}": watchlist "${rule.watchlist}" not found`);
+  return watchlist?.companies || [];
+}
+
+/**
+ * Send queued alerts ({ webhookId, alert, queuedAt, attempts }): each
+ * webhook's in order, the webhooks in parallel.
+ *
+ * A webhook stops at its first failed delivery, so a receiver that is down
+ * costs one delivery per poll and holds up no other webhook; its alerts stay
+ * queued until OUTBOX_MAX_AGE_MS. Returns { deliveries, pending }.
+ */
+async function deliverQueued(outbox, webhooks) {
+  const deliveries = [];
+  const pending = [];
+  const now = Date.now();
+
+  await Promise.all(
+    webhooks.map(async (webhook) => {
+      let down = false;
+      for (const item of outbox.filter((i) => i.webhookId === webhook.id)) {
+        if (now - new Date(item.queuedAt) > OUTBOX_MAX_AGE_MS) {
+          console.error(`Giving up on alert ${item.alert.id} for webhook ${webhook.id} after ${item.attempts} attempts`);
+          continue;
+        }
+        if (down) {
+          pending.push(item);
+          continue;
+        }
+        const delivery = await deliverWebhook(webhook, { event: "alert", alert: item.alert }, { eventId: item.alert.id });
+        deliveries.push(delivery);
+        if (delivery.status === "delivered") continue;
+        down = true;
+        pending.push({ ...item, attempts: item.attempts + delivery.attempts });
+      }
+    })
+  );
+
+  pending.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+  return { deliveries, pending: pending.slice(-MAX_OUTBOX) };
+}
+
+async function runPoll() {
+  const doc = await store.read();
+  const rules = doc.rules.filter((r) => r.active);
+  const state = {};
+  const alerts = [];
+
+  for (const rule of rules) {
+    state[rule.id] = { ...doc.state[rule.id] };
+    // one company at a time keeps EDGAR requests within the fair-access rate
+    for (const company of await ruleCompanies(rule)) {
+      let companyState = state[rule.id][company.ticker] || {};
+      for (const check of [checkFilings, checkNews, checkPrice]) {
+        try {
+          const result = await check(rule, company, companyState);
+          alerts.push(...result.alerts);
+          companyState = result.state;
+        } catch (err) {
+          console.error(`Alert check ${check.name} failed for ${company.ticker}:`, err.message);
+        }
+      }
+      state[rule.id][company.ticker] = companyState;
+    }
+  }
+
+  // new alerts queue behind the ones earlier polls couldn't deliver
+  const outbox = [...doc.outbox];
+  for (const alert of alerts) {
+    alert.summary = await summarizeAlert(alert);
+    const targets = doc.webhooks.filter((w) => !w.rules.length || w.rules.includes(alert.ruleId));
+    for (const webhook of targets) outbox.push({ webhookId: webhook.id, alert, queuedAt: new Date().toISOString(), attempts: 0 });
+  }
+  const { deliveries, pending } = await deliverQueued(outbox, doc.webhooks);
+
+  await store.mutate((latest) => {
+    // rules deleted while the poll ran keep no state
+    for (const [ruleId, ruleState] of Object.entries(state)) {
+      if (latest.rules.some((r) => r.id === ruleId)) latest.state[ruleId] = ruleState;
+    }
+    latest.alerts = [...[...alerts].reverse(), ...latest.alerts].slice(0, MAX_ALERTS_KEPT);
+    latest.deliveries = [...[...deliveries].reverse(), ...latest.deliveries].slice(0, MAX_DELIVERIES_KEPT);
+    // webhooks deleted while the poll ran get nothing more
+    latest.outbox = pending.filter((item) => latest.webhooks.some((w) => w.id === item.webhookId));
+  });
+  return { checkedRules: rules.length, alerts, deliveries, queued: pending.length };
+}
+
+/**
+ * Check every active rule once, then summarize what fired and deliver it
+ * along with what earlier polls couldn't. Returns { checkedRules, alerts,
+ * deliveries, queued }, queued being the deliveries left for the next poll.
+ * A poll already running is joined rather than started again.
+ */
+export function pollAlerts() {
+  if (!polling) polling = runPoll().finally(() => (polling = null));
+  return polling;
+}
+
+// 🔹 Poll now and then every config.alertsPollMinutes; does nothing when that is 0
+export function startAlertPoller() {
+  const minutes = config.alertsPollMinutes;
+  if (!minutes) return null;
+  const poll = () =>
+    pollAlerts().catch((err) => {
+      console.error("Alert poll failed:", err.message);
+    });
+  poll();
+  return setInterval(poll, minutes * 60 * 1000);
+}
@@ -0,0 +1,251 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import axios from "axios";
+import config from "./config.js";
+import { decodeEntities, htmlToText } from "./text.js";
+import { isPublicUrl, publicLookup } from "./public-url.js";
+import { cachePruner } from "./disk-cache.js";
+
+// Full text of news articles for summaries: the linked page is downloaded,
+// its main content extracted without navigation, ads and other boilerplate,
+// and the result cached on disk. newsContext() fits the texts of a feed's
+// top events into a token budget with numbered references to cite. Article
+// URLs come from third-party feeds, so every hop must be a public host.
+
+const ARTICLE_CACHE_DIR = path.join(config.cacheDir, "articles");
+const CACHE_MAX_AGE_MS = 7 * 24 * 3_600_000;
+const CACHE_MAX_BYTES = 200 * 1024 * 1024;
+const FAILURE_MAX_AGE_MS = 6 * 3_600_000; // paywalls and blocks are retried after this
+const FETCH_TIMEOUT_MS = 10_000;
+const MAX_PAGE_BYTES = 3 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const MIN_ARTICLE_CHARS = 400; // less than this and the page wasn't the article (paywall, consent wall, video)
+const MIN_PARAGRAPH_CHARS = 40;
+const CHARS_PER_TOKEN = 4;
+const FETCH_BATCH_SIZE = 4;
+
+const inFlight = new Map(); // url -> pending fetch, so concurrent summaries share one download
+const pruneCache = cachePruner(ARTICLE_CACHE_DIR, { maxBytes: CACHE_MAX_BYTES, maxAgeMs: CACHE_MAX_AGE_MS });
+
+// Paragraphs that are page furniture rather than reporting
+const BOILERPLATE =
+  /\b(cookies?|subscribe|subscription|sign up|newsletter|all rights reserved|advertisement|click here|read more|follow us|share this|terms of (use|service)|privacy policy|javascript|your browser)\b/i;
+
+// ---------------- Extraction ----------------
+
+// 🔹 articleBody from schema.org JSON-LD, which most news sites embed; null when absent
+function jsonLdBody(html) {
+  for (const m of html.matchAll(/<script[^>]+application\/ld\+json[^>]*>([\s\S]*?)<\/script>/gi)) {
+    try {
+      const stack = [JSON.parse(m[1])];
+      while (stack.length) {
+        const node = stack.pop();
+        if (Array.isArray(node)) stack.push(...node);
+        else if (node && typeof node === "object") {
+          if (typeof node.articleBody === "string" && node.articleBody.length >= MIN_ARTICLE_CHARS) return node.articleBody;
+          stack.push(...Object.values(node).filter((v) => v && typeof v === "object"));
+        }
+      }
+    } catch {
+      // malformed JSON-LD is common; fall through to the markup
+    }
+  }
+  return null;
+}
+
+// 🔹 The largest <article>, else <main>, else <body>
+function contentRegion(html) {
+  const largest = (tag) =>
+    [...html.matchAll(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}>`, "gi"))]
+      .map((m) => m[1])
+      .sort((a, b) => b.length - a.length)[0];
+  return largest("article") || largest("main") || largest("body") || html;
+}
+
+function pageTitle(html) {
+  const og = html.match(/<meta[^>]+property=["']og:title["'][^>]+content=["']([^"']+)["']/i);
+  const title = og?.[1] || html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+  return title ? decodeEntities(title).replace(/\s+/g, " ").trim() : null;
+}
+
+/**
+ * Main readable text of an article page: the JSON-LD articleBody when the
+ * page has one, otherwise the paragraphs and subheadings of its <article>
+ * (or <main>) region, dropping short fragments, link lists and boilerplate
+ * lines. Returns { title, text }; text is "" when nothing article-like is
+ * found.
+ */
+export function extractArticleText(html) {
+  const title = pageTitle(html);
+  const ld = jsonLdBody(html);
+  if (ld) return { title, text: htmlToText(ld).replace(/\n{2,}/g, "\n") };
+
+  const region = contentRegion(html)
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<(script|style|noscript|svg|iframe|form|nav|header|footer|aside|figure|button)\b[\s\S]*?<\/\1>/gi, " ");
+
+  const paragraphs = [];
+  for (const m of region.matchAll(/<(p|h2|h3|li|blockquote)\b[^>]*>([\s\S]*?)<\/\1>/gi)) {
+    const inner = m[2];
+    const text = htmlToText(inner).replace(/\s+/g, " ").trim();
+    const linkText = [...inner.matchAll(/<a\b[^>]*>([\s\S]*?)<\/a>/gi)].map((a) => htmlToText(a[1])).join("").length;
+    const isHeading = /^h[23]$/i.test(m[1]);
+    if (!text || BOILERPLATE.test(text) || linkText > text.length / 2) continue;
+    if (!isHeading && text.length < MIN_PARAGRAPH_CHARS) continue;
+    if (paragraphs[paragraphs.length - 1] !== text) paragraphs.push(text);
+  }
+  const text = paragraphs.join("\n");
+  return { title, text: text.length >= MIN_ARTICLE_CHARS ? text : "" };
+}
+
+// ---------------- Disk cache ----------------
+
+function cachePath(url) {
+  const key = crypto.createHash("sha1").update(url).digest("hex");
+  return path.join(ARTICLE_CACHE_DIR, key.slice(0, 2), `${key}.json`);
+}
+
+async function readCached(url) {
+  try {
+    const entry = JSON.parse(await fs.readFile(cachePath(url), "utf8"));
+    const maxAge = entry.text ? CACHE_MAX_AGE_MS : FAILURE_MAX_AGE_MS;
+    return Date.now() - entry.fetchedAt < maxAge ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+async function writeCached(url, entry) {
+  try {
+    await fs.mkdir(path.dirname(cachePath(url)), { recursive: true });
+    await fs.writeFile(cachePath(url), JSON.stringify(entry));
+    pruneCache();
+  } catch (err) {
+    console.error("Error writing article cache:", err.message);
+  }
+}
+
+// ---------------- Fetching ----------------
+
+// 🔹 GET a page, following up to MAX_REDIRECTS redirects and refusing any hop that isn't on a public host
+async function getPublicPage(url) {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!(await isPublicUrl(current))) throw new Error(`not a public host: ${new URL(current).hostname}`);
+    const res = await axios.get(current, {
+      responseType: "text",
+      timeout: FETCH_TIMEOUT_MS,
+      maxContentLength: MAX_PAGE_BYTES,
+      maxRedirects: 0,
+      lookup: publicLookup,
+      validateStatus: (status) => status >= 200 && status < 400,
+      headers: { "User-Agent": "Mozilla/5.0 (compatible; entsearch-ai-backend)", Accept: "text/html,application/xhtml+xml" },
+    });
+    if (res.status < 300 || !res.headers.location) return res;
+    current = new URL(res.headers.location, current).href;
+  }
+  throw new Error(`more than ${MAX_REDIRECTS} redirects`);
+}
+
+async function download(url) {
+  let entry;
+  try {
+    const res = await getPublicPage(url);
+    const type = String(res.headers?.["content-type"] || "text/html");
+    const { title, text } = /html/i.test(type) ? extractArticleText(String(res.data)) : { title: null, text: "" };
+    const error = text ? null : /html/i.test(type) ? "no article text found" : `not an HTML page (${type})`;
+    entry = { url, title, text, error, fetchedAt: Date.now() };
+  } catch (err) {
+    // 4xx (paywalls, bot blocks) are cached as failures; network errors and 5xx are retried next time
+    const status = err.response?.status;
+    entry = { url, title: null, text: "", error: status ? `HTTP ${status}` : err.message, fetchedAt: Date.now() };
+    if (!status || status >= 500) return entry;
+  }
+  await writeCached(url, entry);
+  return entry;
+}
+
+/**
+ * Full text of the article at `url`, from the disk cache when fresh.
+ * Returns { url, title, text, error, fetchedAt }; text is "" (and error
+ * says why) when the page couldn't be fetched or had no article text.
+ * Never throws.
+ */
+export async function fetchArticleText(url) {
+  if (!/^https?:\/\//i.test(url || "")) return { url, title: null, text: "", error: "not an http(s) URL", fetchedAt: Date.now() };
+  const cached = await readCached(url);
+  if (cached) return cached;
+  if (!inFlight.has(url)) inFlight.set(url, download(url).finally(() => inFlight.delete(url)));
+  return inFlight.get(url);
+}
+
+// ---------------- Summary context ----------------
+
+// 🔹 Text cut to about `tokens` tokens, at a sentence end when there is one in the last fifth
+function clip(text, tokens) {
+  const max = tokens * CHARS_PER_TOKEN;
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max);
+  const end = Math.max(cut.lastIndexOf(". "), cut.lastIndexOf(".\n"));
+  return `${end > max * 0.8 ? cut.slice(0, end + 1) : cut}…`;
+}
+
+/**
+ * Context for summarizing a feed: the lead article of each of the top
+ * `limit` event groups, numbered [1]..[n] for citation.
+ *
+ * Full article text is used when `fullText` is on and the page yields it,
+ * else the feed's summary. The token budget (config.newsContextTokens by
+ * default) is shared out in order, so an event whose text is short leaves
+ * more for the ones after it. Returns { text, citations } where citations
+ * are [{ ref, articleId, title, source, url, publishedAt, content }] with
+ * content "fullText" or "summary".
+ */
+export async function newsContext(groups, { limit = 8, tokenBudget = config.newsContextTokens, fullText = true } = {}) {
+  const top = groups.slice(0, limit);
+  const pages = [];
+  for (let i = 0; i < top.length && fullText; i += FETCH_BATCH_SIZE) {
+    pages.push(...(await Promise.all(top.slice(i, i + FETCH_BATCH_SIZE).map((g) => fetchArticleText(g.articles[0].url)))));
+  }
+
+  let remaining = tokenBudget;
+  const blocks = [];
+  const citations = top.map((g, i) => {
+    const lead = g.articles[0];
+    const page = pages[i];
+    const body = page?.text || lead.summary || "";
+    const share = Math.floor(remaining / (top.length - i));
+    const excerpt = clip(body, share);
+    remaining -= Math.ceil(excerpt.length / CHARS_PER_TOKEN);
+
+    const when = lead.publishedAt ? lead.publishedAt.slice(0, 10) : "date unknown";
+    const others = g.sources.filter((s) => s !== lead.source);
+    blocks.push(
+      [
+        `[${i + 1}] ${lead.title} — ${lead.source || "unknown source"}, ${when}` +
+          (others.length ? ` (also covered by ${others.join(", ")})` : ""),
+        excerpt || "(no text available)",
+      ].join("\n")
+    );
+    return {
+      ref: i + 1,
+      articleId: lead.id,
+      title: lead.title,
+      source: lead.source,
+      url: lead.url,
+      publishedAt: lead.publishedAt,
+      content: page?.text ? "fullText" : "summary",
+    };
+  });
+  return { text: blocks.join("\n\n"), citations };
+}
+
+// 🔹 Citations marked with whether the answer cites them ("[2]", "[1][3]", "[1, 3]")
+export function markCited(answer, citations) {
+  const cited = new Set();
+  for (const m of String(answer || "").matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    for (const n of m[1].split(",")) cited.add(Number(n));
+  }
+  return citations.map((c) => ({ ...c, cited: cited.has(c.ref) }));
+}
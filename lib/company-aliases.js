@@ -0,0 +1,75 @@
+// Common names people use that don't match the SEC registrant name.
+// Keys are normalized (see normalizeCompanyName); values are tickers.
+const COMPANY_ALIASES = {
+  google: "GOOGL",
+  alphabet: "GOOGL",
+  facebook: "META",
+  meta: "META",
+  instagram: "META",
+  amazon: "AMZN",
+  aws: "AMZN",
+  apple: "AAPL",
+  microsoft: "MSFT",
+  nvidia: "NVDA",
+  tesla: "TSLA",
+  netflix: "NFLX",
+  berkshire: "BRK-B",
+  "berkshire hathaway": "BRK-B",
+  jpmorgan: "JPM",
+  "jp morgan": "JPM",
+  "jpmorgan chase": "JPM",
+  "bank of america": "BAC",
+  "goldman sachs": "GS",
+  "morgan stanley": "MS",
+  "wells fargo": "WFC",
+  citi: "C",
+  citigroup: "C",
+  walmart: "WMT",
+  "wal mart": "WMT",
+  disney: "DIS",
+  "walt disney": "DIS",
+  "coca cola": "KO",
+  coke: "KO",
+  pepsi: "PEP",
+  pepsico: "PEP",
+  "johnson and johnson": "JNJ",
+  "j and j": "JNJ",
+  "procter and gamble": "PG",
+  "p and g": "PG",
+  exxon: "XOM",
+  "exxon mobil": "XOM",
+  chevron: "CVX",
+  boeing: "BA",
+  intel: "INTC",
+  amd: "AMD",
+  "advanced micro devices": "AMD",
+  ibm: "IBM",
+  oracle: "ORCL",
+  salesforce: "CRM",
+  adobe: "ADBE",
+  cisco: "CSCO",
+  qualcomm: "QCOM",
+  broadcom: "AVGO",
+  paypal: "PYPL",
+  visa: "V",
+  mastercard: "MA",
+  "home depot": "HD",
+  mcdonalds: "MCD",
+  starbucks: "SBUX",
+  nike: "NKE",
+  pfizer: "PFE",
+  moderna: "MRNA",
+  "eli lilly": "LLY",
+  lilly: "LLY",
+  "general motors": "GM",
+  gm: "GM",
+  ford: "F",
+  "general electric": "GE",
+  ge: "GE",
+  "at and t": "T",
+  verizon: "VZ",
+  uber: "UBER",
+  airbnb: "ABNB",
+};
+
+export default COMPANY_ALIASES;
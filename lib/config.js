@@ -0,0 +1,99 @@
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// ---------------- Helpers ----------------
+
+// 🔹 Parse a comma-separated env value into a lowercase list
+function parseList(value) {
+  if (!value || typeof value !== "string") return [];
+  return value
+    .split(",")
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// ---------------- Features ----------------
+
+// Every service the gateway can mount. The key is what ENABLED_FEATURES /
+// DISABLED_FEATURES refer to.
+export const FEATURES = [
+  "finance",
+  "news-api",
+  "news-finnhub",
+  "sec-finance",
+  "sec-smart",
+  "sharepoint-search",
+  "url-search",
+  "watchlists",
+  "alerts",
+  "earnings",
+];
+
+const enabledList = parseList(process.env.ENABLED_FEATURES);
+const disabledList = parseList(process.env.DISABLED_FEATURES);
+
+// 🔹 A feature is on unless it is disabled, or ENABLED_FEATURES is set and omits it
+export function isFeatureEnabled(name) {
+  if (disabledList.includes(name)) return false;
+  if (!enabledList.length || enabledList.includes("all")) return true;
+  return enabledList.includes(name);
+}
+
+// ---------------- Config ----------------
+
+const env = process.env;
+
+const config = {
+  port: Number(env.PORT) || 3000,
+
+  // Local disk cache for downloaded reference data (EDGAR indexes, etc.)
+  cacheDir: path.resolve(env.CACHE_DIR || ".cache"),
+  // Watchlists (named lists of companies) are stored in this JSON file
+  watchlistFile: path.resolve(env.WATCHLIST_FILE || "data/watchlists.json"),
+  // Alert rules, webhooks, poller state and the delivery log are stored in this JSON file
+  alertsFile: path.resolve(env.ALERTS_FILE || "data/alerts.json"),
+  // How often the alerts poller checks for new filings, news and price moves (0 = don't poll)
+  alertsPollMinutes: env.ALERTS_POLL_MINUTES ? Number(env.ALERTS_POLL_MINUTES) : 15,
+  // Attempts per webhook delivery before it is logged as failed
+  webhookMaxAttempts: Number(env.WEBHOOK_MAX_ATTEMPTS) || 4,
+  // Webhook hosts allowed although they are private or loopback (e.g. an internal receiver); all others must be public
+  webhookAllowedHosts: parseList(env.WEBHOOK_ALLOWED_HOSTS),
+  // How often the SEC ticker/CIK snapshot is re-downloaded (0 = only when missing)
+  secReferenceRefreshHours: env.SEC_REFERENCE_REFRESH_HOURS ? Number(env.SEC_REFERENCE_REFRESH_HOURS) : 24,
+  // Sent with every SEC request. EDGAR asks for "Company Name contact@email" and blocks generic agents.
+  secUserAgent: env.SEC_USER_AGENT || "entsearch-ai-backend admin@example.com",
+  // EDGAR's fair-access limit is 10 requests per second
+  secMaxRequestsPerSecond: Number(env.SEC_MAX_REQUESTS_PER_SECOND) || 10,
+  // Size cap of each on-disk SEC cache (HTTP responses, EDGAR index files); the oldest files are deleted past it
+  secCacheMaxMb: Number(env.SEC_CACHE_MAX_MB) || 1024,
+  // EDGAR full-text search endpoint (point at a local stand-in for testing)
+  secFullTextSearchUrl: env.SEC_FULL_TEXT_SEARCH_URL || "https://efts.sec.gov/LATEST/search-index",
+
+  azureOpenAI: {
+    endpoint: env.AZURE_OPENAI_ENDPOINT,
+    apiKey: env.AZURE_OPENAI_API_KEY,
+    deployment: env.AZURE_OPENAI_DEPLOYMENT,
+    apiVersion: env.AZURE_OPENAI_API_VERSION || env.OPENAI_API_VERSION || "2024-05-01-preview",
+  },
+
+  azureSearch: {
+    endpoint: env.AZURE_SEARCH_ENDPOINT,
+    index: env.AZURE_SEARCH_INDEX,
+    apiKey: env.AZURE_SEARCH_API_KEY,
+  },
+
+  alphaVantageKey: env.ALPHA_VANTAGE_KEY,
+  finnhubApiKey: env.FINNHUB_API_KEY,
+  // Company snapshot providers, tried in order; later ones fill what earlier ones lack
+  marketDataProviders: env.MARKET_DATA_PROVIDERS ? parseList(env.MARKET_DATA_PROVIDERS) : ["alphavantage", "yahoo", "finnhub"],
+  newsApiKey: env.NEWS_API_KEY,
+  // Tokens of article text (fetched from each story's page) a news summary may use
+  newsContextTokens: Number(env.NEWS_CONTEXT_TOKENS) || 6000,
+  // News sentiment: "llm" (the lexicon scores whatever the model can't) or "lexicon" (no model calls, deterministic)
+  sentimentMethod: env.SENTIMENT_METHOD === "lexicon" ? "lexicon" : "llm",
+  graphApiUrl: env.GRAPH_API_URL,
+};
+
+export default config;
@@ -0,0 +1,116 @@
+import { fetchCompanySnapshot } from "./market-data.js";
+import { fetchPriceHistory } from "./price-history.js";
+import { fetchFilingsFromSECByCIK } from "./sec-filings.js";
+import { fetchNews } from "./news.js";
+import { isoDate, shiftDays } from "./time-range.js";
+
+// What happened to a set of companies over a window (by default since
+// yesterday): price move, SEC filings and news headlines for each.
+
+const PRICE_LOOKBACK_DAYS = 10; // enough bars to find the previous close across weekends and holidays
+const MAX_FILINGS = 10;
+const MAX_HEADLINES = 5;
+
+// ---------------- Helpers ----------------
+
+function pctChange(from, to) {
+  return from ? Number(((to / from - 1) * 100).toFixed(2)) : null;
+}
+
+// 🔹 Default digest window: yesterday through today
+export function digestWindow({ from, to } = {}, now = new Date()) {
+  const end = to || isoDate(now);
+  return { from: from || shiftDays(end, -1), to: end };
+}
+
+// 🔹 Last close, the move since the previous session and since the close before the window
+async function priceMove(ticker, { from, to }) {
+  const history = await fetchPriceHistory(ticker, { from: shiftDays(from, -PRICE_LOOKBACK_DAYS), to });
+  if (!history?.bars.length) return null;
+  const { bars } = history;
+  const last = bars[bars.length - 1];
+  const previous = bars[bars.length - 2] || null;
+  const beforeWindow = bars.filter((b) => b.date < from).at(-1) || null;
+  return {
+    currency: history.currency,
+    date: last.date,
+    close: Number(last.close.toFixed(2)),
+    dayChangePct: previous ? pctChange(previous.close, last.close) : null,
+    windowChangePct: beforeWindow ? pctChange(beforeWindow.close, last.close) : null,
+  };
+}
+
+// 🔹 The window's top news events for a company, one per group of articles covering the same story
+async function headlines(company, window) {
+  try {
+    const { groups } = await fetchNews({ ticker: company.ticker, companyName: company.name, ...window });
+    return groups.slice(0, MAX_HEADLINES).map((g) => ({
+      headline: g.headline,
+      sources: g.sources,
+      url: g.articles[0].url,
+      publishedAt: g.lastPublishedAt,
+    }));
+  } catch (err) {
+    console.error(`Error fetching news for ${company.ticker}:`, err.message);
+    return [];
+  }
+}
+
+// ---------------- Digest ----------------
+
+/**
+ * One company's digest entry for a window ({ from, to }, YYYY-MM-DD).
+ *
+ * `company` is a watchlist company ({ ticker, cik, name, notes }). Each part
+ * is fetched independently and left empty (null / []) when its source has
+ * nothing or fails, so one unavailable service doesn't drop the company.
+ */
+export async function companyDigest(company, window) {
+  const [snapshot, price, filings, news] = await Promise.all([
+    fetchCompanySnapshot(company.ticker),
+    priceMove(company.ticker, window).catch((err) => {
+      console.error(`Error computing price move for ${company.ticker}:`, err.message);
+      return null;
+    }),
+    company.cik ? fetchFilingsFromSECByCIK(company.cik, MAX_FILINGS, undefined, window) : [],
+    headlines(company, window),
+  ]);
+
+  return {
+    ticker: company.ticker,
+    name: company.name || snapshot?.name || null,
+    cik: company.cik || null,
+    notes: company.notes || "",
+    marketCap: snapshot?.marketCap ?? null,
+    price,
+    filings: filings.map(({ form, filingDate, reportDate, items, accessionNumber }) => ({
+      form,
+      filingDate,
+      reportDate,
+      items,
+      accessionNumber,
+    })),
+    news,
+  };
+}
+
+// 🔹 Digest entries as prompt lines, every figure already formatted
+export function digestFactLines(entries) {
+  const lines = [];
+  for (const e of entries) {
+    lines.push(`- ${e.ticker}: ${e.name || "N/A"}${e.notes ? ` (team notes: ${e.notes})` : ""}`);
+    if (e.price) {
+      const change = (value) => (value === null ? "N/A" : `${value > 0 ? "+" : ""}${value.toFixed(2)}%`);
+      lines.push(
+        `- ${e.ticker} close on ${e.price.date}: ${e.price.close.toFixed(2)}${e.price.currency ? ` ${e.price.currency}` : ""}; ` +
+          `change vs previous session: ${change(e.price.dayChangePct)}; change over the window: ${change(e.price.windowChangePct)}`
+      );
+    }
+    for (const f of e.filings) {
+      lines.push(`- ${e.ticker} filed ${f.form} on ${f.filingDate}${f.items.length ? ` (items ${f.items.join(", ")})` : ""}`);
+    }
+    for (const n of e.news) lines.push(`- ${e.ticker} news (${n.sources.join(", ") || "unknown source"}): ${n.headline}`);
+    if (!e.filings.length && !e.news.length) lines.push(`- ${e.ticker}: no new filings or news in the window`);
+  }
+  return lines;
+}
@@ -0,0 +1,67 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Size limits for the on-disk caches under CACHE_DIR. Pruning deletes files
+// older than a maximum age, then the least recently written ones until the
+// directory fits its byte cap. Writers call the pruner after each write; it
+// runs at most every PRUNE_INTERVAL_MS and never twice at once.
+
+const PRUNE_INTERVAL_MS = 10 * 60_000;
+
+// 🔹 Every file under a directory with its size and mtime; [] when the directory doesn't exist
+async function listFiles(dir) {
+  let names;
+  try {
+    names = await fs.readdir(dir, { recursive: true });
+  } catch {
+    return [];
+  }
+  const files = await Promise.all(
+    names.map(async (name) => {
+      const file = path.join(dir, name);
+      const stat = await fs.stat(file).catch(() => null);
+      return stat?.isFile() ? { file, size: stat.size, mtimeMs: stat.mtimeMs } : null;
+    })
+  );
+  return files.filter(Boolean);
+}
+
+/**
+ * Delete files under `dir` older than `maxAgeMs`, then the oldest until the
+ * rest add up to at most `maxBytes`. Returns { removed, bytes } with the
+ * number of files deleted and the bytes left.
+ */
+export async function pruneCacheDir(dir, { maxBytes, maxAgeMs = Infinity, now = Date.now() }) {
+  const files = (await listFiles(dir)).sort((a, b) => b.mtimeMs - a.mtimeMs); // newest first
+  let bytes = 0;
+  let removed = 0;
+  let full = false;
+  for (const f of files) {
+    full = full || bytes + f.size > maxBytes;
+    if (!full && now - f.mtimeMs <= maxAgeMs) {
+      bytes += f.size;
+      continue;
+    }
+    await fs.unlink(f.file).then(
+      () => removed++,
+      () => {} // already gone
+    );
+  }
+  return { removed, bytes };
+}
+
+// 🔹 pruneCacheDir for one cache, throttled to PRUNE_INTERVAL_MS; call it after writes
+export function cachePruner(dir, options) {
+  let lastRun = 0;
+  let running = null;
+  return () => {
+    if (running || Date.now() - lastRun < PRUNE_INTERVAL_MS) return;
+    lastRun = Date.now();
+    running = pruneCacheDir(dir, options)
+      .then(({ removed, bytes }) => {
+        if (removed) console.log(`Pruned ${removed} file(s) from ${dir}; ${Math.round(bytes / 1048576)} MB kept`);
+      })
+      .catch((err) => console.error(`Error pruning ${dir}:`, err.message))
+      .finally(() => (running = null));
+  };
+}
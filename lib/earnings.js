@@ -0,0 +1,178 @@
+import { fetchEarningsCalendar } from "./finnhub.js";
+import { fetch8KEvents, findPressReleaseUrl } from "./sec-8k.js";
+import { formatValue } from "./ratios.js";
+import { isoDate, shiftDays } from "./time-range.js";
+
+// Earnings dates with EPS and revenue estimates vs. actuals from Finnhub's
+// calendar, each reported quarter linked to the 8-K (Item 2.02, Results of
+// Operations) that announced it, and beat / miss computed here so summaries
+// only quote figures.
+
+const DEFAULT_LOOKBACK_DAYS = 365; // four reported quarters
+const DEFAULT_LOOKAHEAD_DAYS = 120; // the next report
+const IN_LINE_PCT = 1; // |surprise| below this percentage is "in line"
+const FILING_DAYS_BEFORE = 2; // 8-K filing dates vs. the calendar's date (time zones, after-close releases)
+const FILING_DAYS_AFTER = 5;
+
+// ---------------- Helpers ----------------
+
+function daysBetween(a, b) {
+  return Math.round((new Date(b) - new Date(a)) / 86_400_000);
+}
+
+const HOURS = { bmo: "before market open", amc: "after market close", dmh: "during market hours" };
+
+// 🔹 Default window: the last year of reports and the next few months of dates
+export function earningsWindow({ from, to } = {}, now = new Date()) {
+  return {
+    from: from || shiftDays(now, -DEFAULT_LOOKBACK_DAYS),
+    to: to || shiftDays(now, DEFAULT_LOOKAHEAD_DAYS),
+  };
+}
+
+/**
+ * Actual vs. estimate for one metric: { estimate, actual, surprise,
+ * surprisePct, result } with result "beat", "miss" or "in line" (within
+ * IN_LINE_PCT), or null when either side is missing.
+ */
+export function surprise(actual, estimate) {
+  if (actual === null || actual === undefined || estimate === null || estimate === undefined) {
+    return { estimate: estimate ?? null, actual: actual ?? null, surprise: null, surprisePct: null, result: null };
+  }
+  const difference = actual - estimate;
+  const pct = estimate ? (difference / Math.abs(estimate)) * 100 : null;
+  const inLine = pct === null ? difference === 0 : Math.abs(pct) < IN_LINE_PCT;
+  return {
+    estimate,
+    actual,
+    surprise: Number(difference.toFixed(4)),
+    surprisePct: pct === null ? null : Number(pct.toFixed(2)),
+    result: inLine ? "in line" : difference > 0 ? "beat" : "miss",
+  };
+}
+
+// 🔹 One verdict from EPS and revenue: "beat" / "miss" when they agree (or the other is in line), "mixed" when they split
+export function overallResult(...results) {
+  const known = results.filter(Boolean);
+  if (!known.length) return null;
+  const beat = known.includes("beat");
+  const miss = known.includes("miss");
+  if (beat && miss) return "mixed";
+  return beat ? "beat" : miss ? "miss" : "in line";
+}
+
+// 🔹 The Item 2.02 8-K filed closest to a report date (within the filing window); null when none
+function matchResultsFiling(events, date) {
+  const candidates = events
+    .filter((e) => e.items.includes("2.02"))
+    .map((e) => ({ e, offset: daysBetween(date, e.filingDate) }))
+    .filter(({ offset }) => offset >= -FILING_DAYS_BEFORE && offset <= FILING_DAYS_AFTER)
+    .sort((a, b) => Math.abs(a.offset) - Math.abs(b.offset));
+  return candidates[0]?.e || null;
+}
+
+// ---------------- Earnings ----------------
+
+/**
+ * A company's earnings over a window ({ from, to }, YYYY-MM-DD).
+ *
+ * `company` is { ticker, cik, name }. Returns { ticker, name, cik,
+ * currency, upcoming, reported }: upcoming dates (no actuals yet) soonest
+ * first and reported quarters newest first, each with eps and revenue
+ * surprises (see surprise()), an overall result and, when the company files
+ * with the SEC, the matching Item 2.02 8-K and its press release exhibit
+ * (null when there is none or the SEC lookup fails). currency is "USD" for
+ * SEC-registered listings and null otherwise, since the calendar reports
+ * other listings in their own currency.
+ */
+export async function companyEarnings(company, window, now = new Date()) {
+  const rows = await fetchEarningsCalendar(company.ticker, window);
+  const today = isoDate(now);
+
+  const quarters = rows
+    .filter((r) => r.date)
+    .map((r) => {
+      const eps = surprise(r.epsActual, r.epsEstimate);
+      const revenue = surprise(r.revenueActual, r.revenueEstimate);
+      return {
+        date: r.date,
+        hour: HOURS[r.hour] || null,
+        fiscalYear: r.year ?? null,
+        fiscalQuarter: r.quarter ?? null,
+        eps,
+        revenue,
+        result: overallResult(eps.result, revenue.result),
+      };
+    });
+  const isReported = (q) => q.eps.actual !== null || q.revenue.actual !== null;
+  const reported = quarters.filter(isReported).sort((a, b) => b.date.localeCompare(a.date));
+  const upcoming = quarters.filter((q) => !isReported(q) && q.date >= today).sort((a, b) => a.date.localeCompare(b.date));
+
+  if (company.cik && reported.length) {
+    // the estimates and actuals stand on their own when EDGAR can't be reached
+    const events = await fetch8KEvents(company.cik, {
+      from: shiftDays(reported[reported.length - 1].date, -FILING_DAYS_BEFORE),
+      to: shiftDays(reported[0].date, FILING_DAYS_AFTER),
+      categories: ["results"],
+    }).catch((err) => {
+      console.error(`Error fetching the results 8-Ks of ${company.ticker}:`, err.message);
+      return [];
+    });
+    for (const q of reported) {
+      const filing = matchResultsFiling(events, q.date);
+      if (!filing) continue;
+      const pressReleaseUrl = await findPressReleaseUrl(filing).catch((err) => {
+        console.error(`Error finding the press release of ${filing.accessionNumber}:`, err.message);
+        return null;
+      });
+      q.filing = {
+        form: filing.form,
+        filingDate: filing.filingDate,
+        accessionNumber: filing.accessionNumber,
+        items: filing.items,
+        url: filing.url,
+        pressReleaseUrl,
+      };
+    }
+  }
+  for (const q of reported) q.filing = q.filing || null;
+
+  return {
+    ticker: company.ticker,
+    name: company.name || null,
+    cik: company.cik || null,
+    currency: company.cik ? "USD" : null,
+    upcoming,
+    reported,
+  };
+}
+
+// 🔹 Earnings entries as prompt lines, every figure already formatted
+export function earningsFactLines(entries) {
+  const period = (q) => (q.fiscalYear && q.fiscalQuarter ? `Q${q.fiscalQuarter} ${q.fiscalYear}` : "quarter");
+
+  const lines = [];
+  for (const e of entries) {
+    const metric = (label, m, unit) => {
+      if (m.actual === null) return `${label} estimate ${formatValue(m.estimate, unit, e.currency)}`;
+      const pct = m.surprisePct === null ? "" : ` (${m.surprisePct > 0 ? "+" : ""}${m.surprisePct.toFixed(2)}%)`;
+      return `${label} ${formatValue(m.actual, unit, e.currency)} vs. estimate ${formatValue(m.estimate, unit, e.currency)}${pct}${m.result ? `: ${m.result}` : ""}`;
+    };
+    lines.push(`- ${e.ticker}: ${e.name || "N/A"}`);
+    for (const q of e.reported) {
+      lines.push(
+        `- ${e.ticker} ${period(q)} reported ${q.date}: ${metric("EPS", q.eps, "perShare")}; ` +
+          `${metric("revenue", q.revenue, "currency")}; overall: ${q.result || "N/A"}` +
+          (q.filing ? `; 8-K Item 2.02 filed ${q.filing.filingDate}` : "")
+      );
+    }
+    for (const q of e.upcoming) {
+      lines.push(
+        `- ${e.ticker} ${period(q)} expected ${q.date}${q.hour ? ` ${q.hour}` : ""}: ` +
+          `${metric("EPS", q.eps, "perShare")}; ${metric("revenue", q.revenue, "currency")}`
+      );
+    }
+    if (!e.reported.length && !e.upcoming.length) lines.push(`- ${e.ticker}: no earnings dates in the window`);
+  }
+  return lines;
+}
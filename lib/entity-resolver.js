@@ -0,0 +1,147 @@
+import COMPANY_ALIASES from "./company-aliases.js";
+import { getReferenceData, normalizeCompanyName } from "./sec-reference.js";
+
+const MIN_SCORE = 0.45; // below this a candidate isn't worth listing
+const CONFIDENT_SCORE = 0.6; // below this the best match is reported as ambiguous
+const AMBIGUITY_MARGIN = 0.05; // runner-up this close to the best match → ambiguous
+const MAX_ALTERNATIVES = 5;
+
+const PREFERRED_EXCHANGES = ["nyse", "nasdaq"];
+
+// ---------------- Scoring ----------------
+
+function tokenOverlap(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  let shared = 0;
+  for (const t of setA) if (setB.has(t)) shared++;
+  return shared / new Set([...setA, ...setB]).size;
+}
+
+// 🔹 Score how well a listing matches a normalized name query (0..1) and say why
+function scoreName(row, query, queryTokens) {
+  if (!query || !row.normalizedName) return null;
+  if (row.normalizedName === query) return { score: 0.95, reason: "exact name" };
+
+  const rowTokens = row.normalizedName.split(" ");
+  const isPrefix = queryTokens.every((t, i) => rowTokens[i] === t);
+  if (isPrefix) return { score: 0.8 + 0.1 * (queryTokens.length / rowTokens.length), reason: "name prefix" };
+
+  const overlap = tokenOverlap(queryTokens, rowTokens);
+  return overlap > 0 ? { score: 0.75 * overlap, reason: "token overlap" } : null;
+}
+
+// 🔹 Small adjustment: major US exchanges over OTC
+function exchangeAdjustment(row, preferred) {
+  const exchange = row.exchange.toLowerCase();
+  if (preferred.includes(exchange)) return 0.03;
+  if (exchange === "otc") return -0.05;
+  return 0;
+}
+
+// ---------------- Resolver ----------------
+
+/**
+ * Resolve a company name and/or ticker to SEC listings.
+ *
+ * Returns { match, alternatives, confidence, ambiguous }:
+ * - match: best listing ({ cik, ticker, name, exchange, score, reason }) or null
+ * - alternatives: the next best listings (different CIKs), highest score first
+ * - ambiguous: true when the caller should ask which company was meant
+ *   instead of using match
+ */
+export async function resolveCompany({ name, ticker } = {}, { preferredExchanges = PREFERRED_EXCHANGES } = {}) {
+  const empty = { match: null, alternatives: [], confidence: 0, ambiguous: false };
+  if (!name && !ticker) return empty;
+
+  let reference;
+  try {
+    reference = await getReferenceData();
+  } catch (err) {
+    // callers fall back to their own lookups (Yahoo, Finnhub) when SEC data is unavailable
+    console.error("Company resolution unavailable:", err.message);
+    return empty;
+  }
+  const { rows, byTicker } = reference;
+  const preferred = preferredExchanges.map((e) => e.toLowerCase());
+  const best = new Map(); // cik -> candidate
+
+  const consider = (row, score, reason) => {
+    const adjusted = Math.min(1, score + exchangeAdjustment(row, preferred));
+    const current = best.get(row.cik);
+    // strict ">" keeps the first-listed (primary) share class on ties
+    if (!current || adjusted > current.score) {
+      best.set(row.cik, {
+        cik: row.cik,
+        ticker: row.ticker,
+        name: row.name,
+        exchange: row.exchange,
+        score: Number(adjusted.toFixed(3)),
+        reason,
+      });
+    }
+  };
+
+  // 1) exact ticker
+  const tickerRow = ticker ? byTicker.get(String(ticker).toUpperCase().trim()) : null;
+  if (tickerRow) consider(tickerRow, 1, "exact ticker");
+
+  // 2) maintained alias list
+  const query = normalizeCompanyName(name);
+  const aliasTicker = query ? COMPANY_ALIASES[query] : null;
+  const aliasRow = aliasTicker ? byTicker.get(aliasTicker) : null;
+  if (aliasRow) consider(aliasRow, 0.97, "alias");
+
+  // 3) a short all-caps name is probably a ticker the user typed as a name
+  if (name && !tickerRow && /^[A-Z][A-Z.-]{0,5}$/.test(name.trim())) {
+    const row = byTicker.get(name.trim());
+    if (row) consider(row, 0.9, "name is a ticker");
+  }
+
+  // 4) normalized legal name and token overlap
+  if (query) {
+    const queryTokens = query.split(" ");
+    for (const row of rows) {
+      const scored = scoreName(row, query, queryTokens);
+      if (scored && scored.score >= MIN_SCORE) consider(row, scored.score, scored.reason);
+    }
+  }
+
+  const ranked = [...best.values()].filter((c) => c.score >= MIN_SCORE).sort((a, b) => b.score - a.score);
+  if (!ranked.length) return empty;
+
+  const [top, runnerUp] = ranked;
+  const decisive = top.reason === "exact ticker" || top.reason === "alias";
+  const ambiguous =
+    !decisive && (top.score < CONFIDENT_SCORE || (!!runnerUp && top.score - runnerUp.score < AMBIGUITY_MARGIN));
+
+  return {
+    match: top,
+    alternatives: ranked.slice(1, MAX_ALTERNATIVES + 1),
+    confidence: top.score,
+    ambiguous,
+  };
+}
+
+// 🔹 Resolve free text that may be either a company name or a ticker (e.g. "Apple", "AAPL")
+export async function resolveCompanyText(text, options) {
+  const value = String(text || "").trim().replace(/^["']|["']$/g, "");
+  const looksLikeTicker = /^[A-Z][A-Z.-]{0,5}$/.test(value);
+  return resolveCompany({ name: value, ticker: looksLikeTicker ? value : null }, options);
+}
+
+// 🔹 CIK of a confident match, or null
+export async function getCIKFromCompanyOrTicker(name, ticker) {
+  const { match, ambiguous } = await resolveCompany({ name, ticker });
+  return match && !ambiguous ? match.cik : null;
+}
+
+// 🔹 Response body listing the candidates when a company name is ambiguous
+export function ambiguityDetails(resolution, input) {
+  return {
+    ambiguous: true,
+    input,
+    message: `"${input}" matches more than one company. Pass ticker or cik to choose one.`,
+    candidates: [resolution.match, ...resolution.alternatives].filter(Boolean),
+  };
+}
@@ -0,0 +1,90 @@
+import { aiClient } from "./llm.js";
+
+// A number as written in prose or a fact line: "-3.40%", "$391 billion", "391.00B", "1,234.5", "37.83x"
+const NUMBER_PATTERN =
+  /(?<![\w.])(-|−)?\$?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(?!-[A-Za-z])\s*(%|x\b|k\b|mn?\b|bn?\b|t\b|thousand\b|million\b|billion\b|trillion\b)?/gi;
+
+// Appended to every grounded prompt
+const GROUNDING_RULE = `
+Every number you write must be copied exactly as written in the facts or data above. Never calculate,
+round differently, estimate or recall a number yourself; if a figure isn't given, write N/A or leave it out.`;
+
+const SCALES = { k: 1e3, thousand: 1e3, m: 1e6, mn: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9, t: 1e12, trillion: 1e12 };
+
+// ---------------- Extraction ----------------
+
+/**
+ * Numbers in a text, with the precision they were written to.
+ *
+ * Each is { raw, value, percent, tolerance }: value keeps the sign and any
+ * scale word ("391 billion" -> 391e9, "-12.50%" -> -12.5) and tolerance is
+ * half the last written digit, so "46.3%" matches 46.29%. Years, form names ("10-K") and small bare counts
+ * (list numbering, "3 reasons") are skipped.
+ */
+export function extractNumbers(text) {
+  const found = [];
+  for (const m of String(text || "").matchAll(NUMBER_PATTERN)) {
+    const [raw, sign, whole, decimals = "", rawSuffix = ""] = m;
+    const suffix = rawSuffix.toLowerCase();
+    const base = Number(`${whole.replace(/,/g, "")}${decimals}`);
+    if (!suffix && !decimals && ((base >= 1900 && base <= 2100) || base <= 10)) continue;
+
+    const scale = SCALES[suffix] || 1;
+    const step = decimals ? 10 ** -(decimals.length - 1) : 1;
+    found.push({ raw: raw.trim(), value: (sign ? -1 : 1) * base * scale, percent: suffix === "%", tolerance: (step / 2) * scale });
+  }
+  return found;
+}
+
+// 🔹 Numbers in `text` that don't appear (to the written precision) in any of the sources
+export function findUnsupportedNumbers(text, sources = []) {
+  const allowed = sources.flatMap((s) => extractNumbers(s));
+  return extractNumbers(text)
+    .filter(
+      (n) =>
+        !allowed.some(
+          (a) => a.percent === n.percent && Math.abs(a.value - n.value) <= Math.max(a.tolerance, n.tolerance) + 1e-9
+        )
+    )
+    .map((n) => n.raw);
+}
+
+// ---------------- Grounded completion ----------------
+
+/**
+ * Chat completion whose answer may only quote numbers found in `facts`.
+ *
+ * GROUNDING_RULE is appended to the prompt, which must include the facts.
+ * The answer is checked against the facts (and the user's query); if it
+ * contains other numbers the model is asked once to rewrite it without them.
+ * Returns { answer, unsupportedNumbers } where unsupportedNumbers lists any
+ * number still not traceable to a fact.
+ */
+export async function completeWithFacts({ prompt, facts, query, max_tokens = 400, temperature = 0.3, fallback = "No summary generated." }) {
+  const ask = async (content) => {
+    const response = await aiClient.chat.completions.create({
+      messages: [{ role: "user", content }],
+      max_tokens,
+      temperature,
+    });
+    return (response.choices?.[0]?.message?.content || fallback).trim();
+  };
+
+  let answer = await ask(`${prompt.trimEnd()}\n${GROUNDING_RULE}\n`);
+  let unsupported = findUnsupportedNumbers(answer, [facts, query]);
+  if (unsupported.length) {
+    answer = await ask(`
+The answer below contains numbers that are not in the facts: ${unsupported.join(", ")}.
+Rewrite it keeping the same format. Quote numbers exactly as the facts write them, and drop any
+statement that needs a number the facts don't give. Do not compute new numbers.
+
+Facts:
+${facts}
+
+Answer:
+${answer}
+`);
+    unsupported = findUnsupportedNumbers(answer, [facts, query]);
+  }
+  return { answer, unsupportedNumbers: unsupported };
+}
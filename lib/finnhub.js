@@ -0,0 +1,29 @@
+import axios from "axios";
+import config from "./config.js";
+
+const FINNHUB_URL = "https://finnhub.io/api/v1";
+
+// 🔹 Best Finnhub symbol for a company name: a US listing or common stock first; null when none
+export async function searchFinnhubSymbol(name) {
+  const { data } = await axios.get(`${FINNHUB_URL}/search`, { params: { q: name, token: config.finnhubApiKey } });
+  if (!data.result?.length) return null;
+  const match = data.result.find((item) => item.exchange === "US" || item.type === "Common Stock") || data.result[0];
+  return match.symbol;
+}
+
+// 🔹 Finnhub company news for a ticker between from and to (YYYY-MM-DD, inclusive), newest first
+export async function fetchCompanyNews(ticker, { from, to }) {
+  const { data } = await axios.get(`${FINNHUB_URL}/company-news`, {
+    params: { symbol: ticker, from, to, token: config.finnhubApiKey },
+  });
+  return Array.isArray(data) ? data : [];
+}
+
+// 🔹 Finnhub earnings calendar rows for a ticker between from and to (YYYY-MM-DD): date, hour, year, quarter,
+//    epsEstimate / epsActual and revenueEstimate / revenueActual (actuals are null until reported)
+export async function fetchEarningsCalendar(ticker, { from, to }) {
+  const { data } = await axios.get(`${FINNHUB_URL}/calendar/earnings`, {
+    params: { symbol: ticker, from, to, token: config.finnhubApiKey },
+  });
+  return Array.isArray(data?.earningsCalendar) ? data.earningsCalendar : [];
+}
@@ -0,0 +1,45 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * A JSON document on disk that the gateway reads and changes (watchlists,
+ * alert rules). `empty()` gives the document to start from when the file
+ * doesn't exist yet.
+ *
+ * Returns { read, mutate }. mutate(change) reads the document, lets
+ * change(doc) edit it in place and writes it back; its return value is
+ * mutate's result. Changes run one after another, and each write goes to a
+ * temp file renamed over the store, so a crash never leaves half a file.
+ */
+export function createJsonStore(file, empty) {
+  let pendingWrite = Promise.resolve();
+
+  async function read() {
+    try {
+      return { ...empty(), ...JSON.parse(await fs.readFile(file, "utf8")) };
+    } catch (err) {
+      if (err.code === "ENOENT") return empty();
+      throw err;
+    }
+  }
+
+  async function write(doc) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(doc, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  function mutate(change) {
+    const run = pendingWrite.then(async () => {
+      const doc = await read();
+      const result = await change(doc);
+      await write(doc);
+      return result;
+    });
+    pendingWrite = run.catch(() => {});
+    return run;
+  }
+
+  return { read, mutate };
+}
@@ -0,0 +1,17 @@
+import { AzureOpenAI } from "openai";
+import config from "./config.js";
+
+// ---------------- Azure Client ----------------
+
+// One client for every service, so they all talk to the same deployment
+// with the same apiVersion.
+export const aiClient = new AzureOpenAI({
+  endpoint: config.azureOpenAI.endpoint,
+  apiKey: config.azureOpenAI.apiKey,
+  deployment: config.azureOpenAI.deployment,
+  apiVersion: config.azureOpenAI.apiVersion,
+});
+
+export const deployment = config.azureOpenAI.deployment;
+
+export default aiClient;
@@ -0,0 +1,273 @@
+import axios from "axios";
+import config from "./config.js";
+import { yahooFinance } from "./yahoo.js";
+
+const THROTTLE_COOLDOWN_MS = 60 * 1000; // a throttled provider is skipped for this long
+const throttledUntil = new Map(); // provider -> timestamp
+
+// Fields every snapshot has (null when no provider supplied them). Ratios and
+// margins are fractions (0.25 = 25%); money is in the snapshot's currency.
+export const SNAPSHOT_FIELDS = [
+  "name",
+  "exchange",
+  "currency",
+  "sector",
+  "industry",
+  "price",
+  "marketCap",
+  "sharesOutstanding",
+  "peRatio",
+  "forwardPE",
+  "pegRatio",
+  "priceToBook",
+  "eps",
+  "dividendYield",
+  "beta",
+  "revenueTTM",
+  "grossProfitTTM",
+  "ebitda",
+  "profitMargin",
+  "operatingMargin",
+  "returnOnEquity",
+  "fiftyTwoWeekHigh",
+  "fiftyTwoWeekLow",
+  "analystTargetPrice",
+];
+
+// A snapshot is complete enough to stop asking further providers once these are filled
+const CORE_FIELDS = ["name", "price", "marketCap", "peRatio", "eps"];
+
+// ---------------- Helpers ----------------
+
+// 🔹 "123.4" / 123.4 -> 123.4; "None", "-", "" and non-numbers -> null
+function num(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = typeof value === "number" ? value : Number(String(value).replace(/,/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+function text(value) {
+  const s = value === null || value === undefined ? "" : String(value).trim();
+  return s && s !== "None" && s !== "-" ? s : null;
+}
+
+// 🔹 Percent (25) -> fraction (0.25)
+function fraction(value) {
+  const n = num(value);
+  return n === null ? null : n / 100;
+}
+
+function isThrottleStatus(err) {
+  return err.response?.status === 429;
+}
+
+// ---------------- Providers ----------------
+
+// Each provider returns { status: "ok" | "no-data" | "throttled" | "error", fields, message }.
+
+// 🔹 Alpha Vantage OVERVIEW; a throttled call comes back as 200 with a "Note" or "Information" message
+async function fromAlphaVantage(ticker) {
+  if (!config.alphaVantageKey) return { status: "error", message: "ALPHA_VANTAGE_KEY is not set" };
+  const { data } = await axios.get("https://www.alphavantage.co/query", {
+    params: { function: "OVERVIEW", symbol: ticker, apikey: config.alphaVantageKey },
+  });
+  const notice = data?.Note || data?.Information;
+  if (notice) {
+    return /rate limit|call frequency|requests per|premium/i.test(notice)
+      ? { status: "throttled", message: notice }
+      : { status: "error", message: notice };
+  }
+  if (!data?.Symbol) return { status: "no-data" };
+
+  return {
+    status: "ok",
+    fields: {
+      name: text(data.Name),
+      exchange: text(data.Exchange),
+      currency: text(data.Currency),
+      sector: text(data.Sector),
+      industry: text(data.Industry),
+      marketCap: num(data.MarketCapitalization),
+      sharesOutstanding: num(data.SharesOutstanding),
+      peRatio: num(data.PERatio),
+      forwardPE: num(data.ForwardPE),
+      pegRatio: num(data.PEGRatio),
+      priceToBook: num(data.PriceToBookRatio),
+      eps: num(data.EPS),
+      dividendYield: num(data.DividendYield),
+      beta: num(data.Beta),
+      revenueTTM: num(data.RevenueTTM),
+      grossProfitTTM: num(data.GrossProfitTTM),
+      ebitda: num(data.EBITDA),
+      profitMargin: num(data.ProfitMargin),
+      operatingMargin: num(data.OperatingMarginTTM),
+      returnOnEquity: num(data.ReturnOnEquityTTM),
+      fiftyTwoWeekHigh: num(data["52WeekHigh"]),
+      fiftyTwoWeekLow: num(data["52WeekLow"]),
+      analystTargetPrice: num(data.AnalystTargetPrice),
+    },
+  };
+}
+
+// 🔹 Yahoo Finance quoteSummary
+async function fromYahoo(ticker) {
+  let summary;
+  try {
+    summary = await yahooFinance.quoteSummary(ticker, {
+      modules: ["price", "summaryDetail", "defaultKeyStatistics", "financialData", "assetProfile"],
+    });
+  } catch (err) {
+    if (/too many requests|429/i.test(err.message)) return { status: "throttled", message: err.message };
+    if (/not found|no fundamentals/i.test(err.message)) return { status: "no-data", message: err.message };
+    throw err;
+  }
+  const price = summary?.price;
+  if (!price) return { status: "no-data" };
+  const detail = summary.summaryDetail || {};
+  const stats = summary.defaultKeyStatistics || {};
+  const financial = summary.financialData || {};
+  const profile = summary.assetProfile || {};
+
+  return {
+    status: "ok",
+    asOf: price.regularMarketTime ? new Date(price.regularMarketTime).toISOString() : null,
+    fields: {
+      name: text(price.longName || price.shortName),
+      exchange: text(price.exchangeName),
+      currency: text(price.currency),
+      sector: text(profile.sector),
+      industry: text(profile.industry),
+      price: num(price.regularMarketPrice),
+      marketCap: num(price.marketCap),
+      sharesOutstanding: num(stats.sharesOutstanding),
+      peRatio: num(detail.trailingPE),
+      forwardPE: num(detail.forwardPE),
+      pegRatio: num(stats.pegRatio),
+      priceToBook: num(stats.priceToBook),
+      eps: num(stats.trailingEps),
+      dividendYield: num(detail.dividendYield),
+      beta: num(detail.beta),
+      revenueTTM: num(financial.totalRevenue),
+      grossProfitTTM: num(financial.grossProfits),
+      ebitda: num(financial.ebitda),
+      profitMargin: num(financial.profitMargins),
+      operatingMargin: num(financial.operatingMargins),
+      returnOnEquity: num(financial.returnOnEquity),
+      fiftyTwoWeekHigh: num(detail.fiftyTwoWeekHigh),
+      fiftyTwoWeekLow: num(detail.fiftyTwoWeekLow),
+      analystTargetPrice: num(financial.targetMeanPrice),
+    },
+  };
+}
+
+// 🔹 Finnhub profile2 + quote + basic financials; market cap and shares are reported in millions
+async function fromFinnhub(ticker) {
+  if (!config.finnhubApiKey) return { status: "error", message: "FINNHUB_API_KEY is not set" };
+  const get = (path, params = {}) =>
+    axios.get(`https://finnhub.io/api/v1/${path}`, { params: { symbol: ticker, token: config.finnhubApiKey, ...params } });
+
+  let profile, quote, metrics;
+  try {
+    [profile, quote, metrics] = (await Promise.all([get("stock/profile2"), get("quote"), get("stock/metric", { metric: "all" })])).map(
+      (r) => r.data
+    );
+  } catch (err) {
+    if (isThrottleStatus(err)) return { status: "throttled", message: err.message };
+    throw err;
+  }
+  if (!profile?.name && !quote?.c) return { status: "no-data" };
+  const m = metrics?.metric || {};
+  const million = (value) => (num(value) === null ? null : num(value) * 1e6);
+
+  return {
+    status: "ok",
+    asOf: quote?.t ? new Date(quote.t * 1000).toISOString() : null,
+    fields: {
+      name: text(profile?.name),
+      exchange: text(profile?.exchange),
+      currency: text(profile?.currency),
+      sector: null,
+      industry: text(profile?.finnhubIndustry),
+      price: num(quote?.c) || null, // Finnhub returns 0 for unknown symbols
+      marketCap: million(profile?.marketCapitalization),
+      sharesOutstanding: million(profile?.shareOutstanding),
+      peRatio: num(m.peTTM ?? m.peBasicExclExtraTTM),
+      forwardPE: null,
+      pegRatio: null,
+      priceToBook: num(m.pbQuarterly ?? m.pbAnnual),
+      eps: num(m.epsTTM ?? m.epsBasicExclExtraItemsTTM),
+      dividendYield: fraction(m.dividendYieldIndicatedAnnual ?? m.currentDividendYieldTTM),
+      beta: num(m.beta),
+      revenueTTM: million(m.revenueTTM),
+      grossProfitTTM: null,
+      ebitda: million(m.ebitdTTM),
+      profitMargin: fraction(m.netProfitMarginTTM),
+      operatingMargin: fraction(m.operatingMarginTTM),
+      returnOnEquity: fraction(m.roeTTM),
+      fiftyTwoWeekHigh: num(m["52WeekHigh"]),
+      fiftyTwoWeekLow: num(m["52WeekLow"]),
+      analystTargetPrice: null,
+    },
+  };
+}
+
+export const PROVIDERS = {
+  alphavantage: fromAlphaVantage,
+  yahoo: fromYahoo,
+  finnhub: fromFinnhub,
+};
+
+// ---------------- Snapshot ----------------
+
+/**
+ * Normalized company snapshot for a ticker, with provider failover.
+ *
+ * Providers are tried in config.marketDataProviders order. The first one
+ * with data fills the snapshot; later ones only fill fields still missing,
+ * and are skipped once the core fields (name, price, market cap, P/E, EPS)
+ * are known. A provider that reports throttling is skipped for a minute.
+ *
+ * Returns { ticker, asOf, ...SNAPSHOT_FIELDS, sources, providers } where
+ * sources maps each filled field to the provider that supplied it and
+ * providers lists what each provider returned. Returns null when no
+ * provider had data.
+ */
+export async function fetchCompanySnapshot(ticker, { providers = config.marketDataProviders } = {}) {
+  if (!ticker) return null;
+  const symbol = String(ticker).toUpperCase();
+  const snapshot = Object.fromEntries(SNAPSHOT_FIELDS.map((f) => [f, null]));
+  const sources = {};
+  const attempts = [];
+  let asOf = null;
+
+  for (const name of providers) {
+    const provider = PROVIDERS[name];
+    if (!provider) continue;
+    if (CORE_FIELDS.every((f) => snapshot[f] !== null)) break;
+    if ((throttledUntil.get(name) || 0) > Date.now()) {
+      attempts.push({ provider: name, status: "throttled", message: "skipped: recently throttled" });
+      continue;
+    }
+
+    let result;
+    try {
+      result = await provider(symbol);
+    } catch (err) {
+      console.error(`Error fetching ${name} snapshot for ${symbol}:`, err.message);
+      result = { status: "error", message: err.message };
+    }
+    if (result.status === "throttled") throttledUntil.set(name, Date.now() + THROTTLE_COOLDOWN_MS);
+    attempts.push({ provider: name, status: result.status, ...(result.message ? { message: result.message } : {}) });
+    if (result.status !== "ok") continue;
+
+    for (const [field, value] of Object.entries(result.fields)) {
+      if (value === null || snapshot[field] !== null) continue;
+      snapshot[field] = value;
+      sources[field] = name;
+    }
+    if (!asOf && result.asOf) asOf = result.asOf;
+  }
+
+  if (!Object.keys(sources).length) return null;
+  return { ticker: symbol, asOf: asOf || new Date().toISOString(), ...snapshot, sources, providers: attempts };
+}
@@ -0,0 +1,447 @@
+import crypto from "crypto";
+import config from "./config.js";
+import { fetchCompanyNews } from "./finnhub.js";
+import { NEWSAPI_LANGUAGES, NEWSAPI_MAX_PAGE_SIZE, NEWSAPI_SORTS, searchEverything } from "./newsapi.js";
+import { normalizeCompanyName } from "./sec-reference.js";
+import { ISO_DATE, isoDate } from "./time-range.js";
+
+// One news feed from NewsAPI and Finnhub: both providers' articles in one
+// schema, near-duplicates merged, articles about the same event grouped, and
+// groups ranked by recency, source quality and how widely they were covered.
+
+const DUPLICATE_SIMILARITY = 0.8; // headline similarity above which two articles are the same story
+const GROUP_SIMILARITY = 0.35; // ... above which they cover the same event
+const GROUP_WINDOW_HOURS = 48; // articles further apart than this are different events
+const RECENCY_HALF_LIFE_HOURS = 24;
+const COVERAGE_BONUS = 0.1; // per additional source covering an event
+const DEFAULT_WINDOW_DAYS = 7;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE = 100;
+
+// Article order in a feed: "rank" (recency, source quality and coverage), newest first, or NewsAPI's own orders
+export const NEWS_SORTS = ["rank", ...NEWSAPI_SORTS];
+
+// Source weight in ranking; matched against the article's domain and source name
+// Sources by ranking weight: an article counts when its host is one of `domains` (or a subdomain of one) or its
+// source name is one of `names` (the whole name, ignoring case, punctuation, a leading "The" and a trailing ".com")
+const SOURCE_TIERS = [
+  {
+    weight: 1,
+    domains: ["reuters.com", "bloomberg.com", "wsj.com", "ft.com", "apnews.com", "cnbc.com", "barrons.com", "marketwatch.com", "nytimes.com", "economist.com"],
+    names: ["Reuters", "Bloomberg", "WSJ", "Wall Street Journal", "Financial Times", "AP", "Associated Press", "CNBC", "Barron's", "MarketWatch", "New York Times", "Economist"],
+  },
+  {
+    weight: 0.75,
+    domains: ["yahoo.com", "seekingalpha.com", "fool.com", "businessinsider.com", "forbes.com", "fortune.com", "techcrunch.com", "theverge.com", "investopedia.com", "benzinga.com", "zacks.com"],
+    names: ["Yahoo", "Yahoo Finance", "Yahoo Entertainment", "Seeking Alpha", "Motley Fool", "Business Insider", "Forbes", "Fortune", "TechCrunch", "Verge", "Investopedia", "Benzinga", "Zacks", "Zacks Investment Research"],
+  },
+];
+const DEFAULT_SOURCE_WEIGHT = 0.5;
+
+const STOPWORDS = new Set(
+  "a an and are as at be by for from has have in into is it its of on or says said that the this to was were will with after over amid new what how why should could would you your".split(" ")
+);
+
+// ---------------- Normalization ----------------
+
+// 🔹 URL without tracking parameters, fragment, "www." or trailing slash, for spotting the same article twice
+export function canonicalUrl(url) {
+  try {
+    const u = new URL(url);
+    for (const key of [...u.searchParams.keys()]) {
+      if (/^(utm_|ref$|cmpid$|guccounter$|src$)/i.test(key)) u.searchParams.delete(key);
+    }
+    const host = u.hostname.toLowerCase().replace(/^www\./, "");
+    const pathname = u.pathname.replace(/\/+$/, "");
+    return `${host}${pathname}${u.searchParams.toString() ? `?${u.searchParams}` : ""}`;
+  } catch {
+    return String(url || "");
+  }
+}
+
+function article({ provider, title, summary, url, source, publishedAt, image, related }) {
+  return {
+    id: crypto.createHash("sha1").update(canonicalUrl(url)).digest("hex").slice(0, 16),
+    title: String(title || "").trim(),
+    summary: String(summary || "").trim(),
+    url,
+    source: source || null,
+    provider,
+    publishedAt,
+    image: image || null,
+    tickers: related ? String(related).split(",").map((t) => t.trim()).filter(Boolean) : [],
+  };
+}
+
+// 🔹 NewsAPI article (title, description, source.name, publishedAt) -> feed article
+export function fromNewsApi(a) {
+  return article({
+    provider: "newsapi",
+    title: a.title,
+    summary: a.description,
+    url: a.url,
+    source: a.source?.name,
+    publishedAt: a.publishedAt ? new Date(a.publishedAt).toISOString() : null,
+    image: a.urlToImage,
+  });
+}
+
+// 🔹 Finnhub article (headline, summary, source, epoch-seconds datetime) -> feed article
+export function fromFinnhub(n) {
+  return article({
+    provider: "finnhub",
+    title: n.headline,
+    summary: n.summary,
+    url: n.url,
+    source: n.source,
+    publishedAt: n.datetime ? new Date(n.datetime * 1000).toISOString() : null,
+    image: n.image,
+    related: n.related,
+  });
+}
+
+// ---------------- Similarity ----------------
+
+function headlineTokens(title) {
+  return new Set(
+    String(title || "")
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, " ")
+      .split(/\s+/)
+      .filter((t) => t && !STOPWORDS.has(t))
+      .map((t) => (t.length > 3 && t.endsWith("s") && !t.endsWith("ss") ? t.slice(0, -1) : t)) // "recalls" ~ "recall"
+  );
+}
+
+// 🔹 Jaccard similarity of two headlines' content words (0..1)
+export function headlineSimilarity(a, b) {
+  const ta = a instanceof Set ? a : headlineTokens(a);
+  const tb = b instanceof Set ? b : headlineTokens(b);
+  if (!ta.size || !tb.size) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return shared / (ta.size + tb.size - shared);
+}
+
+function hoursApart(a, b) {
+  if (!a.publishedAt || !b.publishedAt) return 0;
+  return Math.abs(new Date(a.publishedAt) - new Date(b.publishedAt)) / 3_600_000;
+}
+
+// ---------------- Ranking ----------------
+
+// 🔹 "The Wall Street Journal" and NewsAPI's "the-wall-street-journal" compare equal
+function sourceKey(name) {
+  return String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function hostMatches(url, domains) {
+  const host = canonicalUrl(url).split("/")[0];
+  return domains.some((d) => host === d || host.endsWith(`.${d}`));
+}
+
+// 🔹 Ranking weight of an article's source (1 for wire services and major financial press)
+export function sourceQuality(a) {
+  const name = sourceKey(String(a.source || "").replace(/^the\s+/i, "").replace(/\.com$/i, ""));
+  const tier = SOURCE_TIERS.find((t) => hostMatches(a.url, t.domains) || t.names.some((n) => sourceKey(n) === name));
+  return tier ? tier.weight : DEFAULT_SOURCE_WEIGHT;
+}
+
+function articleScore(a, now) {
+  const ageHours = a.publishedAt ? Math.max(0, (now - new Date(a.publishedAt)) / 3_600_000) : 7 * 24;
+  return sourceQuality(a) * 0.5 ** (ageHours / RECENCY_HALF_LIFE_HOURS);
+}
+
+// ---------------- Dedupe and grouping ----------------
+
+/**
+ * Drop near-duplicates: the same canonical URL, or headlines at least
+ * DUPLICATE_SIMILARITY alike within the grouping window. The copy from the
+ * better source (then the one with the longer summary) is kept, and
+ * `alsoReportedBy` lists the other copies' sources.
+ */
+export function dedupeArticles(articles) {
+  const kept = [];
+  const better = (a, b) => sourceQuality(a) - sourceQuality(b) || a.summary.length - b.summary.length;
+  for (const a of articles) {
+    if (!a.url || !a.title) continue;
+    const tokens = headlineTokens(a.title);
+    const i = kept.findIndex(
+      (k) =>
+        canonicalUrl(k.url) === canonicalUrl(a.url) ||
+        (hoursApart(k, a) <= GROUP_WINDOW_HOURS && headlineSimilarity(k.tokens, tokens) >= DUPLICATE_SIMILARITY)
+    );
+    if (i === -1) {
+      kept.push({ ...a, alsoReportedBy: [], tokens });
+      continue;
+    }
+    const existing = kept[i];
+    const [winner, loser] = better(a, existing) > 0 ? [{ ...a, tokens }, existing] : [existing, a];
+    const sources = new Set([...existing.alsoReportedBy, loser.source].filter((s) => s && s !== winner.source));
+    kept[i] = { ...winner, alsoReportedBy: [...sources] };
+  }
+  return kept.map(({ tokens, ...a }) => a);
+}
+
+/**
+ * Group deduplicated articles covering the same event and rank everything.
+ *
+ * Articles join the first group holding a headline at least GROUP_SIMILARITY
+ * alike and published within GROUP_WINDOW_HOURS. Articles are scored by
+ * source quality with a 24-hour recency half-life; a group scores its best
+ * article plus COVERAGE_BONUS per extra source. Returns groups best first,
+ * each { id, headline, summary, score, sources, firstPublishedAt,
+ * lastPublishedAt, articles } with its articles best first.
+ */
+export function groupArticles(articles, now = new Date()) {
+  const scored = articles
+    .map((a) => ({
+      ...a,
+      alsoReportedBy: a.alsoReportedBy || [],
+      tokens: headlineTokens(a.title),
+      score: Number(articleScore(a, now).toFixed(4)),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const groups = [];
+  for (const a of scored) {
+    const group = groups.find((g) =>
+      g.members.some((m) => hoursApart(m, a) <= GROUP_WINDOW_HOURS && headlineSimilarity(m.tokens, a.tokens) >= GROUP_SIMILARITY)
+    );
+    if (group) group.members.push(a);
+    else groups.push({ members: [a] });
+  }
+
+  return groups
+    .map(({ members }) => {
+      const [lead] = members;
+      const sources = [...new Set(members.flatMap((m) => [m.source, ...m.alsoReportedBy]).filter(Boolean))];
+      const dates = members.map((m) => m.publishedAt).filter(Boolean).sort();
+      return {
+        id: lead.id,
+        headline: lead.title,
+        summary: lead.summary,
+        score: Number((lead.score + COVERAGE_BONUS * Math.max(0, sources.length - 1)).toFixed(4)),
+        sources,
+        firstPublishedAt: dates[0] || null,
+        lastPublishedAt: dates[dates.length - 1] || null,
+        articles: members.map(({ tokens, ...m }) => m),
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// ---------------- Query controls ----------------
+
+function listParam(value) {
+  const items = Array.isArray(value) ? value : typeof value === "string" ? value.split(",") : [];
+  return [...new Set(items.map((v) => String(v).trim().toLowerCase()).filter(Boolean))];
+}
+
+
+// 🔹 Client-side include / exclude filters, for providers that can't apply them (and NewsAPI's missing excludeSources)
+function matchesControls(a, { domains, excludeDomains, sources, excludeSources }) {
+  if (domains.length && !hostMatches(a.url, domains)) return false;
+  if (excludeDomains.length && hostMatches(a.url, excludeDomains)) return false;
+  const source = sourceKey(a.source);
+  if (sources.length && !sources.some((s) => sourceKey(s) === source)) return false;
+  if (excludeSources.length && excludeSources.some((s) => sourceKey(s) === source)) return false;
+  return true;
+}
+
+/**
+ * Validate the feed controls a news route accepts in its body:
+ * from / to (YYYY-MM-DD), page, pageSize (1-100), cursor, domains /
+ * excludeDomains ("reuters.com"), sources / excludeSources (names or
+ * NewsAPI ids), language and sortBy (NEWS_SORTS). Lists may be arrays or
+ * comma-separated strings. Returns { controls } or { error } with a message
+ * for a 400; the cursor is checked later by decodeNewsCursor.
+ */
+export function parseNewsControls(body = {}) {
+  const { from, to, cursor, language = "en", sortBy = "rank" } = body;
+  const page = body.page === undefined ? 1 : Number(body.page);
+  const pageSize = body.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(body.pageSize);
+
+  if ((from && !ISO_DATE.test(from)) || (to && !ISO_DATE.test(to))) return { error: "from and to must be YYYY-MM-DD." };
+  if (from && to && from > to) return { error: "from must not be after to." };
+  if (!Number.isInteger(page) || page < 1 || page > MAX_PAGE) return { error: `page must be a whole number from 1 to ${MAX_PAGE}.` };
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > NEWSAPI_MAX_PAGE_SIZE) {
+    return { error: `pageSize must be a whole number from 1 to ${NEWSAPI_MAX_PAGE_SIZE}.` };
+  }
+  if (cursor !== undefined && typeof cursor !== "string") return { error: "cursor must be a string." };
+  if (!NEWSAPI_LANGUAGES.includes(language)) return { error: `language must be one of: ${NEWSAPI_LANGUAGES.join(", ")}.` };
+  if (!NEWS_SORTS.includes(sortBy)) return { error: `sortBy must be one of: ${NEWS_SORTS.join(", ")}.` };
+
+  return {
+    controls: {
+      from: from || null,
+      to: to || null,
+      cursor: cursor || null,
+      page,
+      pageSize,
+      language,
+      sortBy,
+      domains: listParam(body.domains),
+      excludeDomains: listParam(body.excludeDomains),
+      sources: listParam(body.sources),
+      excludeSources: listParam(body.excludeSources),
+    },
+  };
+}
+
+// ---------------- Cursors ----------------
+
+// 🔹 Fingerprint of everything that defines a feed except its page and window
+function cursorKey(options) {
+  const fields = ["query", "ticker", "companyName", "pageSize", "language", "sortBy", "domains", "excludeDomains", "sources", "excludeSources"];
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify(fields.map((f) => options[f] ?? null)))
+    .digest("hex")
+    .slice(0, 12);
+}
+
+// 🔹 Opaque cursor for a feed page; it pins the window so later pages don't drift as days pass
+export function encodeNewsCursor(options, page) {
+  const payload = { p: page, f: options.from, t: options.to, k: cursorKey(options) };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+// 🔹 { page, from, to } from a cursor, or null when it is malformed or belongs to a different feed
+export function decodeNewsCursor(cursor, options) {
+  try {
+    const { p, f, t, k } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (k !== cursorKey(options) || !Number.isInteger(p) || p < 1 || p > MAX_PAGE) return null;
+    if (!ISO_DATE.test(f) || !ISO_DATE.test(t)) return null;
+    return { page: p, from: f, to: t };
+  } catch {
+    return null;
+  }
+}
+
+// ---------------- Feed ----------------
+
+/**
+ * One page of the merged news feed for a search and/or a company.
+ *
+ * - query: NewsAPI search text (a company's name is searched when omitted)
+ * - ticker: Finnhub company news (Finnhub only searches by ticker)
+ * - companyName: narrows the NewsAPI search to the company
+ * - from / to: YYYY-MM-DD; the last 7 days by default
+ * - page / pageSize: each provider's page; NewsAPI pages server-side and
+ *   Finnhub (which returns the whole window) is paged here
+ * - domains, excludeDomains, sources, excludeSources, language, sortBy:
+ *   see parseNewsControls. Finnhub is English only and is skipped for other
+ *   languages.
+ *
+ * Returns { from, to, page, pageSize, total, nextCursor, articles, groups,
+ * providers }. Articles are deduplicated and ordered by sortBy; groups are
+ * always ranked. total adds up the providers' totals (providers report each
+ * one's { provider, status, count, total, message }) and nextCursor is null
+ * on the last page. A failing provider doesn't fail the feed.
+ */
+export async function fetchNews(options = {}) {
+  const {
+    query,
+    ticker,
+    companyName,
+    from,
+    to,
+    page = 1,
+    pageSize = DEFAULT_PAGE_SIZE,
+    language = "en",
+    sortBy = "rank",
+  } = options;
+  const filters = {
+    domains: options.domains || [],
+    excludeDomains: options.excludeDomains || [],
+    sources: options.sources || [],
+    excludeSources: options.excludeSources || [],
+  };
+
+  const end = to || isoDate(new Date());
+  const startDate = new Date(end);
+  startDate.setUTCDate(startDate.getUTCDate() - DEFAULT_WINDOW_DAYS);
+  const start = from || isoDate(startDate);
+
+  const name = companyName ? normalizeCompanyName(companyName) || companyName : null;
+  const searchText = [name ? `"${name}"` : null, query].filter(Boolean).join(" ");
+  const offset = (page - 1) * pageSize;
+
+  const requests = [];
+  if (searchText && config.newsApiKey) {
+    requests.push([
+      "newsapi",
+      async () => {
+        const { articles, totalResults } = await searchEverything({
+          q: searchText,
+          from: start,
+          to: end,
+          language,
+          sortBy: sortBy === "rank" ? "publishedAt" : sortBy,
+          page,
+          pageSize,
+          ...filters,
+        });
+        return { articles: articles.map(fromNewsApi), total: totalResults };
+      },
+    ]);
+  }
+  const providers = [];
+  if (ticker && config.finnhubApiKey && language !== "en") {
+    providers.push({ provider: "finnhub", status: "skipped", count: 0, total: 0, message: "Finnhub news is English only." });
+  } else if (ticker && config.finnhubApiKey) {
+    requests.push([
+      "finnhub",
+      async () => {
+        const matching = (await fetchCompanyNews(ticker, { from: start, to: end })).map(fromFinnhub).filter((a) => matchesControls(a, filters));
+        return { articles: matching.slice(offset, offset + pageSize), total: matching.length };
+      },
+    ]);
+  }
+
+  const all = [];
+  const results = await Promise.allSettled(requests.map(([, run]) => run()));
+  results.forEach((result, i) => {
+    const provider = requests[i][0];
+    if (result.status === "fulfilled") {
+      const articles = result.value.articles.filter((a) => matchesControls(a, filters));
+      providers.push({ provider, status: "ok", count: articles.length, total: result.value.total });
+      // position keeps each provider's own order for the relevancy / popularity sorts
+      all.push(...articles.map((a, position) => ({ ...a, position })));
+    } else {
+      console.error(`Error fetching ${provider} news:`, result.reason?.message);
+      providers.push({ provider, status: "error", count: 0, total: 0, message: result.reason?.message });
+    }
+  });
+
+  const groups = groupArticles(dedupeArticles(all)).map((g) => ({ ...g, articles: g.articles.map(({ position, ...a }) => a) }));
+  const positions = new Map(all.map((a) => [a.id, a.position]));
+  const order = {
+    rank: (a, b) => b.score - a.score,
+    publishedAt: (a, b) => String(b.publishedAt || "").localeCompare(String(a.publishedAt || "")),
+    relevancy: (a, b) => positions.get(a.id) - positions.get(b.id) || b.score - a.score,
+  };
+  const articles = groups
+    .flatMap((g) => g.articles.map((a) => ({ ...a, groupId: g.id })))
+    .sort(order[sortBy] || order.relevancy);
+
+  const total = providers.reduce((sum, p) => sum + p.total, 0);
+  const hasMore = providers.some((p) => p.status === "ok" && page * pageSize < p.total) && page < MAX_PAGE;
+  return {
+    from: start,
+    to: end,
+    page,
+    pageSize,
+    total,
+    nextCursor: hasMore ? encodeNewsCursor({ ...options, from: start, to: end, ...filters, language, sortBy, pageSize }, page + 1) : null,
+    articles,
+    groups,
+    providers,
+  };
+}
+
+// 🔹 Groups for an API response: articles referenced by id (they are listed once in the feed's articles)
+export function compactGroups(groups) {
+  return groups.map(({ articles, ...group }) => ({ ...group, articleIds: articles.map((a) => a.id) }));
+}
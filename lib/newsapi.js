@@ -0,0 +1,38 @@
+import axios from "axios";
+import config from "./config.js";
+
+const NEWSAPI_URL = "https://newsapi.org/v2/everything";
+
+// Languages and sort orders the "everything" endpoint accepts
+export const NEWSAPI_LANGUAGES = ["ar", "de", "en", "es", "fr", "he", "it", "nl", "no", "pt", "ru", "sv", "ud", "zh"];
+export const NEWSAPI_SORTS = ["publishedAt", "relevancy", "popularity"];
+export const NEWSAPI_MAX_PAGE_SIZE = 100;
+
+/**
+ * NewsAPI "everything" search. `q` is the search text; from / to are
+ * YYYY-MM-DD and optional. domains / excludeDomains are lists of hosts
+ * ("reuters.com") and sources a list of NewsAPI source ids ("bloomberg").
+ * Returns { articles, totalResults } with the raw articles (title,
+ * description, url, source.name, publishedAt, ...).
+ */
+export async function searchEverything({
+  q,
+  from,
+  to,
+  language = "en",
+  sortBy = "publishedAt",
+  page = 1,
+  pageSize = 5,
+  domains = [],
+  excludeDomains = [],
+  sources = [],
+}) {
+  const params = { q, language, sortBy, page: String(page), pageSize: String(pageSize), apiKey: config.newsApiKey };
+  if (from) params.from = from;
+  if (to) params.to = to;
+  if (domains.length) params.domains = domains.join(",");
+  if (excludeDomains.length) params.excludeDomains = excludeDomains.join(",");
+  if (sources.length) params.sources = sources.join(",");
+  const { data } = await axios.get(NEWSAPI_URL, { params });
+  return { articles: data.articles || [], totalResults: data.totalResults ?? 0 };
+}
@@ -0,0 +1,121 @@
+import { computeRatios, formatValue } from "./ratios.js";
+
+// Side-by-side comparison of several companies: market snapshot figures plus
+// figures computed from each company's latest annual XBRL financials.
+
+export const MAX_PEERS = 8;
+
+// What the comparison table shows. unit as in RATIO_DEFINITIONS; better: which
+// direction ranks first (valuation multiples rank cheapest first).
+export const PEER_METRICS = [
+  { key: "marketCap", label: "Market cap", source: "snapshot", unit: "currency", better: "higher" },
+  { key: "revenue", label: "Revenue (FY)", source: "filings", unit: "currency", better: "higher" },
+  { key: "revenueGrowth", label: "Revenue growth (YoY)", source: "filings", unit: "percent", better: "higher" },
+  { key: "grossMargin", label: "Gross margin", source: "filings", unit: "percent", better: "higher" },
+  { key: "operatingMargin", label: "Operating margin", source: "filings", unit: "percent", better: "higher" },
+  { key: "netMargin", label: "Net margin", source: "filings", unit: "percent", better: "higher" },
+  { key: "returnOnEquity", label: "Return on equity", source: "filings", unit: "percent", better: "higher" },
+  { key: "peRatio", label: "P/E (TTM)", source: "snapshot", unit: "multiple", better: "lower" },
+  { key: "forwardPE", label: "Forward P/E", source: "snapshot", unit: "multiple", better: "lower" },
+  { key: "priceToBook", label: "Price/book", source: "snapshot", unit: "multiple", better: "lower" },
+  { key: "priceToSales", label: "Price/sales", source: "computed", unit: "multiple", better: "lower" },
+  { key: "dividendYield", label: "Dividend yield", source: "snapshot", unit: "percent", better: "higher" },
+];
+
+// ---------------- Helpers ----------------
+
+function ratio(numerator, denominator) {
+  if (numerator === null || numerator === undefined || !denominator) return null;
+  return Number((numerator / denominator).toFixed(4));
+}
+
+/**
+ * Figures from a company's latest fiscal year in XBRL (normalizeCompanyFacts
+ * output), computed by the ratio engine so every figure is for the same
+ * fiscal year. Margins and growth are fractions. Returns null without an
+ * annual revenue figure.
+ */
+export function filingMetrics(normalized) {
+  const { fiscalYear, periodEnd, accessionNumber, ratios, inputs } = computeRatios({ financials: normalized });
+  if (!periodEnd) return null;
+  const value = (key) => ratios.find((r) => r.key === key)?.value ?? null;
+  return {
+    fiscalYear,
+    periodEnd,
+    accessionNumber,
+    revenue: inputs.revenue?.value ?? null,
+    netIncome: inputs.netIncome?.value ?? null,
+    grossMargin: value("grossMargin"),
+    operatingMargin: value("operatingMargin"),
+    netMargin: value("netMargin"),
+    returnOnEquity: value("returnOnEquity"),
+    revenueGrowth: value("revenueGrowth"),
+  };
+}
+
+// ---------------- Comparison ----------------
+
+/**
+ * Comparison table and rankings.
+ *
+ * `companies` is [{ ticker, name, cik, snapshot, filings }] where snapshot is
+ * a fetchCompanySnapshot result and filings a filingMetrics result (either
+ * may be null). Returns { metrics, rows, rankings, leaders }:
+ * - rows: one per company with a value (or null) for every metric key
+ * - rankings: metric key -> [{ ticker, value, rank }] best first; companies
+ *   without the figure are left out
+ * - leaders: metric key -> ticker ranked first
+ */
+export function buildComparison(companies, { metrics = PEER_METRICS } = {}) {
+  const rows = companies.map(({ ticker, name, cik, snapshot, filings }) => {
+    const values = {};
+    for (const m of metrics) {
+      // XBRL revenue is in USD; a market cap in another listing currency would give a meaningless multiple
+      if (m.key === "priceToSales") values[m.key] = snapshot?.currency === "USD" ? ratio(snapshot.marketCap, filings?.revenue) : null;
+      else if (m.source === "filings") values[m.key] = filings?.[m.key] ?? null;
+      else values[m.key] = snapshot?.[m.key] ?? null;
+    }
+    return {
+      ticker,
+      name: name || snapshot?.name || null,
+      cik: cik || null,
+      currency: snapshot?.currency || null,
+      fiscalYear: filings?.fiscalYear ?? null,
+      periodEnd: filings?.periodEnd ?? null,
+      ...values,
+    };
+  });
+
+  const rankings = {};
+  const leaders = {};
+  for (const m of metrics) {
+    const ranked = rows
+      .filter((r) => r[m.key] !== null && Number.isFinite(r[m.key]))
+      // a negative P/E means losses, not a cheap stock
+      .filter((r) => m.better !== "lower" || r[m.key] > 0)
+      .sort((a, b) => (m.better === "lower" ? a[m.key] - b[m.key] : b[m.key] - a[m.key]))
+      .map((r, i) => ({ ticker: r.ticker, value: r[m.key], rank: i + 1 }));
+    rankings[m.key] = ranked;
+    leaders[m.key] = ranked[0]?.ticker || null;
+  }
+
+  return { metrics: metrics.map(({ key, label, source, unit, better }) => ({ key, label, source, unit, better })), rows, rankings, leaders };
+}
+
+// 🔹 Comparison as prompt lines ("- MSFT Gross margin: 69.39%"), every figure already formatted
+export function comparisonFactLines(comparison) {
+  const lines = [];
+  for (const row of comparison.rows) {
+    const period = row.fiscalYear ? ` (filing figures: FY${row.fiscalYear}, period ending ${row.periodEnd})` : "";
+    lines.push(`- ${row.ticker}: ${row.name || "N/A"}${period}`);
+    for (const m of comparison.metrics) {
+      if (row[m.key] === null) continue;
+      const currency = m.source === "filings" ? "USD" : row.currency || "USD";
+      lines.push(`- ${row.ticker} ${m.label}: ${formatValue(row[m.key], m.unit, currency)}`);
+    }
+  }
+  for (const m of comparison.metrics) {
+    if (comparison.leaders[m.key]) lines.push(`- Leader on ${m.label}: ${comparison.leaders[m.key]}`);
+  }
+  return lines;
+}
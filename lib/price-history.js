@@ -0,0 +1,223 @@
+import { yahooFinance } from "./yahoo.js";
+import { isoDate } from "./time-range.js";
+
+const CACHE_TTL_MS = 15 * 60 * 1000; // daily bars only move during the trading session
+const MAX_CACHED_HISTORIES = 500; // from / to are free-form, so windows don't repeat much
+const historyCache = new Map(); // ticker|from|to|interval -> { fetchedAt, data }
+
+// Bars per year for annualizing volatility
+export const INTERVALS = { "1d": 252, "1wk": 52, "1mo": 12 };
+export const DEFAULT_MOVING_AVERAGES = [20, 50, 200];
+
+// ---------------- Helpers ----------------
+
+function round(value, digits = 2) {
+  return value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits));
+}
+
+function pct(value) {
+  return round(value * 100);
+}
+
+// 🔹 "1m", "3m", "6m", "ytd", "1y", "2y", "5y", "10y" -> { from, to }; null for anything else
+export function presetRange(preset, now = new Date()) {
+  const m = String(preset || "").toLowerCase().match(/^(\d+)([my])$|^ytd$/);
+  if (!m) return null;
+  const from = new Date(now);
+  if (!m[1]) return { from: `${now.getUTCFullYear()}-01-01`, to: isoDate(now) };
+  if (m[2] === "m") from.setUTCMonth(from.getUTCMonth() - Number(m[1]));
+  else from.setUTCFullYear(from.getUTCFullYear() - Number(m[1]));
+  return { from: isoDate(from), to: isoDate(now) };
+}
+
+// 🔹 Simple moving average of `values` over `window` bars, aligned with the input (null until the window fills)
+export function movingAverage(values, window) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= window) sum -= values[i - window];
+    if (i >= window - 1) out[i] = sum / window;
+  }
+  return out;
+}
+
+// ---------------- History ----------------
+
+/**
+ * OHLCV bars for a ticker from Yahoo Finance, oldest first.
+ *
+ * from / to are YYYY-MM-DD (inclusive); interval is "1d", "1wk" or "1mo".
+ * Bars Yahoo returns without a close (holidays, halted sessions) are dropped.
+ * adjClose includes dividends and splits and is what returns are computed
+ * from; close is the traded price. Returns null when Yahoo has no data.
+ */
+export async function fetchPriceHistory(ticker, { from, to, interval = "1d" } = {}) {
+  if (!ticker) return null;
+  const symbol = String(ticker).toUpperCase();
+  const end = to || isoDate(new Date());
+  const start = from || presetRange("1y", new Date(end)).from;
+  const key = `${symbol}|${start}|${end}|${interval}`;
+
+  const cached = historyCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) return cached.data;
+
+  try {
+    // period2 is exclusive
+    const period2 = new Date(end);
+    period2.setUTCDate(period2.getUTCDate() + 1);
+    const result = await yahooFinance.chart(symbol, { period1: start, period2, interval });
+
+    const meta = result?.meta || {};
+    // bar timestamps are the exchange's session open; shift to exchange time so Asian sessions keep their date
+    const offsetMs = (meta.gmtoffset || 0) * 1000;
+    const bars = (result?.quotes || [])
+      .filter((q) => q.close !== null && q.close !== undefined)
+      .map((q) => ({
+        date: isoDate(new Date(new Date(q.date).getTime() + offsetMs)),
+        open: q.open,
+        high: q.high,
+        low: q.low,
+        close: q.close,
+        adjClose: q.adjclose ?? q.close,
+        volume: q.volume,
+      }));
+    if (!bars.length) return null;
+
+    const data = {
+      ticker: meta.symbol || symbol,
+      name: meta.longName || meta.shortName || null,
+      currency: meta.currency || null,
+      exchange: meta.fullExchangeName || meta.exchangeName || null,
+      interval,
+      from: start,
+      to: end,
+      bars,
+    };
+    historyCache.delete(key);
+    if (historyCache.size >= MAX_CACHED_HISTORIES) historyCache.delete(historyCache.keys().next().value);
+    historyCache.set(key, { fetchedAt: Date.now(), data });
+    return data;
+  } catch (err) {
+    console.error(`Error fetching price history for ${symbol}:`, err.message);
+    return null;
+  }
+}
+
+// ---------------- Analytics ----------------
+
+/**
+ * Performance statistics over a list of bars (oldest first).
+ *
+ * - totalReturnPct / annualizedReturnPct from adjusted closes (the annualized
+ *   figure only for windows of a year or more)
+ * - volatilityPct: annualized standard deviation of bar-to-bar returns
+ * - maxDrawdown: the largest peak-to-trough fall in adjusted close
+ * - movingAverages: latest value of each SMA and how far the last close is
+ *   above (+) or below (-) it
+ */
+export function computePerformance(bars, { interval = "1d", movingAverages = DEFAULT_MOVING_AVERAGES } = {}) {
+  if (!bars?.length) return null;
+  const first = bars[0];
+  const last = bars[bars.length - 1];
+  const adj = bars.map((b) => b.adjClose);
+
+  const returns = [];
+  for (let i = 1; i < adj.length; i++) {
+    if (adj[i - 1]) returns.push(adj[i] / adj[i - 1] - 1);
+  }
+  const mean = returns.reduce((sum, r) => sum + r, 0) / (returns.length || 1);
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / Math.max(1, returns.length - 1);
+  const volatility = returns.length > 1 ? Math.sqrt(variance) * Math.sqrt(INTERVALS[interval] || INTERVALS["1d"]) : null;
+
+  let peak = first;
+  let drawdown = { fall: 0, peak: first, trough: first };
+  for (const bar of bars) {
+    if (bar.adjClose > peak.adjClose) peak = bar;
+    const fall = bar.adjClose / peak.adjClose - 1;
+    if (fall < drawdown.fall) drawdown = { fall, peak, trough: bar };
+  }
+  // recovered once a later bar closes back at the old peak
+  const recovery = drawdown.fall < 0
+    ? bars.find((b) => b.date > drawdown.trough.date && b.adjClose >= drawdown.peak.adjClose)
+    : null;
+
+  const totalReturn = adj[0] ? last.adjClose / adj[0] - 1 : null;
+  const days = (new Date(last.date) - new Date(first.date)) / 86_400_000;
+  const annualized = totalReturn !== null && days >= 365 ? (1 + totalReturn) ** (365 / days) - 1 : null;
+
+  const high = bars.reduce((best, b) => ((b.high ?? b.close) > (best.high ?? best.close) ? b : best));
+  const low = bars.reduce((best, b) => ((b.low ?? b.close) < (best.low ?? best.close) ? b : best));
+
+  const closes = bars.map((b) => b.close);
+  const averages = {};
+  for (const window of movingAverages) {
+    const value = movingAverage(closes, window).at(-1);
+    averages[`sma${window}`] = value === null
+      ? null
+      : { value: round(value), lastCloseVsPct: pct(last.close / value - 1) };
+  }
+
+  const volumes = bars.map((b) => b.volume).filter((v) => Number.isFinite(v));
+  return {
+    startDate: first.date,
+    endDate: last.date,
+    bars: bars.length,
+    startPrice: round(first.close),
+    endPrice: round(last.close),
+    priceChange: round(last.close - first.close),
+    totalReturnPct: totalReturn === null ? null : pct(totalReturn),
+    annualizedReturnPct: annualized === null ? null : pct(annualized),
+    volatilityPct: volatility === null ? null : pct(volatility),
+    maxDrawdown: {
+      pct: pct(drawdown.fall),
+      peakDate: drawdown.peak.date,
+      troughDate: drawdown.trough.date,
+      recoveredDate: recovery?.date || null,
+    },
+    high: { price: round(high.high ?? high.close), date: high.date },
+    low: { price: round(low.low ?? low.close), date: low.date },
+    averageVolume: volumes.length ? Math.round(volumes.reduce((sum, v) => sum + v, 0) / volumes.length) : null,
+    movingAverages: averages,
+  };
+}
+
+// 🔹 Column arrays for charting: dates, OHLCV and one series per moving average (null until it fills)
+export function chartSeries(bars, { movingAverages = DEFAULT_MOVING_AVERAGES } = {}) {
+  const closes = bars.map((b) => b.close);
+  const series = {
+    dates: bars.map((b) => b.date),
+    open: bars.map((b) => b.open),
+    high: bars.map((b) => b.high),
+    low: bars.map((b) => b.low),
+    close: closes,
+    volume: bars.map((b) => b.volume),
+  };
+  for (const window of movingAverages) {
+    series[`sma${window}`] = movingAverage(closes, window).map((v) => round(v));
+  }
+  return series;
+}
+
+// 🔹 computePerformance output as prompt lines, every figure already formatted
+export function performanceFactLines(history) {
+  const p = history?.performance;
+  if (!p) return [];
+  const money = (value) => (value === null ? "N/A" : `${value.toFixed(2)}${history.currency ? ` ${history.currency}` : ""}`);
+  const percent = (value) => (value === null ? "N/A" : `${value.toFixed(2)}%`);
+  const lines = [
+    `- Price period: ${p.startDate} to ${p.endDate} (${history.interval} bars)`,
+    `- Start price: ${money(p.startPrice)}; end price: ${money(p.endPrice)}; change: ${money(p.priceChange)}`,
+    `- Total return (dividend-adjusted): ${percent(p.totalReturnPct)}`,
+    `- Annualized return: ${percent(p.annualizedReturnPct)}`,
+    `- Annualized volatility: ${percent(p.volatilityPct)}`,
+    `- Max drawdown: ${percent(p.maxDrawdown.pct)} (peak ${p.maxDrawdown.peakDate}, trough ${p.maxDrawdown.troughDate}${
+      p.maxDrawdown.recoveredDate ? `, recovered ${p.maxDrawdown.recoveredDate}` : ", not recovered"
+    })`,
+    `- Period high: ${money(p.high.price)} on ${p.high.date}; period low: ${money(p.low.price)} on ${p.low.date}`,
+  ];
+  for (const [name, ma] of Object.entries(p.movingAverages)) {
+    if (ma) lines.push(`- ${name.toUpperCase()}: ${money(ma.value)}; last close vs ${name.toUpperCase()}: ${percent(ma.lastCloseVsPct)}`);
+  }
+  return lines;
+}
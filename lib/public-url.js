@@ -0,0 +1,81 @@
+import dns from "dns/promises";
+import net from "net";
+
+// Guards for requests to URLs that come from API callers or third-party feeds
+// (webhooks, news article pages): they must not reach the gateway's own
+// network, so loopback, private, link-local (cloud metadata) and other
+// non-public addresses are refused.
+
+const PRIVATE_RANGES = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, including 169.254.169.254 metadata services
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4], // multicast and reserved
+]) {
+  PRIVATE_RANGES.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 127], // unspecified and loopback
+  ["64:ff9b::", 96], // NAT64, which maps onto IPv4
+  ["2001:db8::", 32],
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  PRIVATE_RANGES.addSubnet(prefix, bits, "ipv6");
+}
+
+// 🔹 Whether an IP address is loopback, private, link-local or otherwise not on the public internet
+export function isPrivateAddress(address) {
+  const mapped = String(address).match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i); // IPv4-mapped IPv6
+  const ip = mapped ? mapped[1] : String(address);
+  const family = net.isIP(ip);
+  if (!family) return true;
+  return PRIVATE_RANGES.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * DNS lookup for axios's `lookup` option that fails when a host resolves to
+ * a private address. It runs when the connection is made (for redirects
+ * too), so the answer can't change between a check and the request.
+ */
+export async function publicLookup(hostname, options = {}) {
+  const addresses = await dns.lookup(hostname, { all: true, family: options.family || 0 });
+  const blocked = addresses.find((a) => isPrivateAddress(a.address));
+  if (blocked) throw new Error(`${hostname} resolves to a non-public address (${blocked.address})`);
+  return addresses;
+}
+
+/**
+ * Whether `url` is an http(s) URL whose host is a public address (every
+ * address it resolves to, for host names). Hosts in `allowedHosts` (lower
+ * case) pass without the check. Never throws.
+ */
+export async function isPublicUrl(url, { allowedHosts = [] } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) return false;
+  const host = parsed.hostname.toLowerCase().replace(/^\[(.*)\]$/, "$1");
+  if (allowedHosts.includes(host)) return true;
+  if (net.isIP(host)) return !isPrivateAddress(host);
+  try {
+    await publicLookup(host);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,315 @@
+// Financial ratios computed in code from normalized fundamentals (XBRL company
+// facts) and market data (a fetchCompanySnapshot result), so prompts can give
+// the model finished numbers instead of asking it to do arithmetic.
+
+// ---------------- Definitions ----------------
+
+// unit: "percent" (stored as a fraction), "multiple", "number", "currency", "perShare" or "shares"
+export const RATIO_DEFINITIONS = [
+  // margins
+  { key: "grossMargin", label: "Gross margin", category: "margins", unit: "percent", formula: "grossProfit / revenue" },
+  { key: "operatingMargin", label: "Operating margin", category: "margins", unit: "percent", formula: "operatingIncome / revenue" },
+  { key: "netMargin", label: "Net margin", category: "margins", unit: "percent", formula: "netIncome / revenue" },
+  { key: "fcfMargin", label: "Free cash flow margin", category: "margins", unit: "percent", formula: "freeCashFlow / revenue" },
+
+  // growth
+  { key: "revenueGrowth", label: "Revenue growth (YoY)", category: "growth", unit: "percent", formula: "revenue / previousRevenue - 1" },
+  { key: "netIncomeGrowth", label: "Net income growth (YoY)", category: "growth", unit: "percent", formula: "netIncome / previousNetIncome - 1" },
+  { key: "epsGrowth", label: "Diluted EPS growth (YoY)", category: "growth", unit: "percent", formula: "eps / previousEps - 1" },
+
+  // returns
+  { key: "returnOnEquity", label: "Return on equity", category: "returns", unit: "percent", formula: "netIncome / equity" },
+  { key: "returnOnAssets", label: "Return on assets", category: "returns", unit: "percent", formula: "netIncome / assets" },
+
+  // leverage
+  { key: "debtToEquity", label: "Long-term debt to equity", category: "leverage", unit: "multiple", formula: "longTermDebt / equity" },
+  { key: "liabilitiesToAssets", label: "Liabilities to assets", category: "leverage", unit: "percent", formula: "liabilities / assets" },
+  { key: "netDebt", label: "Net debt", category: "leverage", unit: "currency", formula: "longTermDebt - cash" },
+
+  // liquidity
+  { key: "currentRatio", label: "Current ratio", category: "liquidity", unit: "multiple", formula: "currentAssets / currentLiabilities" },
+  { key: "cashRatio", label: "Cash ratio", category: "liquidity", unit: "multiple", formula: "cash / currentLiabilities" },
+
+  // cash flow
+  { key: "freeCashFlow", label: "Free cash flow", category: "cashFlow", unit: "currency", formula: "operatingCashFlow - capitalExpenditures" },
+  { key: "fcfYield", label: "Free cash flow yield", category: "cashFlow", unit: "percent", formula: "freeCashFlow / marketCap" },
+
+  // valuation
+  { key: "peRatio", label: "P/E (fiscal-year EPS)", category: "valuation", unit: "multiple", formula: "price / eps" },
+  { key: "priceToSales", label: "Price/sales", category: "valuation", unit: "multiple", formula: "marketCap / revenue" },
+  { key: "priceToBook", label: "Price/book", category: "valuation", unit: "multiple", formula: "marketCap / equity" },
+  { key: "enterpriseValue", label: "Enterprise value", category: "valuation", unit: "currency", formula: "marketCap + longTermDebt - cash" },
+  { key: "evToOperatingIncome", label: "EV/operating income", category: "valuation", unit: "multiple", formula: "enterpriseValue / operatingIncome" },
+  { key: "earningsYield", label: "Earnings yield", category: "valuation", unit: "percent", formula: "eps / price" },
+];
+
+// How each ratio is computed; null when the figures make it meaningless
+const EVALUATORS = {
+  grossMargin: (v) => v.grossProfit / v.revenue,
+  operatingMargin: (v) => v.operatingIncome / v.revenue,
+  netMargin: (v) => v.netIncome / v.revenue,
+  revenueGrowth: (v) => v.revenue / v.previousRevenue - 1,
+  netIncomeGrowth: (v) => (v.previousNetIncome > 0 ? v.netIncome / v.previousNetIncome - 1 : null),
+  epsGrowth: (v) => (v.previousEps > 0 ? v.eps / v.previousEps - 1 : null),
+  returnOnEquity: (v) => (v.equity > 0 ? v.netIncome / v.equity : null),
+  returnOnAssets: (v) => v.netIncome / v.assets,
+  debtToEquity: (v) => (v.equity > 0 ? v.longTermDebt / v.equity : null),
+  liabilitiesToAssets: (v) => v.liabilities / v.assets,
+  netDebt: (v) => v.longTermDebt - v.cash,
+  currentRatio: (v) => v.currentAssets / v.currentLiabilities,
+  cashRatio: (v) => v.cash / v.currentLiabilities,
+  freeCashFlow: (v) => v.operatingCashFlow - v.capitalExpenditures,
+  fcfMargin: (v) => v.freeCashFlow / v.revenue,
+  fcfYield: (v) => v.freeCashFlow / v.marketCap,
+  peRatio: (v) => (v.eps > 0 ? v.price / v.eps : null),
+  priceToSales: (v) => v.marketCap / v.revenue,
+  priceToBook: (v) => (v.equity > 0 ? v.marketCap / v.equity : null),
+  enterpriseValue: (v) => v.marketCap + v.longTermDebt - v.cash,
+  evToOperatingIncome: (v) => (v.operatingIncome > 0 ? v.enterpriseValue / v.operatingIncome : null),
+  earningsYield: (v) => v.eps / v.price,
+};
+// freeCashFlow and enterpriseValue feed other ratios, so they are computed first
+const EVALUATION_ORDER = [
+  "freeCashFlow",
+  "enterpriseValue",
+  ...RATIO_DEFINITIONS.map((d) => d.key).filter((k) => k !== "freeCashFlow" && k !== "enterpriseValue"),
+];
+
+// ---------------- Helpers ----------------
+
+// 🔹 Names a formula refers to ("revenue / previousRevenue - 1" -> ["revenue", "previousRevenue"])
+function formulaInputs(formula) {
+  return [...new Set(formula.match(/[a-zA-Z]+/g))];
+}
+
+// 🔹 Display a value the way prompts and answers should quote it
+export function formatValue(value, unit, currency) {
+  if (value === null || value === undefined) return "N/A";
+  if (unit === "percent") return `${(value * 100).toFixed(2)}%`;
+  if (unit === "multiple") return `${value.toFixed(2)}x`;
+  if (unit === "number") return value.toFixed(2);
+  const label = unit === "shares" || !currency ? "" : ` ${currency}`;
+  if (unit === "perShare") return `${value.toFixed(2)}${label}`;
+  const abs = Math.abs(value);
+  const [scale, suffix] = abs >= 1e12 ? [1e12, "T"] : abs >= 1e9 ? [1e9, "B"] : abs >= 1e6 ? [1e6, "M"] : [1, ""];
+  return `${(value / scale).toFixed(2)}${suffix}${label}`;
+}
+
+// Unit of each fundamental, for display
+const INPUT_UNITS = {
+  eps: "perShare",
+  previousEps: "perShare",
+  price: "perShare",
+  sharesOutstanding: "shares",
+  dividendYield: "percent",
+  beta: "number",
+  fiftyTwoWeekHigh: "perShare",
+  fiftyTwoWeekLow: "perShare",
+  analystTargetPrice: "perShare",
+};
+
+// ---------------- Fundamentals ----------------
+
+// 🔹 Point of an XBRL series for the period ending on `end` (annual flows, instant balances)
+function pointAt(normalized, metric, end, periodType) {
+  return (normalized?.metrics[metric] || []).find((p) => p.end === end && p.periodType === periodType) || null;
+}
+
+/**
+ * The inputs ratios are computed from, each { value, source }.
+ *
+ * Statement figures come from one fiscal year in XBRL: `fiscalYear` when the
+ * filings have it, else the latest (every flow and balance for the same
+ * period end, prior-year values for growth). Price and
+ * market cap (and the yield, beta, 52-week range and target price, which are
+ * passed through) come from the market snapshot. Without XBRL data (non-SEC
+ * filers) the snapshot's TTM revenue, gross profit and EPS are used instead.
+ */
+export function collectFundamentals({ financials, snapshot, fiscalYear = null } = {}) {
+  const inputs = {};
+  const set = (name, value, source) => {
+    if (value !== null && value !== undefined && Number.isFinite(value) && !inputs[name]) inputs[name] = { value, source };
+  };
+
+  const annualRevenue = (financials?.metrics.revenue || []).filter((p) => p.periodType === "annual");
+  const latest = (fiscalYear && annualRevenue.filter((p) => p.fiscalYear === fiscalYear).at(-1)) || annualRevenue.at(-1);
+  let period = null;
+
+  if (latest) {
+    const end = latest.end;
+    const previous = annualRevenue.filter((p) => p.end < end).at(-1);
+    period = { fiscalYear: latest.fiscalYear, periodEnd: end, accessionNumber: latest.accessionNumber };
+    const source = (p) => `XBRL ${p.form} FY${p.fiscalYear} (${p.end}, ${p.accessionNumber})`;
+
+    const flow = (metric, name = metric) => {
+      const p = pointAt(financials, metric, end, "annual");
+      if (p) set(name, p.value, source(p));
+    };
+    const balance = (metric, name = metric) => {
+      const p = pointAt(financials, metric, end, "instant");
+      if (p) set(name, p.value, source(p));
+    };
+
+    set("revenue", latest.value, source(latest));
+    flow("grossProfit");
+    flow("costOfRevenue");
+    flow("operatingIncome");
+    flow("netIncome");
+    flow("epsDiluted", "eps");
+    flow("operatingCashFlow");
+    flow("capitalExpenditures");
+    balance("assets");
+    balance("liabilities");
+    balance("currentAssets");
+    balance("currentLiabilities");
+    balance("stockholdersEquity", "equity");
+    balance("cash");
+    balance("longTermDebt");
+
+    if (previous) {
+      set("previousRevenue", previous.value, source(previous));
+      const prevIncome = pointAt(financials, "netIncome", previous.end, "annual");
+      if (prevIncome) set("previousNetIncome", prevIncome.value, source(prevIncome));
+      const prevEps = pointAt(financials, "epsDiluted", previous.end, "annual");
+      if (prevEps) set("previousEps", prevEps.value, source(prevEps));
+    }
+
+    const shares = (financials.metrics.sharesOutstanding || []).filter((p) => p.end <= end).at(-1);
+    if (shares) set("sharesOutstanding", shares.value, source(shares));
+  }
+
+  if (!inputs.grossProfit && inputs.revenue && inputs.costOfRevenue) {
+    set("grossProfit", inputs.revenue.value - inputs.costOfRevenue.value, "computed: revenue - costOfRevenue");
+  }
+
+  if (snapshot) {
+    const from = (field) => `market data: ${snapshot.sources?.[field] || "snapshot"}${snapshot.asOf ? ` (as of ${snapshot.asOf})` : ""}`;
+    set("price", snapshot.price, from("price"));
+    set("marketCap", snapshot.marketCap, from("marketCap"));
+    set("revenue", snapshot.revenueTTM, from("revenueTTM"));
+    set("grossProfit", snapshot.grossProfitTTM, from("grossProfitTTM"));
+    set("eps", snapshot.eps, from("eps"));
+    set("sharesOutstanding", snapshot.sharesOutstanding, from("sharesOutstanding"));
+    // market figures quoted as-is
+    for (const field of ["dividendYield", "beta", "fiftyTwoWeekHigh", "fiftyTwoWeekLow", "analystTargetPrice"]) {
+      set(field, snapshot[field], from(field));
+    }
+  }
+  if (!inputs.marketCap && inputs.price && inputs.sharesOutstanding) {
+    set("marketCap", inputs.price.value * inputs.sharesOutstanding.value, "computed: price * sharesOutstanding");
+  }
+
+  return { ...(period || { fiscalYear: null, periodEnd: null, accessionNumber: null }), currency: snapshot?.currency || "USD", inputs };
+}
+
+// ---------------- Engine ----------------
+
+/**
+ * Every ratio the inputs allow, each with its formula and the inputs used.
+ *
+ * Returns { fiscalYear, periodEnd, accessionNumber, currency, ratios, inputs } where ratios is
+ * [{ key, label, category, unit, value, display, formula, inputs }] and each
+ * ratio input is { value, display, source }. Ratios missing an input, or
+ * meaningless for the figures (P/E on a loss), are left out.
+ */
+export function computeRatios({ financials, snapshot, fiscalYear = null } = {}) {
+  const fundamentals = collectFundamentals({ financials, snapshot, fiscalYear });
+  const { currency } = fundamentals;
+  const known = Object.fromEntries(Object.entries(fundamentals.inputs).map(([k, v]) => [k, v.value]));
+  const derived = {}; // ratio key -> input map, for ratios used by other formulas
+  const results = {};
+
+  for (const key of EVALUATION_ORDER) {
+    const definition = RATIO_DEFINITIONS.find((d) => d.key === key);
+    const names = formulaInputs(definition.formula);
+    if (!names.every((n) => known[n] !== undefined)) continue;
+
+    const value = EVALUATORS[key](known);
+    if (value === null || !Number.isFinite(value)) continue;
+    known[key] = value;
+
+    const inputs = {};
+    for (const n of names) {
+      const input = fundamentals.inputs[n];
+      inputs[n] = input
+        ? { value: input.value, display: formatValue(input.value, INPUT_UNITS[n] || "currency", currency), source: input.source }
+        : { value: known[n], display: formatValue(known[n], "currency", currency), source: `computed: ${derived[n]}` };
+    }
+    derived[key] = definition.formula;
+    results[key] = {
+      key,
+      label: definition.label,
+      category: definition.category,
+      unit: definition.unit,
+      value: Number(value.toPrecision(6)),
+      display: formatValue(value, definition.unit, currency),
+      formula: definition.formula,
+      inputs,
+    };
+  }
+
+  return {
+    fiscalYear: fundamentals.fiscalYear,
+    periodEnd: fundamentals.periodEnd,
+    accessionNumber: fundamentals.accessionNumber,
+    currency,
+    ratios: RATIO_DEFINITIONS.map((d) => results[d.key]).filter(Boolean),
+    inputs: Object.fromEntries(
+      Object.entries(fundamentals.inputs).map(([k, v]) => [
+        k,
+        { ...v, display: formatValue(v.value, INPUT_UNITS[k] || "currency", currency) },
+      ])
+    ),
+  };
+}
+
+// Quarterly figures quoted next to the ratios, in display order
+const QUARTER_METRICS = {
+  revenue: "currency",
+  grossProfit: "currency",
+  operatingIncome: "currency",
+  netIncome: "currency",
+  epsDiluted: "perShare",
+  operatingCashFlow: "currency",
+  cash: "currency",
+  longTermDebt: "currency",
+};
+
+/**
+ * One quarter's reported XBRL figures as prompt lines: "- Q3 FY2025 revenue:
+ * 94.04B USD [XBRL 10-Q (2025-06-28, ...)]".
+ *
+ * The quarter is the latest one, or the latest of `fiscalYear` (and
+ * `fiscalPeriod` when it is "Q1".."Q4") when the question names a period.
+ * Balances are those at the quarter's end. Returns [] when XBRL has no
+ * quarter for it.
+ */
+export function quarterFactLines(financials, { fiscalYear = null, fiscalPeriod = null } = {}) {
+  const quarters = (financials?.metrics.revenue?.length ? financials.metrics.revenue : financials?.metrics.netIncome || [])
+    .filter((p) => p.periodType === "quarter")
+    .filter((p) => !fiscalYear || p.fiscalYear === fiscalYear)
+    .filter((p) => !/^Q[1-4]$/.test(fiscalPeriod || "") || p.fiscalPeriod === fiscalPeriod);
+  const quarter = quarters.at(-1);
+  if (!quarter) return [];
+
+  const label = quarter.fiscalPeriod && quarter.fiscalYear ? `${quarter.fiscalPeriod} FY${quarter.fiscalYear}` : `quarter ended ${quarter.end}`;
+  const lines = [];
+  for (const [metric, unit] of Object.entries(QUARTER_METRICS)) {
+    const p = pointAt(financials, metric, quarter.end, "quarter") || pointAt(financials, metric, quarter.end, "instant");
+    if (!p) continue;
+    const currency = p.unit === "shares" ? null : p.unit.split("/")[0];
+    lines.push(`- ${label} ${metric}: ${formatValue(p.value, unit, currency)} [XBRL ${p.form} (${p.end}, ${p.accessionNumber})]`);
+  }
+  return lines;
+}
+
+// 🔹 Ratio results as prompt lines: "- Gross margin: 46.21% = grossProfit / revenue (grossProfit 180.68B USD, ...)"
+export function ratioFactLines(result) {
+  if (!result) return [];
+  const inputLines = Object.entries(result.inputs).map(([k, v]) => `- ${k}: ${v.display} [${v.source}]`);
+  const ratioLines = result.ratios.map((r) => {
+    const used = Object.entries(r.inputs).map(([k, v]) => `${k} ${v.display}`).join(", ");
+    return `- ${r.label}: ${r.display} = ${r.formula} (${used})`;
+  });
+  return [...inputLines, ...ratioLines];
+}
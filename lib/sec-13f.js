@@ -0,0 +1,264 @@
+import fs from "fs/promises";
+import path from "path";
+import config from "./config.js";
+import { secGet } from "./sec-client.js";
+import { xmlElements, xmlField, xmlNumber } from "./xml.js";
+import { fetchFilingsFromSECByCIK } from "./sec-filings.js";
+import { fetchFilingIndex } from "./sec-documents.js";
+import { normalizeCompanyName } from "./sec-reference.js";
+
+const HOLDINGS_CACHE_DIR = path.join(config.cacheDir, "13f");
+const DOLLAR_VALUES_SINCE = "2023-01-03"; // earlier information tables report value in thousands
+
+// Large 13F filers scanned by default when asking who holds a security
+export const MAJOR_INSTITUTIONS = [
+  { cik: "0000102909", name: "Vanguard Group Inc" },
+  { cik: "0001364742", name: "BlackRock Inc." },
+  { cik: "0000093751", name: "State Street Corp" },
+  { cik: "0000315066", name: "FMR LLC" },
+  { cik: "0001214717", name: "Geode Capital Management, LLC" },
+  { cik: "0000080255", name: "T. Rowe Price Associates, Inc." },
+  { cik: "0000895421", name: "Morgan Stanley" },
+  { cik: "0000019617", name: "JPMorgan Chase & Co" },
+  { cik: "0000886982", name: "Goldman Sachs Group Inc" },
+  { cik: "0000073124", name: "Northern Trust Corp" },
+  { cik: "0001067983", name: "Berkshire Hathaway Inc" },
+  { cik: "0001423053", name: "Citadel Advisors LLC" },
+  { cik: "0001037389", name: "Renaissance Technologies LLC" },
+  { cik: "0001350694", name: "Bridgewater Associates, LP" },
+];
+
+// ---------------- Helpers ----------------
+
+// 🔹 A filer from the built-in institution list by (partial) name, e.g. "vanguard" or "citadel"
+export function findInstitution(name) {
+  const query = normalizeCompanyName(name);
+  if (!query) return null;
+  return MAJOR_INSTITUTIONS.find((i) => normalizeCompanyName(i.name).startsWith(query)) || null;
+}
+
+// 🔹 URL of a 13F's information table (the XML that isn't the cover page), from the filing folder listing
+async function findInformationTableUrl(filing) {
+  const xmlFiles = (await fetchFilingIndex(filing)).filter(
+    (f) => /\.xml$/i.test(f.name) && !/primary_doc\.xml$/i.test(f.name)
+  );
+  if (!xmlFiles.length) return null;
+  const named = xmlFiles.find((f) => /info/i.test(f.name));
+  const largest = [...xmlFiles].sort((a, b) => b.size - a.size)[0];
+  return (named || largest).url;
+}
+
+// ---------------- Parser ----------------
+
+/**
+ * Parse a 13F information table into one holding per row.
+ *
+ * `value` is always in dollars: tables filed before 2023-01-03 report in
+ * thousands, so pass valueMultiplier = 1000 for those.
+ */
+export function parseInformationTable(xml, { valueMultiplier = 1 } = {}) {
+  return xmlElements(xml, "infoTable").map((row) => {
+    const value = xmlNumber(row, "value");
+    return {
+      issuer: xmlField(row, "nameOfIssuer"),
+      titleOfClass: xmlField(row, "titleOfClass"),
+      cusip: (xmlField(row, "cusip") || "").toUpperCase() || null,
+      figi: xmlField(row, "figi"),
+      value: value === null ? null : value * valueMultiplier,
+      shares: xmlNumber(row, "sshPrnamt"),
+      sharesType: xmlField(row, "sshPrnamtType"), // SH (shares) or PRN (principal amount)
+      putCall: xmlField(row, "putCall"), // "Put", "Call" or null for the security itself
+      investmentDiscretion: xmlField(row, "investmentDiscretion"),
+      votingAuthority: {
+        sole: xmlNumber(row, "Sole"),
+        shared: xmlNumber(row, "Shared"),
+        none: xmlNumber(row, "None"),
+      },
+    };
+  });
+}
+
+// 🔹 One row per security (CUSIP + put/call); filers split positions across managers and discretion types
+export function consolidateHoldings(holdings) {
+  const merged = new Map();
+  for (const h of holdings) {
+    const key = `${h.cusip || h.issuer}|${h.putCall || ""}`;
+    const current = merged.get(key);
+    if (!current) {
+      const { investmentDiscretion, votingAuthority, ...security } = h;
+      merged.set(key, { ...security, value: h.value || 0, shares: h.shares || 0 });
+    } else {
+      current.value += h.value || 0;
+      current.shares += h.shares || 0;
+    }
+  }
+  const list = [...merged.values()];
+  const total = list.reduce((sum, h) => sum + h.value, 0);
+  return list
+    .map((h) => ({ ...h, weight: total ? Number(((h.value / total) * 100).toFixed(3)) : null }))
+    .sort((a, b) => b.value - a.value);
+}
+
+// ---------------- Fetching ----------------
+
+// 🔹 A filer's original 13F-HR reports, newest first (amendments and 13F-NT notices are skipped)
+export async function list13FFilings(cik) {
+  const filings = await fetchFilingsFromSECByCIK(cik, 1000, "13F-HR");
+  return filings.filter((f) => f.form.toUpperCase() === "13F-HR");
+}
+
+/**
+ * Consolidated holdings of one 13F-HR filing.
+ *
+ * Filings never change, so the parsed table is kept on disk under
+ * CACHE_DIR/13f; large managers' tables are tens of thousands of rows.
+ * Returns null when the information table can't be found or read.
+ */
+export async function fetch13FHoldings(filing) {
+  const cachePath = path.join(HOLDINGS_CACHE_DIR, `${filing.accessionNumber}.json`);
+  try {
+    return JSON.parse(await fs.readFile(cachePath, "utf8"));
+  } catch {
+    // not cached yet
+  }
+
+  try {
+    const url = await findInformationTableUrl(filing);
+    if (!url) return null;
+    // the parsed table is cached below, so the raw XML isn't kept
+    const res = await secGet(url, { responseType: "text", cache: false });
+    const valueMultiplier = filing.filingDate < DOLLAR_VALUES_SINCE ? 1000 : 1;
+    const holdings = consolidateHoldings(parseInformationTable(String(res.data), { valueMultiplier }));
+
+    const result = {
+      cik: filing.cik,
+      filerName: filing.companyName,
+      accessionNumber: filing.accessionNumber,
+      filingDate: filing.filingDate,
+      reportDate: filing.reportDate,
+      url,
+      positions: holdings.length,
+      totalValue: holdings.reduce((sum, h) => sum + h.value, 0),
+      holdings,
+    };
+    await fs.mkdir(HOLDINGS_CACHE_DIR, { recursive: true });
+    await fs.writeFile(cachePath, JSON.stringify(result));
+    return result;
+  } catch (err) {
+    console.error(`Error reading 13F information table for ${filing.accessionNumber}:`, err.message);
+    return null;
+  }
+}
+
+// ---------------- Analysis ----------------
+
+/**
+ * Quarter-over-quarter changes between two consolidated holdings lists.
+ *
+ * Positions are matched on CUSIP + put/call. Changes are sorted by the size
+ * of the move in dollars (new and exited by position value).
+ */
+export function compareHoldings(older, newer) {
+  const key = (h) => `${h.cusip || h.issuer}|${h.putCall || ""}`;
+  const before = new Map(older.map((h) => [key(h), h]));
+  const after = new Map(newer.map((h) => [key(h), h]));
+
+  const added = [];
+  const exited = [];
+  const increased = [];
+  const decreased = [];
+  let unchanged = 0;
+
+  for (const [k, h] of after) {
+    const prev = before.get(k);
+    if (!prev) {
+      added.push({ ...h });
+      continue;
+    }
+    const shareChange = h.shares - prev.shares;
+    if (shareChange === 0) {
+      unchanged++;
+      continue;
+    }
+    const change = {
+      issuer: h.issuer,
+      cusip: h.cusip,
+      putCall: h.putCall,
+      previousShares: prev.shares,
+      shares: h.shares,
+      shareChange,
+      shareChangePct: prev.shares ? Number(((shareChange / prev.shares) * 100).toFixed(2)) : null,
+      previousValue: prev.value,
+      value: h.value,
+    };
+    (shareChange > 0 ? increased : decreased).push(change);
+  }
+  for (const [k, h] of before) {
+    if (!after.has(k)) exited.push({ ...h });
+  }
+
+  // dollar size of a change at the newer quarter's price
+  const move = (c) => Math.abs(c.shareChange * (c.shares ? c.value / c.shares : 0));
+  const byValue = (a, b) => b.value - a.value;
+  const byMove = (a, b) => move(b) - move(a);
+
+  return {
+    new: added.sort(byValue),
+    exited: exited.sort(byValue),
+    increased: increased.sort(byMove),
+    decreased: decreased.sort(byMove),
+    unchanged,
+  };
+}
+
+// 🔹 Does a 13F row refer to the company? 13F issuer names are abbreviated ("ALPHABET INC CAP STK CL A")
+function issuerMatches(holding, { cusip, normalizedName }) {
+  if (cusip) return holding.cusip?.startsWith(cusip.toUpperCase());
+  const issuer = normalizeCompanyName(holding.issuer);
+  return !!normalizedName && (issuer === normalizedName || issuer.startsWith(`${normalizedName} `));
+}
+
+/**
+ * Institutions holding a company, from each filer's latest 13F-HR.
+ *
+ * EDGAR has no reverse index of 13F holdings, so a fixed list of filers is
+ * scanned (MAJOR_INSTITUTIONS unless `filers` is given). Match on `cusip`
+ * when known (the 6-character issuer prefix covers every share class);
+ * otherwise on the issuer name.
+ */
+export async function findHolders({ name, cusip }, { filers = MAJOR_INSTITUTIONS } = {}) {
+  const normalizedName = normalizeCompanyName(name);
+  const holders = [];
+  const skipped = [];
+
+  // one filer at a time: their information tables can be several megabytes
+  for (const filer of filers) {
+    const [latest] = await list13FFilings(filer.cik).catch((err) => {
+      console.error(`Error listing the 13F filings of ${filer.name}:`, err.message);
+      return [];
+    });
+    const report = latest ? await fetch13FHoldings(latest) : null;
+    if (!report) {
+      skipped.push(filer);
+      continue;
+    }
+
+    const positions = report.holdings.filter((h) => issuerMatches(h, { cusip, normalizedName }));
+    if (!positions.length) continue;
+    const common = positions.filter((p) => !p.putCall);
+    holders.push({
+      filerCik: report.cik,
+      filerName: report.filerName || filer.name,
+      accessionNumber: report.accessionNumber,
+      filingDate: report.filingDate,
+      reportDate: report.reportDate,
+      shares: common.reduce((sum, p) => sum + p.shares, 0),
+      value: common.reduce((sum, p) => sum + p.value, 0),
+      portfolioWeight: Number(common.reduce((sum, p) => sum + (p.weight || 0), 0).toFixed(3)),
+      positions,
+    });
+  }
+
+  holders.sort((a, b) => b.value - a.value);
+  return { holders, filersScanned: filers.length, skipped };
+}
@@ -0,0 +1,115 @@
+import { fetchFilingsFromSECByCIK, formMatches } from "./sec-filings.js";
+import { fetchDocumentText, fetchFilingIndex, fetchFilingText, filingDocumentUrl } from "./sec-documents.js";
+
+const MAX_EVENTS = 20;
+
+// 8-K items -> title and the event category used for filtering and the timeline.
+// material: false for items that only accompany other items (exhibits) or are informational (Reg FD).
+export const EIGHT_K_ITEMS = {
+  "1.01": { title: "Entry into a Material Definitive Agreement", category: "agreements", material: true },
+  "1.02": { title: "Termination of a Material Definitive Agreement", category: "agreements", material: true },
+  "1.03": { title: "Bankruptcy or Receivership", category: "bankruptcy", material: true },
+  "1.04": { title: "Mine Safety - Reporting of Shutdowns and Patterns of Violations", category: "other", material: true },
+  "1.05": { title: "Material Cybersecurity Incidents", category: "cybersecurity", material: true },
+  "2.01": { title: "Completion of Acquisition or Disposition of Assets", category: "m&a", material: true },
+  "2.02": { title: "Results of Operations and Financial Condition", category: "results", material: true },
+  "2.03": { title: "Creation of a Direct Financial Obligation", category: "financing", material: true },
+  "2.04": { title: "Triggering Events That Accelerate or Increase a Direct Financial Obligation", category: "financing", material: true },
+  "2.05": { title: "Costs Associated with Exit or Disposal Activities", category: "restructuring", material: true },
+  "2.06": { title: "Material Impairments", category: "restructuring", material: true },
+  "3.01": { title: "Notice of Delisting or Failure to Satisfy a Continued Listing Rule", category: "listing", material: true },
+  "3.02": { title: "Unregistered Sales of Equity Securities", category: "capital", material: true },
+  "3.03": { title: "Material Modification to Rights of Security Holders", category: "capital", material: true },
+  "4.01": { title: "Changes in Registrant's Certifying Accountant", category: "accounting", material: true },
+  "4.02": { title: "Non-Reliance on Previously Issued Financial Statements", category: "accounting", material: true },
+  "5.01": { title: "Changes in Control of Registrant", category: "governance", material: true },
+  "5.02": { title: "Departure or Election of Directors or Officers; Compensatory Arrangements", category: "leadership", material: true },
+  "5.03": { title: "Amendments to Articles of Incorporation or Bylaws; Change in Fiscal Year", category: "governance", material: true },
+  "5.04": { title: "Temporary Suspension of Trading Under Employee Benefit Plans", category: "governance", material: true },
+  "5.05": { title: "Amendments to the Code of Ethics", category: "governance", material: true },
+  "5.06": { title: "Change in Shell Company Status", category: "governance", material: true },
+  "5.07": { title: "Submission of Matters to a Vote of Security Holders", category: "shareholder-vote", material: true },
+  "5.08": { title: "Shareholder Director Nominations", category: "governance", material: true },
+  "7.01": { title: "Regulation FD Disclosure", category: "disclosure", material: false },
+  "8.01": { title: "Other Events", category: "other", material: true },
+  "9.01": { title: "Financial Statements and Exhibits", category: "exhibits", material: false },
+};
+
+// ---------------- Classification ----------------
+
+// 🔹 Item numbers named in an 8-K's text ("Item 2.02 Results of Operations...") for filings without submissions items
+export function detectItemsInText(text) {
+  const found = [];
+  for (const m of String(text || "").matchAll(/\bitem\s+(\d\.\d{2})\b/gi)) {
+    if (EIGHT_K_ITEMS[m[1]] && !found.includes(m[1])) found.push(m[1]);
+  }
+  return found.sort();
+}
+
+/**
+ * Classify an 8-K by its items.
+ *
+ * Returns { items: [{ code, title, category, material }], categories,
+ * primaryCategory, material }. primaryCategory is the first material item's
+ * category, so a "2.02, 9.01" filing is "results".
+ */
+export function classify8K(items = []) {
+  const classified = items.map((code) => ({
+    code,
+    ...(EIGHT_K_ITEMS[code] || { title: "Unknown item", category: "other", material: false }),
+  }));
+  const categories = [...new Set(classified.map((i) => i.category))];
+  const primary = classified.find((i) => i.material) || classified[0];
+  return {
+    items: classified,
+    categories,
+    primaryCategory: primary?.category || "other",
+    material: classified.some((i) => i.material),
+  };
+}
+
+// ---------------- Press releases ----------------
+
+// 🔹 Exhibit 99.x of an 8-K (usually the press release), preferring 99.1
+export async function findPressReleaseUrl(filing) {
+  const documents = (await fetchFilingIndex(filing)).filter((f) => /\.(htm|html|txt)$/i.test(f.name));
+  const exhibit991 = documents.find((f) => /(ex-?99[-_.]?0?1|exhibit-?99-?1)(?!\d)/i.test(f.name));
+  const anyExhibit99 = documents.find((f) => /ex-?99|exhibit-?99/i.test(f.name));
+  return (exhibit991 || anyExhibit99)?.url || null;
+}
+
+// 🔹 { url, text } of an 8-K's press release exhibit; null when it has none
+export async function fetchPressRelease(filing) {
+  const url = await findPressReleaseUrl(filing);
+  if (!url) return null;
+  const text = await fetchDocumentText(url);
+  return text ? { url, text } : null;
+}
+
+// ---------------- Events ----------------
+
+/**
+ * A company's 8-K filings as classified events, newest first.
+ *
+ * Options: from / to (YYYY-MM-DD, inclusive), categories (only events with
+ * one of these), materialOnly (default true: skip filings that are only
+ * Reg FD or exhibits) and limit.
+ */
+export async function fetch8KEvents(cik, { from, to, categories, materialOnly = true, limit = MAX_EVENTS } = {}) {
+  const filings = (await fetchFilingsFromSECByCIK(cik, 1000, "8-K", { from, to })).filter((f) => formMatches(f.form, "8-K"));
+
+  const events = [];
+  for (const f of filings) {
+    if (events.length >= limit) break;
+
+    let items = f.items || [];
+    if (!items.length) items = detectItemsInText(await fetchFilingText(f));
+
+    const classification = classify8K(items);
+    if (materialOnly && !classification.material) continue;
+    if (categories?.length && !classification.categories.some((c) => categories.includes(c))) continue;
+
+    events.push({ ...f, items, url: filingDocumentUrl(f), classification });
+  }
+  return events;
+}
@@ -0,0 +1,178 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import axios from "axios";
+import config from "./config.js";
+import { cachePruner } from "./disk-cache.js";
+
+const HTTP_CACHE_DIR = path.join(config.cacheDir, "sec-http");
+const MAX_RETRIES = 4;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+const RETRY_STATUSES = [429, 503];
+const REQUEST_TIMEOUT_MS = 60_000; // full-index files run to tens of MB; a stalled socket must not hold inFlight forever
+
+const inFlight = new Map(); // cache key -> pending request, so concurrent callers share one download
+// mtime is when a response was fetched or last revalidated, so pruning drops the least recently confirmed first
+const pruneCache = cachePruner(HTTP_CACHE_DIR, { maxBytes: config.secCacheMaxMb * 1024 * 1024 });
+
+// ---------------- Rate limiting ----------------
+
+// EDGAR allows 10 requests per second per client. Every SEC request in the
+// process takes the next free slot, so concurrent route handlers can't add up
+// to more than that.
+const SLOT_MS = 1000 / Math.max(1, config.secMaxRequestsPerSecond);
+let nextSlot = 0;
+
+function waitForSlot() {
+  const now = Date.now();
+  const slot = Math.max(now, nextSlot);
+  nextSlot = slot + SLOT_MS;
+  return slot > now ? new Promise((resolve) => setTimeout(resolve, slot - now)) : Promise.resolve();
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// 🔹 Delay before retry `attempt` (0-based): Retry-After when EDGAR sends one, else exponential with jitter
+function backoffDelay(attempt, retryAfter) {
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds) && seconds > 0) return Math.min(seconds * 1000, MAX_BACKOFF_MS);
+  return Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS) + Math.floor(Math.random() * 250);
+}
+
+// ---------------- Disk cache ----------------
+
+function cacheKey(url, params) {
+  const query = params ? new URLSearchParams(params).toString() : "";
+  return crypto.createHash("sha1").update(`${url}?${query}`).digest("hex");
+}
+
+function cachePath(key) {
+  return path.join(HTTP_CACHE_DIR, key.slice(0, 2), `${key}.json`);
+}
+
+// 🔹 Cached response with fetchedAt = file mtime (a 304 only touches the file)
+async function readCached(key) {
+  try {
+    const [text, stat] = await Promise.all([fs.readFile(cachePath(key), "utf8"), fs.stat(cachePath(key))]);
+    return { ...JSON.parse(text), fetchedAt: stat.mtimeMs };
+  } catch {
+    return null;
+  }
+}
+
+async function writeCached(key, entry) {
+  try {
+    await fs.mkdir(path.dirname(cachePath(key)), { recursive: true });
+    await fs.writeFile(cachePath(key), JSON.stringify(entry));
+    pruneCache();
+  } catch (err) {
+    console.error("Error writing SEC HTTP cache:", err.message);
+  }
+}
+
+function toResponse(body, responseType, extra) {
+  return { data: responseType === "json" ? JSON.parse(body) : body, ...extra };
+}
+
+// ---------------- Client ----------------
+
+async function request(url, { params, headers }) {
+  for (let attempt = 0; ; attempt++) {
+    await waitForSlot();
+    try {
+      return await axios.get(url, {
+        params,
+        timeout: REQUEST_TIMEOUT_MS,
+        headers: { "User-Agent": config.secUserAgent, ...headers },
+        responseType: "text",
+        transformResponse: [(data) => data], // keep the raw body; JSON is parsed by the caller
+        validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+      });
+    } catch (err) {
+      // timeouts and network errors (no response at all) are retried like rate limiting
+      const status = err.response?.status;
+      if ((err.response && !RETRY_STATUSES.includes(status)) || attempt >= MAX_RETRIES) throw err;
+      const delay = backoffDelay(attempt, err.response?.headers?.["retry-after"]);
+      console.error(`SEC ${err.response ? `returned ${status}` : `request failed (${err.code || err.message})`} for ${url}; retrying in ${delay} ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * GET a sec.gov / data.sec.gov URL through the shared client.
+ *
+ * - Sends the configured User-Agent (SEC_USER_AGENT) and waits for a rate slot.
+ * - Times out after REQUEST_TIMEOUT_MS and retries timeouts, network errors,
+ *   429 and 503 with backoff, honouring Retry-After.
+ * - Keeps responses on disk under CACHE_DIR/sec-http with their ETag /
+ *   Last-Modified and revalidates with a conditional request; a 304 reuses the
+ *   cached body. The directory is capped at config.secCacheMaxMb, least
+ *   recently fetched first.
+ *
+ * Options:
+ * - responseType: "json" (default) or "text"
+ * - params: query parameters
+ * - maxAge: ms a cached response is used without asking EDGAR at all
+ *   (Infinity for filing documents, which never change)
+ * - cache: false to skip the disk cache (search results, one-off downloads,
+ *   EDGAR index files, which lib/sec-index.js keeps as plain files)
+ *
+ * Returns { data, status, fromCache }. Errors are axios errors, so callers can
+ * check err.response?.status. If EDGAR can't be reached and a cached copy
+ * exists, the cached copy is returned instead of throwing.
+ */
+export async function secGet(url, { responseType = "json", params, maxAge = 0, cache = true } = {}) {
+  const key = cacheKey(url, params);
+  if (inFlight.has(key)) return toResponse(await inFlight.get(key), responseType, { status: 200, fromCache: true });
+
+  const pending = (async () => {
+    const cached = cache ? await readCached(key) : null;
+    if (cached && Date.now() - cached.fetchedAt < maxAge) return { body: cached.body, status: 200, fromCache: true };
+
+    const conditional = {};
+    if (cached?.etag) conditional["If-None-Match"] = cached.etag;
+    if (cached?.lastModified) conditional["If-Modified-Since"] = cached.lastModified;
+
+    let res;
+    try {
+      res = await request(url, { params, headers: conditional });
+    } catch (err) {
+      if (cached && !err.response) {
+        console.error(`Using cached copy of ${url}, request failed:`, err.message);
+        return { body: cached.body, status: 200, fromCache: true };
+      }
+      throw err;
+    }
+
+    if (res.status === 304 && cached) {
+      const now = new Date();
+      await fs.utimes(cachePath(key), now, now).catch(() => {});
+      return { body: cached.body, status: 200, fromCache: true };
+    }
+
+    const body = typeof res.data === "string" ? res.data : String(res.data ?? "");
+    if (cache) {
+      await writeCached(key, {
+        url,
+        etag: res.headers.etag || null,
+        lastModified: res.headers["last-modified"] || null,
+        body,
+      });
+    }
+    return { body, status: res.status, fromCache: false };
+  })();
+
+  const shared = pending.then((r) => r.body);
+  shared.catch(() => {}); // the caller below handles the error; waiting callers get it from their own await
+  inFlight.set(key, shared);
+  try {
+    const { body, status, fromCache } = await pending;
+    return toResponse(body, responseType, { status, fromCache });
+  } finally {
+    inFlight.delete(key);
+  }
+}
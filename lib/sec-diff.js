@@ -0,0 +1,281 @@
+// ---------------- Paragraph helpers ----------------
+
+const MIN_PARAGRAPH_CHARS = 25; // page numbers, "Table of Contents" links, etc. are dropped
+const PAIR_THRESHOLD = 0.5; // paragraphs at least this similar are the same passage, reworded
+const MATERIAL_THRESHOLD = 0.85; // below this a reworded passage is reported as material
+const MAX_FULL_COMPARISONS = 250_000; // larger gaps only compare paragraphs at similar positions
+const COMPARISON_WINDOW = 100;
+const MAX_LCS_CELLS = 1_000_000; // larger gaps are first split at paragraphs that occur once on each side
+
+// 🔹 Split section text into paragraphs (one per line after htmlToText)
+export function splitParagraphs(text) {
+  return String(text || "")
+    .split(/\n+/)
+    .map((p) => p.trim())
+    .filter((p) => p.length >= MIN_PARAGRAPH_CHARS);
+}
+
+// 🔹 Comparison key: case, whitespace, years and page references don't count as changes; other figures do
+function normalizeParagraph(p) {
+  return p
+    .toLowerCase()
+    .replace(/\bpages?\s+\d+(\s*(-|–|to|and)\s*\d+)?/g, "page #")
+    .replace(/\b(19|20)\d{2}\b/g, "#")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// 🔹 Amounts, percentages and counts in a paragraph, as written (years and page references left out)
+function figures(p) {
+  return normalizeParagraph(p).match(/\d+([.,]\d+)*/g) || [];
+}
+
+// words only, so a paragraph whose figures changed still pairs with its old version
+function wordBag(p) {
+  const bag = new Map();
+  for (const w of normalizeParagraph(p).match(/[a-z#]+/g) || []) bag.set(w, (bag.get(w) || 0) + 1);
+  return bag;
+}
+
+// 🔹 Dice coefficient over word counts (0 = nothing shared, 1 = same words)
+export function paragraphSimilarity(a, b) {
+  const bagA = a instanceof Map ? a : wordBag(a);
+  const bagB = b instanceof Map ? b : wordBag(b);
+  let shared = 0;
+  let total = 0;
+  for (const [w, n] of bagA) {
+    shared += Math.min(n, bagB.get(w) || 0);
+    total += n;
+  }
+  for (const n of bagB.values()) total += n;
+  return total ? (2 * shared) / total : 1;
+}
+
+// 🔹 Longest common subsequence of oldKeys[oStart..oEnd) and newKeys[nStart..nEnd) → anchor pairs [oldIdx, newIdx]
+function lcsAnchors(oldKeys, newKeys, oStart, oEnd, nStart, nEnd) {
+  const n = oEnd - oStart;
+  const m = nEnd - nStart;
+  const same = (i, j) => oldKeys[oStart + i] === newKeys[nStart + j];
+  const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i][j] = same(i, j) ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const anchors = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (same(i, j)) {
+      anchors.push([oStart + i, nStart + j]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return anchors;
+}
+
+// 🔹 Paragraphs occurring exactly once in each range, as the longest run in order on both sides (patience diff)
+function uniqueAnchors(oldKeys, newKeys, oStart, oEnd, nStart, nEnd) {
+  const seen = new Map(); // key -> { old, new, i, j }: occurrences and last position on each side
+  const entry = (key) => {
+    if (!seen.has(key)) seen.set(key, { old: 0, new: 0, i: -1, j: -1 });
+    return seen.get(key);
+  };
+  for (let i = oStart; i < oEnd; i++) {
+    const e = entry(oldKeys[i]);
+    e.old++;
+    e.i = i;
+  }
+  for (let j = nStart; j < nEnd; j++) {
+    const e = entry(newKeys[j]);
+    e.new++;
+    e.j = j;
+  }
+  const candidates = [...seen.values()]
+    .filter((e) => e.old === 1 && e.new === 1)
+    .map((e) => [e.i, e.j])
+    .sort((a, b) => a[0] - b[0]);
+
+  // longest increasing subsequence of the new indexes
+  const tails = []; // tails[len] = candidate ending the best run of length len + 1
+  const prev = new Int32Array(candidates.length);
+  candidates.forEach(([, j], k) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (candidates[tails[mid]][1] < j) lo = mid + 1;
+      else hi = mid;
+    }
+    prev[k] = lo ? tails[lo - 1] : -1;
+    tails[lo] = k;
+  });
+  const anchors = [];
+  for (let k = tails.length ? tails[tails.length - 1] : -1; k >= 0; k = prev[k]) anchors.push(candidates[k]);
+  return anchors.reverse();
+}
+
+/**
+ * Identical (normalized) paragraphs matched in order → anchor pairs [oldIdx, newIdx].
+ *
+ * The common head and tail are matched first. What is left goes through an
+ * LCS when it fits in MAX_LCS_CELLS; a larger gap is split at its unique
+ * paragraphs and each piece aligned the same way, so a long Item 7 or 8 is
+ * never compared all against all. Paragraphs that repeat in a gap with
+ * nothing unique to split on are left to the similarity pass.
+ */
+function matchIdentical(oldKeys, newKeys, oStart = 0, oEnd = oldKeys.length, nStart = 0, nEnd = newKeys.length) {
+  const head = [];
+  const tail = [];
+  while (oStart < oEnd && nStart < nEnd && oldKeys[oStart] === newKeys[nStart]) head.push([oStart++, nStart++]);
+  while (oStart < oEnd && nStart < nEnd && oldKeys[oEnd - 1] === newKeys[nEnd - 1]) tail.push([--oEnd, --nEnd]);
+  tail.reverse();
+  if (oStart === oEnd || nStart === nEnd) return [...head, ...tail];
+  if ((oEnd - oStart) * (nEnd - nStart) <= MAX_LCS_CELLS) {
+    return [...head, ...lcsAnchors(oldKeys, newKeys, oStart, oEnd, nStart, nEnd), ...tail];
+  }
+
+  const unique = uniqueAnchors(oldKeys, newKeys, oStart, oEnd, nStart, nEnd);
+  if (!unique.length) return [...head, ...tail];
+  const middle = [];
+  let o = oStart;
+  let n = nStart;
+  for (const [i, j] of unique) {
+    middle.push(...matchIdentical(oldKeys, newKeys, o, i, n, j), [i, j]);
+    o = i + 1;
+    n = j + 1;
+  }
+  middle.push(...matchIdentical(oldKeys, newKeys, o, oEnd, n, nEnd));
+  return [...head, ...middle, ...tail];
+}
+
+// 🔹 Greedily pair the most similar old/new paragraphs (highest similarity first)
+function pairBySimilarity(oldIdx, newIdx, oldBags, newBags, threshold) {
+  const candidates = [];
+  const windowed = oldIdx.length * newIdx.length > MAX_FULL_COMPARISONS;
+  const ratio = newIdx.length / (oldIdx.length || 1);
+
+  for (const [a, i] of oldIdx.entries()) {
+    const from = windowed ? Math.max(0, Math.round(a * ratio) - COMPARISON_WINDOW) : 0;
+    const to = windowed ? Math.min(newIdx.length, Math.round(a * ratio) + COMPARISON_WINDOW) : newIdx.length;
+    for (let b = from; b < to; b++) {
+      const j = newIdx[b];
+      const similarity = paragraphSimilarity(oldBags[i], newBags[j]);
+      if (similarity >= threshold) candidates.push({ i, j, similarity });
+    }
+  }
+  candidates.sort((a, b) => b.similarity - a.similarity);
+
+  const usedOld = new Set();
+  const usedNew = new Set();
+  const pairs = [];
+  for (const c of candidates) {
+    if (usedOld.has(c.i) || usedNew.has(c.j)) continue;
+    usedOld.add(c.i);
+    usedNew.add(c.j);
+    pairs.push(c);
+  }
+  return pairs;
+}
+
+/**
+ * Align two versions of a section paragraph by paragraph.
+ *
+ * Identical paragraphs are matched in order first (see matchIdentical).
+ * Between those anchors, the remaining paragraphs are paired by word
+ * similarity; a final pass pairs leftovers anywhere in the section, which
+ * catches passages that moved. Returns hunks (added, removed, reworded, and
+ * "figures" for passages whose wording held but whose amounts changed) in
+ * new-document order plus counts.
+ */
+export function diffParagraphs(oldText, newText) {
+  const oldParas = splitParagraphs(oldText);
+  const newParas = splitParagraphs(newText);
+  const oldBags = oldParas.map(wordBag);
+  const newBags = newParas.map(wordBag);
+
+  const anchors = matchIdentical(oldParas.map(normalizeParagraph), newParas.map(normalizeParagraph));
+  const pairs = [];
+  const matchedOld = new Set(anchors.map(([i]) => i));
+  const matchedNew = new Set(anchors.map(([, j]) => j));
+
+  // pair within each gap between anchors
+  const bounds = [[-1, -1], ...anchors, [oldParas.length, newParas.length]];
+  for (let k = 0; k < bounds.length - 1; k++) {
+    const [oStart, nStart] = bounds[k];
+    const [oEnd, nEnd] = bounds[k + 1];
+    const gapOld = [];
+    const gapNew = [];
+    for (let i = oStart + 1; i < oEnd; i++) gapOld.push(i);
+    for (let j = nStart + 1; j < nEnd; j++) gapNew.push(j);
+    pairs.push(...pairBySimilarity(gapOld, gapNew, oldBags, newBags, PAIR_THRESHOLD));
+  }
+  for (const p of pairs) {
+    matchedOld.add(p.i);
+    matchedNew.add(p.j);
+  }
+
+  // moved passages: pair what is left across the whole section
+  const leftOld = oldParas.map((_, i) => i).filter((i) => !matchedOld.has(i));
+  const leftNew = newParas.map((_, j) => j).filter((j) => !matchedNew.has(j));
+  const moved = pairBySimilarity(leftOld, leftNew, oldBags, newBags, PAIR_THRESHOLD);
+  for (const p of moved) {
+    matchedOld.add(p.i);
+    matchedNew.add(p.j);
+  }
+
+  const hunks = [];
+  for (const p of [...pairs, ...moved]) {
+    const reworded = p.similarity < MATERIAL_THRESHOLD;
+    if (!reworded && figures(oldParas[p.i]).join(" ") === figures(newParas[p.j]).join(" ")) continue;
+    hunks.push({
+      type: reworded ? "reworded" : "figures",
+      oldIndex: p.i,
+      newIndex: p.j,
+      similarity: Number(p.similarity.toFixed(2)),
+      old: oldParas[p.i],
+      new: newParas[p.j],
+    });
+  }
+  newParas.forEach((text, j) => {
+    if (!matchedNew.has(j)) hunks.push({ type: "added", oldIndex: null, newIndex: j, new: text });
+  });
+  oldParas.forEach((text, i) => {
+    if (!matchedOld.has(i)) hunks.push({ type: "removed", oldIndex: i, newIndex: null, old: text });
+  });
+
+  // new-document order; removed passages sit after the last new paragraph before them
+  const position = (h) => (h.newIndex ?? anchorBefore(anchors, h.oldIndex) + 0.5);
+  hunks.sort((a, b) => position(a) - position(b));
+  hunks.forEach((h, idx) => (h.id = `H${idx + 1}`));
+
+  return {
+    hunks,
+    stats: {
+      oldParagraphs: oldParas.length,
+      newParagraphs: newParas.length,
+      unchanged: anchors.length + pairs.length + moved.length - hunks.filter((h) => h.oldIndex !== null && h.newIndex !== null).length,
+      added: hunks.filter((h) => h.type === "added").length,
+      removed: hunks.filter((h) => h.type === "removed").length,
+      reworded: hunks.filter((h) => h.type === "reworded").length,
+      figures: hunks.filter((h) => h.type === "figures").length,
+      moved: moved.length,
+    },
+  };
+}
+
+// 🔹 New-document index of the closest anchor at or before an old paragraph (-1 if none)
+function anchorBefore(anchors, oldIndex) {
+  let j = -1;
+  for (const [i, nj] of anchors) {
+    if (i > oldIndex) break;
+    j = nj;
+  }
+  return j;
+}
@@ -0,0 +1,186 @@
+import { secGet } from "./sec-client.js";
+import {
+  extractKeywordsArray,
+  countKeywordPresence,
+  countKeywordOccurrences,
+  htmlToText,
+  chunkText,
+} from "./text.js";
+import { extractSections, normalizeItemKey, sectionFormOf } from "./sec-sections.js";
+
+const CHUNK_SIZE = 3000;
+const CHUNKS_PER_FILING = 3;
+const MAX_CACHED_DOCUMENTS = 50;
+
+const documentCache = new Map(); // document URL -> clean text
+
+// ---------------- Helpers ----------------
+
+// 🔹 EDGAR Archives folder holding all of a filing's documents
+export function filingFolderUrl(filing) {
+  if (!filing?.cik || !filing?.accessionNumber) return null;
+  const cik = String(Number(filing.cik));
+  const accession = filing.accessionNumber.replace(/-/g, "");
+  return `https://www.sec.gov/Archives/edgar/data/${cik}/${accession}`;
+}
+
+// 🔹 EDGAR Archives URL of a filing's primary document
+export function filingDocumentUrl(filing) {
+  if (!filing?.primaryDocument) return null;
+  const folder = filingFolderUrl(filing);
+  return folder ? `${folder}/${filing.primaryDocument}` : null;
+}
+
+// 🔹 Files in a filing's folder ([{ name, type, size, url }]); [] when the listing can't be read
+export async function fetchFilingIndex(filing) {
+  const folder = filingFolderUrl(filing);
+  if (!folder) return [];
+  try {
+    const res = await secGet(`${folder}/index.json`, { maxAge: Infinity });
+    return (res.data?.directory?.item || []).map((f) => ({
+      name: f.name,
+      type: f.type,
+      size: Number(f.size) || 0,
+      url: `${folder}/${f.name}`,
+    }));
+  } catch (err) {
+    console.error(`Error fetching filing index ${folder}:`, err.message);
+    return [];
+  }
+}
+
+// 🔹 Download any EDGAR document (primary document, exhibit) and return it as clean text
+export async function fetchDocumentText(url) {
+  if (!url) return "";
+  if (documentCache.has(url)) return documentCache.get(url);
+
+  try {
+    const res = await secGet(url, { responseType: "text", maxAge: Infinity });
+    const text = htmlToText(typeof res.data === "string" ? res.data : String(res.data));
+
+    if (documentCache.size >= MAX_CACHED_DOCUMENTS) {
+      documentCache.delete(documentCache.keys().next().value);
+    }
+    documentCache.set(url, text);
+    return text;
+  } catch (err) {
+    console.error(`Error fetching filing document ${url}:`, err.message);
+    return "";
+  }
+}
+
+// 🔹 Download a filing's primary document and return it as clean text
+export function fetchFilingText(filing) {
+  return fetchDocumentText(filingDocumentUrl(filing));
+}
+
+// 🔹 Rank chunks by how many query keywords they contain; keep document order for ties
+export function selectRelevantChunks(chunks, query, topN = CHUNKS_PER_FILING) {
+  const keywords = extractKeywordsArray(query);
+  const scored = chunks.map((text, index) => ({
+    index,
+    text,
+    presence: countKeywordPresence(text, keywords),
+    occurrences: countKeywordOccurrences(text, keywords),
+  }));
+
+  scored.sort((a, b) => {
+    if (b.presence !== a.presence) return b.presence - a.presence;
+    if (b.occurrences !== a.occurrences) return b.occurrences - a.occurrences;
+    return a.index - b.index;
+  });
+
+  return scored.slice(0, topN).sort((a, b) => a.index - b.index);
+}
+
+// 🔹 Citation tag the model is asked to put after every statement
+export function citationTag(accessionNumber, chunkIndex) {
+  return `[${accessionNumber}#${chunkIndex}]`;
+}
+
+// 🔹 A filing's Items, optionally only the requested item keys
+function pickSections(text, form, items) {
+  const sections = extractSections(text, form);
+  if (!items?.length) return sections;
+  const wanted = items.map((i) => normalizeItemKey(i, form));
+  return sections.filter((s) => wanted.includes(s.item));
+}
+
+// 🔹 Download a filing and return its Items (optionally only the requested item keys)
+export async function fetchFilingSections(filing, items) {
+  const text = await fetchFilingText(filing);
+  return { url: filingDocumentUrl(filing), textLength: text.length, sections: pickSections(text, filing.form, items) };
+}
+
+// 🔹 The part of a filing's text to ground on: the requested Items of a 10-K/10-Q, else everything
+function scopeToSections(filing, text, items) {
+  if (!items?.length || !sectionFormOf(filing.form)) return { text, section: null };
+  const found = pickSections(text, filing.form, items);
+  if (!found.length) return { text, section: null };
+  return { text: found.map((s) => s.text).join("\n\n"), section: found.map((s) => s.item).join(",") };
+}
+
+/**
+ * Build the grounding context for a set of filings: download each primary
+ * document, split it into chunks and keep only the chunks relevant to the
+ * query. Every excerpt is labelled with its citation tag.
+ *
+ * With `sections` (item keys such as ["1A"]), 10-K and 10-Q filings are
+ * narrowed to those Items before chunking. Filings that carry `snippets`
+ * (full-text search results) use those passages as their chunks.
+ *
+ * Returns { context, sources } where sources describes every excerpt that
+ * was sent to the model.
+ */
+export async function buildFilingContext(filings, query, { chunksPerFiling = CHUNKS_PER_FILING, sections: items } = {}) {
+  // full-text search results are grounded on their snippets; nothing to download
+  const texts = await Promise.all(filings.map((f) => (f.snippets?.length ? "" : fetchFilingText(f))));
+  const sections = [];
+  const sources = [];
+
+  filings.forEach((f, i) => {
+    const scoped = scopeToSections(f, texts[i], items);
+    const header =
+      `Filing: ${f.companyName} (${f.ticker || "N/A"}), Form ${f.form}, filed ${f.filingDate}, Accession ${f.accessionNumber}` +
+      (scoped.section ? `, Item ${scoped.section}` : "") +
+      (f.items?.length ? `, 8-K Items ${f.items.join(", ")}` : "");
+    const chunks = f.snippets?.length ? f.snippets : chunkText(scoped.text, CHUNK_SIZE);
+
+    if (!chunks.length) {
+      sections.push(`${header}\n(Document text unavailable — do not state any facts about this filing.)`);
+      return;
+    }
+
+    const selected = selectRelevantChunks(chunks, query, chunksPerFiling);
+    const excerpts = selected.map((c) => {
+      sources.push({
+        id: `${f.accessionNumber}#${c.index}`,
+        companyName: f.companyName,
+        ticker: f.ticker,
+        form: f.form,
+        filingDate: f.filingDate,
+        accessionNumber: f.accessionNumber,
+        section: scoped.section,
+        chunkIndex: c.index,
+        totalChunks: chunks.length,
+        url: filingDocumentUrl(f),
+        excerpt: c.text.slice(0, 300),
+      });
+      return `${citationTag(f.accessionNumber, c.index)}\n${c.text}`;
+    });
+
+    sections.push(`${header}\n\n${excerpts.join("\n\n")}`);
+  });
+
+  return { context: sections.join("\n\n=====\n\n"), sources };
+}
+
+// 🔹 Resolve the citation tags used in a piece of model output back to their sources
+export function extractCitations(text, sources) {
+  if (!text) return [];
+  const ids = new Set();
+  for (const match of String(text).matchAll(/\[(\d{10}-\d{2}-\d{6})#(\d+)\]/g)) {
+    ids.add(`${match[1]}#${match[2]}`);
+  }
+  return sources.filter((s) => ids.has(s.id));
+}
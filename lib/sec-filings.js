@@ -0,0 +1,150 @@
+import { secGet } from "./sec-client.js";
+import { primaryListing } from "./sec-reference.js";
+import { filingFiscalPeriods, getFinancialSeries } from "./sec-xbrl.js";
+import { filingSearchWindow, reportFilingWindow } from "./time-range.js";
+
+const SUBMISSIONS_MAX_AGE_MS = 5 * 60 * 1000; // one question often reads the same submissions several times
+
+// ---------------- Helpers ----------------
+
+// 🔹 True when a filing's form is the requested form or one of its amendments (10-K matches 10-K/A)
+export function formMatches(form, formFilter) {
+  if (!formFilter) return true;
+  const f = String(form || "").toUpperCase().trim();
+  const wanted = String(formFilter).toUpperCase().trim();
+  return f === wanted || f.startsWith(`${wanted}/`);
+}
+
+// 🔹 Submissions "items" string ("2.02,9.01") -> ["2.02", "9.01"]; only 8-K style forms have items
+export function parseFilingItems(value) {
+  return value ? String(value).split(",").map((item) => item.trim()).filter(Boolean) : [];
+}
+
+// ---------------- Submissions ----------------
+
+// 🔹 Raw submissions JSON for a 10-digit CIK
+export async function fetchSubmissions(cik) {
+  const url = `https://data.sec.gov/submissions/CIK${cik}.json`;
+  const res = await secGet(url, { maxAge: SUBMISSIONS_MAX_AGE_MS });
+  return res.data;
+}
+
+// 🔹 Columnar submissions block ({ accessionNumber: [...], form: [...], ... }) -> one row per filing
+function filingRows(block) {
+  return (block?.accessionNumber || []).map((accessionNumber, i) => ({
+    accessionNumber,
+    filingDate: block.filingDate[i],
+    reportDate: block.reportDate?.[i] || null,
+    form: block.form[i],
+    primaryDocument: block.primaryDocument[i],
+    items: parseFilingItems(block.items?.[i]),
+  }));
+}
+
+// 🔹 Older filings than "recent" holds: the submissions "files" pages overlapping [from, to]
+async function fetchOlderFilingRows(submissions, { from, to }) {
+  const pages = (submissions?.filings?.files || []).filter(
+    (page) => (!from || page.filingTo >= from) && (!to || page.filingFrom <= to)
+  );
+  const rows = [];
+  for (const page of pages) {
+    try {
+      // pages of older filings don't change once published
+      const res = await secGet(`https://data.sec.gov/submissions/${page.name}`, { maxAge: Infinity });
+      rows.push(...filingRows(res.data));
+    } catch (err) {
+      console.error(`Error fetching SEC submissions page ${page.name}:`, err.message);
+    }
+  }
+  return rows;
+}
+
+/**
+ * A company's filings, newest first.
+ *
+ * formFilter keeps forms containing it ("10-K" also keeps "10-K/A"); from / to
+ * (YYYY-MM-DD, inclusive) filter on filing date. "recent" in the submissions
+ * JSON only holds the last thousand or so filings, so when `from` is older
+ * than that the archived "files" pages covering the range are read as well.
+ * `limit` applies after filtering.
+ */
+export async function fetchFilingsFromSECByCIK(cik, limit = 50, formFilter, { from, to } = {}) {
+  try {
+    const submissions = await fetchSubmissions(cik);
+    const recent = submissions?.filings?.recent;
+    if (!recent || !recent.accessionNumber) return [];
+
+    const rows = filingRows(recent);
+    const oldestRecent = rows[rows.length - 1]?.filingDate;
+    if (from && oldestRecent && from < oldestRecent) {
+      rows.push(...(await fetchOlderFilingRows(submissions, { from, to: to && to < oldestRecent ? to : oldestRecent })));
+    }
+
+    const ticker = (await primaryListing(cik).catch(() => null))?.ticker || "";
+
+    const filings = [];
+    for (const row of rows) {
+      if (filings.length >= limit) break;
+      if (formFilter && !row.form.toUpperCase().includes(formFilter.toUpperCase())) continue;
+      if ((from && row.filingDate < from) || (to && row.filingDate > to)) continue;
+      filings.push({ cik, companyName: submissions?.name || "", ticker, ...row });
+    }
+    return filings;
+  } catch (err) {
+    console.error("Error fetching SEC data by CIK:", err.message);
+    return [];
+  }
+}
+
+// 🔹 "000032019324000123" or "0000320193-24-000123" -> "0000320193-24-000123"
+export function normalizeAccessionNumber(value) {
+  const digits = String(value || "").replace(/\D/g, "");
+  if (digits.length !== 18) return String(value || "").trim();
+  return `${digits.slice(0, 10)}-${digits.slice(10, 12)}-${digits.slice(12)}`;
+}
+
+// 🔹 Does a filing's fiscal period satisfy the requested one? The annual report covers Q4 (there's no Q4 10-Q)
+function fiscalPeriodMatches(actual, wanted) {
+  if (!wanted) return true;
+  if (wanted === "Q4") return actual === "FY" || actual === "Q4";
+  return actual === wanted;
+}
+
+/**
+ * A company's filings for a time range from resolveTimeRange, newest first.
+ *
+ * Without a fiscal year this is a filing-date filter. With one, filings are
+ * looked up a year either side (fiscal years don't follow the calendar) and
+ * kept when the fiscal year / period in their XBRL data matches. Filings
+ * without XBRL data (8-Ks, older reports) are kept when their report date -
+ * or, lacking one, their filing date - falls in the calendar range.
+ */
+export async function fetchFilingsForPeriod(cik, range, { limit = 50, form } = {}) {
+  if (!range?.fiscalYear) return fetchFilingsFromSECByCIK(cik, limit, form, { from: range?.from, to: range?.to });
+
+  const candidates = await fetchFilingsFromSECByCIK(cik, 1000, form, filingSearchWindow(range));
+  const periods = filingFiscalPeriods(await getFinancialSeries(cik));
+  const reportWindow = reportFilingWindow(range);
+
+  const inRange = (date, to) => (!range.from || date >= range.from) && (!to || date <= to);
+  return candidates
+    .filter((f) => {
+      const period = periods.get(f.accessionNumber);
+      if (period) return period.fiscalYear === range.fiscalYear && fiscalPeriodMatches(period.fiscalPeriod, range.fiscalPeriod);
+      return f.reportDate ? inRange(f.reportDate, range.to) : inRange(f.filingDate, reportWindow.to);
+    })
+    .slice(0, limit);
+}
+
+// 🔹 One filing of a company: by accession number, or the latest of a form (within `range` when given)
+export async function findFiling(cik, { accessionNumber, form, range } = {}) {
+  const filings =
+    range && !accessionNumber
+      ? await fetchFilingsForPeriod(cik, range, { limit: 1000, form })
+      : await fetchFilingsFromSECByCIK(cik, 1000, accessionNumber ? null : form);
+  if (accessionNumber) {
+    const wanted = normalizeAccessionNumber(accessionNumber);
+    return filings.find((f) => f.accessionNumber === wanted) || null;
+  }
+  return filings.find((f) => formMatches(f.form, form)) || null;
+}
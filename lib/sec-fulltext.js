@@ -0,0 +1,139 @@
+import config from "./config.js";
+import { secGet } from "./sec-client.js";
+import { fetchDocumentText, filingFolderUrl } from "./sec-documents.js";
+import { escapeRegExp } from "./text.js";
+
+const SNIPPETS_PER_FILING = 3;
+const SNIPPET_RADIUS = 240; // characters kept on each side of a match
+const MAX_RESULTS = 10;
+
+// ---------------- Helpers ----------------
+
+// 🔹 Search terms to highlight: quoted phrases as-is, otherwise the individual words
+export function searchTerms(q) {
+  const phrases = [...String(q || "").matchAll(/"([^"]+)"/g)].map((m) => m[1].trim()).filter(Boolean);
+  const rest = String(q || "")
+    .replace(/"[^"]*"/g, " ")
+    .split(/\s+/)
+    .filter((w) => w.length > 2 && !/^(and|or|not)$/i.test(w));
+  return [...new Set([...phrases, ...rest])];
+}
+
+/**
+ * Passages of a document around the search terms, with every match wrapped
+ * in **bold**. Nearby matches are merged into one snippet; at most `max`
+ * snippets are returned, in document order.
+ */
+export function extractSnippets(text, terms, { max = SNIPPETS_PER_FILING, radius = SNIPPET_RADIUS } = {}) {
+  if (!text || !terms?.length) return [];
+  const pattern = new RegExp(terms.map(escapeRegExp).join("|"), "gi");
+
+  const windows = [];
+  for (const m of text.matchAll(pattern)) {
+    const start = Math.max(0, m.index - radius);
+    const end = Math.min(text.length, m.index + m[0].length + radius);
+    const last = windows[windows.length - 1];
+    if (last && start <= last.end) last.end = end;
+    else if (windows.length < max) windows.push({ start, end });
+    else break;
+  }
+
+  return windows.map(({ start, end }) => {
+    const passage = text.slice(start, end).replace(/\s+/g, " ").trim();
+    const highlighted = passage.replace(pattern, (match) => `**${match}**`);
+    return `${start > 0 ? "..." : ""}${highlighted}${end < text.length ? "..." : ""}`;
+  });
+}
+
+// 🔹 "Apple Inc.  (AAPL)  (CIK 0000320193)" -> { name, ticker }
+function parseDisplayName(displayName) {
+  const value = String(displayName || "");
+  const name = value.replace(/\s*\(CIK \d+\)\s*$/, "").replace(/\s*\(([^)]*)\)\s*$/, "").trim();
+  const ticker = value.match(/\(([A-Z0-9.,\s-]+)\)\s*\(CIK/)?.[1].split(",")[0].trim() || "";
+  return { name, ticker };
+}
+
+// 🔹 One search hit -> filing in the same shape fetchFilingsFromSECByCIK returns
+function hitToFiling(hit) {
+  const source = hit._source || {};
+  const [accessionFromId, document] = String(hit._id || "").split(":");
+  const { name, ticker } = parseDisplayName(source.display_names?.[0]);
+  const cik = String(source.ciks?.[0] || "").padStart(10, "0");
+  return {
+    cik,
+    companyName: name,
+    ticker,
+    accessionNumber: source.adsh || accessionFromId,
+    filingDate: source.file_date,
+    reportDate: source.period_ending || null,
+    form: source.form || source.root_form,
+    primaryDocument: document,
+    items: source.items || [],
+    fileType: source.file_type || null,
+    fileDescription: source.file_description || null,
+    highlights: Object.values(hit.highlight || {}).flat(),
+  };
+}
+
+// ---------------- Search ----------------
+
+/**
+ * EDGAR full-text search.
+ *
+ * Options: q (keywords; wrap phrases in quotes), forms (array or comma list),
+ * from / to (YYYY-MM-DD), ciks (entity filter), entityName, limit, and
+ * latestPerCompany (keep only each company's newest matching filing).
+ *
+ * Returns { total, filings } where a filing is reported once even when
+ * several of its documents matched. Throws when the search service fails.
+ */
+export async function searchFullText({ q, forms, from, to, ciks, entityName, limit = MAX_RESULTS, latestPerCompany = false }) {
+  const params = { q };
+  const formList = Array.isArray(forms) ? forms : forms ? String(forms).split(",") : [];
+  if (formList.length) params.forms = formList.map((f) => f.trim().toUpperCase()).join(",");
+  if (from || to) {
+    params.dateRange = "custom";
+    params.startdt = from || "2001-01-01"; // full-text search covers 2001 onwards
+    params.enddt = to || new Date().toISOString().slice(0, 10);
+  }
+  const cikList = Array.isArray(ciks) ? ciks : ciks ? [ciks] : [];
+  if (cikList.length) params.ciks = cikList.map((c) => String(c).padStart(10, "0")).join(",");
+  if (entityName) params.entityName = entityName;
+
+  const res = await secGet(config.secFullTextSearchUrl, { params, cache: false });
+
+  // newest first, so deduping keeps each company's latest filing
+  const hits = (res.data?.hits?.hits || [])
+    .map(hitToFiling)
+    .sort((a, b) => (b.filingDate || "").localeCompare(a.filingDate || ""));
+  const filings = [];
+  const seen = new Set();
+  for (const filing of hits) {
+    const key = latestPerCompany ? filing.cik : filing.accessionNumber;
+    if (!filing.accessionNumber || seen.has(key)) continue;
+    seen.add(key);
+    filings.push(filing);
+  }
+
+  return { total: res.data?.hits?.total?.value ?? filings.length, filings: filings.slice(0, limit) };
+}
+
+/**
+ * Attach highlighted snippets to full-text search results.
+ *
+ * Highlights returned by the search service are used when present;
+ * otherwise the matching document is downloaded and the passages around the
+ * search terms are extracted.
+ */
+export async function attachSnippets(filings, q) {
+  const terms = searchTerms(q);
+  for (const f of filings) {
+    if (f.highlights?.length) {
+      f.snippets = f.highlights.slice(0, SNIPPETS_PER_FILING).map((h) => h.replace(/<\/?em>/g, "**"));
+      continue;
+    }
+    const url = f.primaryDocument ? `${filingFolderUrl(f)}/${f.primaryDocument}` : null;
+    f.snippets = extractSnippets(await fetchDocumentText(url), terms);
+  }
+  return filings;
+}
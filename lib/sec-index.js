@@ -0,0 +1,266 @@
+import fs from "fs/promises";
+import path from "path";
+import config from "./config.js";
+import { secGet } from "./sec-client.js";
+import { cachePruner } from "./disk-cache.js";
+import { formMatches, fetchSubmissions, parseFilingItems } from "./sec-filings.js";
+import { listByExchange, primaryListing } from "./sec-reference.js";
+
+const ARCHIVES_URL = "https://www.sec.gov/Archives/edgar";
+const INDEX_CACHE_DIR = path.join(config.cacheDir, "edgar-index");
+
+const DAILY_WINDOW_DAYS = 14; // recent days are read from the small daily indexes
+const DEFAULT_LOOKBACK_DAYS = 365;
+const CURRENT_INDEX_TTL_MS = 6 * 60 * 60 * 1000; // current-quarter/today's files are rewritten nightly
+
+const pruneCache = cachePruner(INDEX_CACHE_DIR, { maxBytes: config.secCacheMaxMb * 1024 * 1024 });
+
+// ---------------- Date helpers ----------------
+
+function toISODate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d;
+}
+
+function quarterOf(date) {
+  return { year: date.getUTCFullYear(), qtr: Math.floor(date.getUTCMonth() / 3) + 1 };
+}
+
+function quarterStart({ year, qtr }) {
+  return new Date(Date.UTC(year, (qtr - 1) * 3, 1));
+}
+
+function nextQuarter({ year, qtr }) {
+  return qtr === 4 ? { year: year + 1, qtr: 1 } : { year, qtr: qtr + 1 };
+}
+
+function previousQuarter({ year, qtr }) {
+  return qtr === 1 ? { year: year - 1, qtr: 4 } : { year, qtr: qtr - 1 };
+}
+
+// "20240102" or "2024-01-02" -> "2024-01-02"
+function normalizeIndexDate(value) {
+  const v = value.trim();
+  return /^\d{8}$/.test(v) ? `${v.slice(0, 4)}-${v.slice(4, 6)}-${v.slice(6, 8)}` : v;
+}
+
+// ---------------- Index files ----------------
+
+/**
+ * Read an EDGAR index file, kept as a plain file under CACHE_DIR/edgar-index
+ * (not in the SEC client's JSON cache: quarterly indexes run to tens of MB).
+ *
+ * Files for past days and closed quarters never change and are cached for
+ * good; the rest are refreshed after CURRENT_INDEX_TTL_MS. If EDGAR can't be
+ * reached, the last cached copy is used. Returns null when the file does not
+ * exist (weekends, holidays, today's index before it is published).
+ */
+async function fetchIndexFile(relPath, { immutable }) {
+  const cachePath = path.join(INDEX_CACHE_DIR, relPath);
+
+  let cached = null;
+  try {
+    const stat = await fs.stat(cachePath);
+    cached = { fresh: immutable || Date.now() - stat.mtimeMs < CURRENT_INDEX_TTL_MS };
+  } catch {
+    // not cached yet
+  }
+  if (cached?.fresh) return fs.readFile(cachePath, "utf8");
+
+  try {
+    const res = await secGet(`${ARCHIVES_URL}/${relPath}`, { responseType: "text", cache: false });
+    await fs.mkdir(path.dirname(cachePath), { recursive: true });
+    await fs.writeFile(cachePath, res.data);
+    pruneCache();
+    return res.data;
+  } catch (err) {
+    if (err.response?.status === 404) return null;
+    if (cached) {
+      console.error(`Using cached ${relPath}, refresh failed:`, err.message);
+      return fs.readFile(cachePath, "utf8");
+    }
+    throw err;
+  }
+}
+
+// 🔹 master.idx: pipe-delimited "CIK|Company Name|Form Type|Date Filed|Filename"
+export function parseMasterIndex(text, accept = () => true) {
+  const entries = [];
+  const lines = text.split("\n");
+  const start = lines.findIndex((l) => /^-{10,}/.test(l));
+
+  for (let i = start + 1; i < lines.length; i++) {
+    const parts = lines[i].split("|");
+    if (parts.length !== 5) continue;
+    const entry = {
+      cik: parts[0].trim().padStart(10, "0"),
+      companyName: parts[1].trim(),
+      form: parts[2].trim(),
+      date: normalizeIndexDate(parts[3]),
+      filename: parts[4].trim(),
+    };
+    if (accept(entry)) entries.push(entry);
+  }
+  return entries;
+}
+
+// 🔹 form.idx: fixed-width "Form Type  Company Name  CIK  Date Filed  File Name"
+export function parseFormIndex(text, accept = () => true) {
+  const entries = [];
+  const lines = text.split("\n");
+  const headerIdx = lines.findIndex((l) => l.startsWith("Form Type"));
+  if (headerIdx === -1) return entries;
+  const nameAt = lines[headerIdx].indexOf("Company Name");
+
+  for (let i = headerIdx + 2; i < lines.length; i++) {
+    const line = lines[i].trimEnd();
+    // long company names can overrun their column, so the last three fields are split by whitespace
+    const match = line.match(/\s(\d+)\s+(\d{4}-?\d{2}-?\d{2})\s+(\S+)$/);
+    if (!match) continue;
+    const entry = {
+      cik: match[1].padStart(10, "0"),
+      companyName: line.slice(nameAt, match.index).trim(),
+      form: line.slice(0, nameAt).trim(),
+      date: normalizeIndexDate(match[2]),
+      filename: match[3],
+    };
+    if (accept(entry)) entries.push(entry);
+  }
+  return entries;
+}
+
+// 🔹 Entries from one day's daily index (master.idx, falling back to form.idx)
+async function loadDailyEntries(date, accept) {
+  const { year, qtr } = quarterOf(date);
+  const compact = toISODate(date).replace(/-/g, "");
+  const dir = `daily-index/${year}/QTR${qtr}`;
+  const immutable = toISODate(date) < toISODate(addDays(new Date(), -2));
+
+  const master = await fetchIndexFile(`${dir}/master.${compact}.idx`, { immutable });
+  if (master) return parseMasterIndex(master, accept);
+  const form = await fetchIndexFile(`${dir}/form.${compact}.idx`, { immutable });
+  return form ? parseFormIndex(form, accept) : [];
+}
+
+// 🔹 Entries from a quarter's full index (master.idx, falling back to form.idx)
+async function loadQuarterEntries(quarter, accept) {
+  const dir = `full-index/${quarter.year}/QTR${quarter.qtr}`;
+  const current = quarterOf(new Date());
+  const immutable = quarter.year < current.year || (quarter.year === current.year && quarter.qtr < current.qtr);
+
+  const master = await fetchIndexFile(`${dir}/master.idx`, { immutable });
+  if (master) return parseMasterIndex(master, accept);
+  const form = await fetchIndexFile(`${dir}/form.idx`, { immutable });
+  return form ? parseFormIndex(form, accept) : [];
+}
+
+// 🔹 Index entry -> filing in the same shape fetchFilingsFromSECByCIK returns
+function entryToFiling(entry) {
+  const accessionNumber = path.basename(entry.filename, ".txt");
+  return {
+    cik: entry.cik,
+    companyName: entry.companyName,
+    ticker: "",
+    accessionNumber,
+    filingDate: entry.date,
+    form: entry.form,
+    primaryDocument: `${accessionNumber}.txt`, // full submission; replaced below when known
+    items: [],
+  };
+}
+
+// 🔹 Fill ticker, primaryDocument and 8-K items from each filer's submissions JSON
+async function enrichFilings(filings) {
+  const byCIK = new Map();
+  for (const f of filings) {
+    if (!byCIK.has(f.cik)) byCIK.set(f.cik, []);
+    byCIK.get(f.cik).push(f);
+  }
+
+  await Promise.all(
+    [...byCIK.entries()].map(async ([cik, group]) => {
+      try {
+        const [submissions, listing] = await Promise.all([fetchSubmissions(cik), primaryListing(cik).catch(() => null)]);
+        const recent = submissions?.filings?.recent;
+        for (const f of group) {
+          f.ticker = listing?.ticker || "";
+          const idx = recent?.accessionNumber?.indexOf(f.accessionNumber) ?? -1;
+          if (idx === -1) continue;
+          if (recent.primaryDocument[idx]) f.primaryDocument = recent.primaryDocument[idx];
+          f.items = parseFilingItems(recent.items?.[idx]);
+        }
+      } catch (err) {
+        console.error(`Error enriching filings for CIK ${cik}:`, err.message);
+      }
+    })
+  );
+  return filings;
+}
+
+/**
+ * Latest N filings of a form across all filers, newest first.
+ *
+ * Recent days come from the EDGAR daily indexes; anything older than
+ * DAILY_WINDOW_DAYS is read from the quarterly full indexes. Both are cached
+ * on disk under CACHE_DIR.
+ *
+ * Options: from / to (YYYY-MM-DD, inclusive) and exchange (e.g. "NYSE").
+ */
+export async function fetchLatestFilingsByForm(formFilter, limit = 10, { from, to, exchange } = {}) {
+  try {
+    const today = new Date();
+    const end = to ? new Date(to) : today;
+    const start = from ? new Date(from) : addDays(end, -DEFAULT_LOOKBACK_DAYS);
+    const startISO = toISODate(start);
+    const endISO = toISODate(end);
+
+    const exchangeCIKs = exchange ? new Set((await listByExchange(exchange)).map((r) => r.cik)) : null;
+    const accept = (e) =>
+      formMatches(e.form, formFilter) &&
+      e.date >= startISO &&
+      e.date <= endISO &&
+      (!exchangeCIKs || exchangeCIKs.has(e.cik));
+
+    const seen = new Set();
+    const collected = [];
+    const collect = (entries) => {
+      entries.sort((a, b) => b.date.localeCompare(a.date));
+      for (const e of entries) {
+        if (collected.length >= limit) return;
+        // filings with several filers (e.g. Form 4) are listed once per filer
+        if (seen.has(e.filename)) continue;
+        seen.add(e.filename);
+        collected.push(entryToFiling(e));
+      }
+    };
+
+    // 1) daily indexes, newest day first
+    const dailyFloor = addDays(today, -DAILY_WINDOW_DAYS);
+    let day = end;
+    while (day >= start && day >= dailyFloor && collected.length < limit) {
+      const weekday = day.getUTCDay();
+      if (weekday !== 0 && weekday !== 6) collect(await loadDailyEntries(day, accept));
+      day = addDays(day, -1);
+    }
+
+    // 2) full indexes for older dates, newest quarter first
+    if (collected.length < limit && day >= start) {
+      const before = toISODate(addDays(day, 1)); // days already read from the daily indexes
+      let quarter = quarterOf(day);
+      while (collected.length < limit && quarterStart(nextQuarter(quarter)) > start) {
+        collect(await loadQuarterEntries(quarter, (e) => e.date < before && accept(e)));
+        quarter = previousQuarter(quarter);
+      }
+    }
+
+    return enrichFilings(collected);
+  } catch (err) {
+    console.error("Error in fetchLatestFilingsByForm:", err.message);
+    return [];
+  }
+}
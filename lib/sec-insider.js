@@ -0,0 +1,264 @@
+import { secGet } from "./sec-client.js";
+import { xmlElements, xmlField, xmlNumber, xmlFlag } from "./xml.js";
+import { fetchFilingsFromSECByCIK, formMatches } from "./sec-filings.js";
+import { isoDate, shiftDays } from "./time-range.js";
+
+const DEFAULT_WINDOW_DAYS = 90;
+const REPORTING_LAG_DAYS = 10; // Form 4 is due two business days after the trade; late filers take longer
+const MAX_FORM4_FILINGS = 60; // Form 4s downloaded per request
+const FETCH_BATCH_SIZE = 5;
+
+const MAX_CACHED_FORMS = 2000; // parsed Form 4s are small; the raw XML stays in the SEC disk cache
+const parsedCache = new Map(); // accessionNumber -> parsed Form 4 (filings never change)
+
+// Form 4 Table I/II transaction codes
+export const TRANSACTION_CODES = {
+  P: "Open market or private purchase",
+  S: "Open market or private sale",
+  V: "Transaction voluntarily reported earlier than required",
+  A: "Grant or award from the issuer",
+  D: "Disposition to the issuer",
+  F: "Payment of exercise price or tax withholding with securities",
+  I: "Discretionary transaction",
+  M: "Exercise or conversion of derivative security",
+  C: "Conversion of derivative security",
+  E: "Expiration of short derivative position",
+  H: "Expiration of long derivative position",
+  O: "Exercise of out-of-the-money derivative security",
+  X: "Exercise of in-the-money derivative security",
+  G: "Gift",
+  L: "Small acquisition",
+  W: "Acquisition or disposition by will or laws of descent",
+  Z: "Deposit into or withdrawal from voting trust",
+  J: "Other acquisition or disposition",
+  K: "Equity swap or similar instrument",
+  U: "Disposition due to a tender of shares in a change of control",
+};
+
+// ---------------- Parser ----------------
+
+// 🔹 "Director, CEO, 10% Owner"
+function relationshipLabel(r) {
+  const parts = [];
+  if (r.isDirector) parts.push("Director");
+  if (r.isOfficer) parts.push(r.officerTitle || "Officer");
+  if (r.isTenPercentOwner) parts.push("10% Owner");
+  if (r.isOther) parts.push(r.otherText || "Other");
+  return parts.join(", ");
+}
+
+function parseOwner(xml) {
+  const relationship = {
+    isDirector: xmlFlag(xml, "isDirector"),
+    isOfficer: xmlFlag(xml, "isOfficer"),
+    officerTitle: xmlField(xml, "officerTitle"),
+    isTenPercentOwner: xmlFlag(xml, "isTenPercentOwner"),
+    isOther: xmlFlag(xml, "isOther"),
+    otherText: xmlField(xml, "otherText"),
+  };
+  return {
+    cik: xmlField(xml, "rptOwnerCik"),
+    name: xmlField(xml, "rptOwnerName"),
+    relationship,
+    relationshipLabel: relationshipLabel(relationship),
+  };
+}
+
+function parseTransaction(xml, derivative) {
+  const code = xmlField(xml, "transactionCode");
+  const shares = xmlNumber(xml, "transactionShares");
+  const price = xmlNumber(xml, "transactionPricePerShare");
+  const ownership = xmlField(xml, "directOrIndirectOwnership");
+  return {
+    derivative,
+    securityTitle: xmlField(xml, "securityTitle"),
+    transactionDate: (xmlField(xml, "transactionDate") || "").slice(0, 10) || null,
+    code,
+    codeDescription: TRANSACTION_CODES[code] || null,
+    acquiredDisposed: xmlField(xml, "transactionAcquiredDisposedCode"), // "A" or "D"
+    shares,
+    price,
+    value: shares !== null && price !== null ? Number((shares * price).toFixed(2)) : null,
+    sharesOwnedAfter: xmlNumber(xml, "sharesOwnedFollowingTransaction"),
+    ownership: ownership === "I" ? "indirect" : ownership === "D" ? "direct" : null,
+    natureOfOwnership: xmlField(xml, "natureOfOwnership"),
+    underlyingSecurity: derivative ? xmlField(xml, "underlyingSecurityTitle") : null,
+    exercisePrice: derivative ? xmlNumber(xml, "conversionOrExercisePrice") : null,
+  };
+}
+
+/**
+ * Parse a Form 4 ownership document into one row per transaction.
+ *
+ * A filing can list several reporting owners (e.g. a fund and its general
+ * partner reporting the same trade); their names are joined on every row.
+ * Holdings-only lines (no transaction) are skipped.
+ */
+export function parseForm4Xml(xml) {
+  const doc = xmlElements(xml, "ownershipDocument")[0] ?? xml;
+  const owners = xmlElements(doc, "reportingOwner").map(parseOwner);
+  const issuer = xmlElements(doc, "issuer")[0] || "";
+
+  const header = {
+    documentType: xmlField(doc, "documentType"),
+    periodOfReport: xmlField(doc, "periodOfReport"),
+    issuerCik: xmlField(issuer, "issuerCik"),
+    issuerName: xmlField(issuer, "issuerName"),
+    issuerTicker: xmlField(issuer, "issuerTradingSymbol"),
+    owner: owners.map((o) => o.name).filter(Boolean).join("; "),
+    ownerCik: owners[0]?.cik || null,
+    relationship: owners[0]?.relationship || null,
+    relationshipLabel: owners[0]?.relationshipLabel || "",
+  };
+
+  const transactions = [
+    ...xmlElements(doc, "nonDerivativeTransaction").map((t) => parseTransaction(t, false)),
+    ...xmlElements(doc, "derivativeTransaction").map((t) => parseTransaction(t, true)),
+  ];
+
+  return { ...header, owners, transactions };
+}
+
+// ---------------- Fetching ----------------
+
+// 🔹 Raw XML URL of a Form 4 (primaryDocument points at the XSL-rendered copy, e.g. "xslF345X05/form4.xml")
+export function form4XmlUrl(filing) {
+  if (!filing?.cik || !filing?.accessionNumber || !filing?.primaryDocument) return null;
+  const cik = String(Number(filing.cik));
+  const accession = filing.accessionNumber.replace(/-/g, "");
+  const document = filing.primaryDocument.replace(/^xsl[^/]*\//i, "");
+  return `https://www.sec.gov/Archives/edgar/data/${cik}/${accession}/${document}`;
+}
+
+// 🔹 Download and parse one Form 4; null when it can't be read
+export async function fetchForm4(filing) {
+  if (parsedCache.has(filing.accessionNumber)) return parsedCache.get(filing.accessionNumber);
+  const url = form4XmlUrl(filing);
+  if (!url || !/\.xml$/i.test(url)) return null;
+
+  try {
+    const res = await secGet(url, { responseType: "text", maxAge: Infinity });
+    const parsed = { ...parseForm4Xml(String(res.data)), url };
+    if (parsedCache.size >= MAX_CACHED_FORMS) parsedCache.delete(parsedCache.keys().next().value);
+    parsedCache.set(filing.accessionNumber, parsed);
+    return parsed;
+  } catch (err) {
+    console.error(`Error fetching Form 4 ${url}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Insider transactions reported on Form 4 for one issuer, as flat rows.
+ *
+ * Filings are taken from the issuer's submissions (which include Form 4s
+ * filed about it) by filing date; rows are then kept by transaction date.
+ * Defaults to the last 90 days.
+ */
+export async function fetchInsiderTransactions(cik, { from, to, maxFilings = MAX_FORM4_FILINGS } = {}) {
+  const start = from || shiftDays(new Date(), -DEFAULT_WINDOW_DAYS);
+  const end = to || isoDate(new Date());
+
+  // filings up to REPORTING_LAG_DAYS after the window can still report trades inside it; later ones
+  // must not use up maxFilings
+  const filings = (await fetchFilingsFromSECByCIK(cik, 1000, "4", { from: start, to: shiftDays(end, REPORTING_LAG_DAYS) }))
+    .filter((f) => formMatches(f.form, "4"))
+    .slice(0, maxFilings);
+
+  const rows = [];
+  for (let i = 0; i < filings.length; i += FETCH_BATCH_SIZE) {
+    const batch = filings.slice(i, i + FETCH_BATCH_SIZE);
+    const parsed = await Promise.all(batch.map((f) => fetchForm4(f)));
+
+    parsed.forEach((doc, k) => {
+      if (!doc) return;
+      const f = batch[k];
+      for (const t of doc.transactions) {
+        if (t.transactionDate && (t.transactionDate < start || t.transactionDate > end)) continue;
+        rows.push({
+          accessionNumber: f.accessionNumber,
+          filingDate: f.filingDate,
+          form: f.form,
+          url: doc.url,
+          issuerName: doc.issuerName || f.companyName,
+          issuerTicker: doc.issuerTicker || f.ticker,
+          owner: doc.owner,
+          ownerCik: doc.ownerCik,
+          relationship: doc.relationshipLabel,
+          ...t,
+        });
+      }
+    });
+  }
+
+  rows.sort((a, b) => (b.transactionDate || "").localeCompare(a.transactionDate || ""));
+  return { from: start, to: end, filingsScanned: filings.length, truncated: filings.length >= maxFilings, rows };
+}
+
+// ---------------- Aggregation ----------------
+
+/**
+ * Net buying and selling in a set of rows.
+ *
+ * Open-market purchases (P) and sales (S) are the signal people trade on, so
+ * they are totalled separately from grants, option exercises and tax
+ * withholding, which only show up in the all-transactions totals.
+ */
+export function aggregateInsiderActivity(rows) {
+  const openMarket = { buys: 0, sells: 0, sharesBought: 0, sharesSold: 0, valueBought: 0, valueSold: 0 };
+  const all = { acquiredShares: 0, disposedShares: 0 };
+  const byInsider = new Map();
+
+  for (const r of rows) {
+    if (r.derivative || r.shares === null) continue;
+    const sign = r.acquiredDisposed === "D" ? -1 : 1;
+    if (sign > 0) all.acquiredShares += r.shares;
+    else all.disposedShares += r.shares;
+
+    if (r.code !== "P" && r.code !== "S") continue;
+    const value = r.value || 0;
+    if (r.code === "P") {
+      openMarket.buys++;
+      openMarket.sharesBought += r.shares;
+      openMarket.valueBought += value;
+    } else {
+      openMarket.sells++;
+      openMarket.sharesSold += r.shares;
+      openMarket.valueSold += value;
+    }
+
+    const key = r.ownerCik || r.owner;
+    const insider = byInsider.get(key) || {
+      owner: r.owner,
+      ownerCik: r.ownerCik,
+      relationship: r.relationship,
+      netShares: 0,
+      netValue: 0,
+      transactions: 0,
+    };
+    const direction = r.code === "P" ? 1 : -1;
+    insider.netShares += direction * r.shares;
+    insider.netValue += direction * value;
+    insider.transactions++;
+    byInsider.set(key, insider);
+  }
+
+  const netShares = openMarket.sharesBought - openMarket.sharesSold;
+  const netValue = Number((openMarket.valueBought - openMarket.valueSold).toFixed(2));
+  const signal = netValue > 0 ? "net buying" : netValue < 0 ? "net selling" : "neutral";
+
+  return {
+    signal,
+    openMarket: {
+      ...openMarket,
+      valueBought: Number(openMarket.valueBought.toFixed(2)),
+      valueSold: Number(openMarket.valueSold.toFixed(2)),
+      netShares,
+      netValue,
+    },
+    allTransactions: { ...all, netShares: all.acquiredShares - all.disposedShares },
+    insiders: [...byInsider.values()]
+      .map((i) => ({ ...i, netValue: Number(i.netValue.toFixed(2)) }))
+      .sort((a, b) => Math.abs(b.netValue) - Math.abs(a.netValue)),
+  };
+}
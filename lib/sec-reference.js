@@ -0,0 +1,166 @@
+import fs from "fs/promises";
+import path from "path";
+import config from "./config.js";
+import { secGet } from "./sec-client.js";
+
+const TICKERS_URL = "https://www.sec.gov/files/company_tickers_exchange.json";
+const SNAPSHOT_PATH = path.join(config.cacheDir, "sec-reference", "company_tickers_exchange.json");
+const REFRESH_MS = config.secReferenceRefreshHours * 60 * 60 * 1000;
+
+let reference = null; // built indexes, see buildIndexes()
+let loading = null; // in-flight load, shared by concurrent callers
+let refreshTimer = null;
+
+// ---------------- Helpers ----------------
+
+const LEGAL_SUFFIXES = new Set([
+  "inc", "incorporated", "corp", "corporation", "co", "company", "ltd", "limited", "llc", "lp", "plc",
+  "sa", "ag", "nv", "se", "holdings", "holding", "group", "the", "de", "del",
+]);
+
+// 🔹 Lowercase, drop punctuation and trailing legal suffixes ("Apple Inc." -> "apple")
+export function normalizeCompanyName(name) {
+  if (!name) return "";
+  const tokens = String(name)
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+  while (tokens.length > 1 && LEGAL_SUFFIXES.has(tokens[tokens.length - 1])) tokens.pop();
+  if (tokens.length > 1 && tokens[0] === "the") tokens.shift();
+  return tokens.join(" ");
+}
+
+function pushTo(map, key, row) {
+  if (!key) return;
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(row);
+}
+
+// 🔹 Turn the SEC { fields, data } table into rows plus lookup indexes
+function buildIndexes(raw, fetchedAt) {
+  const { fields, data } = raw;
+  const cikIndex = fields.indexOf("cik");
+  const nameIndex = fields.indexOf("name");
+  const tickerIndex = fields.indexOf("ticker");
+  const exchangeIndex = fields.indexOf("exchange");
+
+  const rows = [];
+  const byCIK = new Map();
+  const byTicker = new Map();
+  const byName = new Map();
+  const byExchange = new Map();
+
+  data.forEach((r, position) => {
+    const row = {
+      cik: String(r[cikIndex]).padStart(10, "0"),
+      name: r[nameIndex] || "",
+      ticker: r[tickerIndex] || "",
+      exchange: r[exchangeIndex] || "",
+      normalizedName: normalizeCompanyName(r[nameIndex]),
+      position, // SEC lists a company's primary share class first
+    };
+    rows.push(row);
+    pushTo(byCIK, row.cik, row);
+    if (row.ticker && !byTicker.has(row.ticker.toUpperCase())) byTicker.set(row.ticker.toUpperCase(), row);
+    pushTo(byName, row.normalizedName, row);
+    pushTo(byExchange, row.exchange.toLowerCase(), row);
+  });
+
+  return { rows, byCIK, byTicker, byName, byExchange, fetchedAt };
+}
+
+async function readSnapshot() {
+  try {
+    const [text, stat] = await Promise.all([fs.readFile(SNAPSHOT_PATH, "utf8"), fs.stat(SNAPSHOT_PATH)]);
+    return { raw: JSON.parse(text), fetchedAt: stat.mtimeMs };
+  } catch {
+    return null;
+  }
+}
+
+async function downloadSnapshot() {
+  const res = await secGet(TICKERS_URL, { cache: false }); // kept as its own snapshot below
+  if (!Array.isArray(res.data?.fields) || !Array.isArray(res.data?.data)) {
+    throw new Error("Unexpected company_tickers_exchange.json format");
+  }
+  await fs.mkdir(path.dirname(SNAPSHOT_PATH), { recursive: true });
+  await fs.writeFile(SNAPSHOT_PATH, JSON.stringify(res.data));
+  return { raw: res.data, fetchedAt: Date.now() };
+}
+
+// ---------------- Loading ----------------
+
+/**
+ * Download a fresh snapshot and swap it in. On failure the current (or on-disk)
+ * snapshot stays in use, so lookups keep working offline.
+ */
+export async function refreshReferenceData() {
+  try {
+    const { raw, fetchedAt } = await downloadSnapshot();
+    reference = buildIndexes(raw, fetchedAt);
+  } catch (err) {
+    console.error("Error refreshing SEC reference data:", err.message);
+  }
+  return reference;
+}
+
+async function load() {
+  const snapshot = await readSnapshot();
+  if (snapshot) reference = buildIndexes(snapshot.raw, snapshot.fetchedAt);
+  const stale = REFRESH_MS > 0 && Date.now() - snapshot?.fetchedAt > REFRESH_MS;
+  if (!snapshot || stale) await refreshReferenceData();
+  if (!reference) throw new Error("SEC reference data unavailable (no snapshot and download failed)");
+
+  if (!refreshTimer && REFRESH_MS > 0) {
+    refreshTimer = setInterval(refreshReferenceData, REFRESH_MS);
+    refreshTimer.unref();
+  }
+  return reference;
+}
+
+// 🔹 Loaded reference indexes (downloads at most once; later calls are in-memory)
+export async function getReferenceData() {
+  if (reference) return reference;
+  if (!loading) loading = load().finally(() => (loading = null));
+  return loading;
+}
+
+// ---------------- Lookups ----------------
+
+// 🔹 All listings for a CIK (one per ticker / share class)
+export async function findByCIK(cik) {
+  if (!cik) return [];
+  const { byCIK } = await getReferenceData();
+  return byCIK.get(String(cik).padStart(10, "0")) || [];
+}
+
+// 🔹 Listing for an exact ticker (case-insensitive)
+export async function findByTicker(ticker) {
+  if (!ticker) return null;
+  const { byTicker } = await getReferenceData();
+  return byTicker.get(String(ticker).toUpperCase().trim()) || null;
+}
+
+// 🔹 Listings whose normalized name equals the normalized query
+export async function findByName(name) {
+  const key = normalizeCompanyName(name);
+  if (!key) return [];
+  const { byName } = await getReferenceData();
+  return byName.get(key) || [];
+}
+
+// 🔹 All listings on an exchange (e.g. "NYSE", "Nasdaq")
+export async function listByExchange(exchange) {
+  if (!exchange) return [];
+  const { byExchange } = await getReferenceData();
+  return byExchange.get(String(exchange).toLowerCase()) || [];
+}
+
+// 🔹 Primary listing for a CIK, or null
+export async function primaryListing(cik) {
+  const [first] = await findByCIK(cik);
+  return first || null;
+}
@@ -0,0 +1,144 @@
+// ---------------- Item definitions ----------------
+
+export const TEN_K_ITEMS = {
+  "1": "Business",
+  "1A": "Risk Factors",
+  "1B": "Unresolved Staff Comments",
+  "1C": "Cybersecurity",
+  "2": "Properties",
+  "3": "Legal Proceedings",
+  "4": "Mine Safety Disclosures",
+  "5": "Market for Registrant's Common Equity, Related Stockholder Matters and Issuer Purchases of Equity Securities",
+  "6": "[Reserved]",
+  "7": "Management's Discussion and Analysis of Financial Condition and Results of Operations",
+  "7A": "Quantitative and Qualitative Disclosures About Market Risk",
+  "8": "Financial Statements and Supplementary Data",
+  "9": "Changes in and Disagreements with Accountants on Accounting and Financial Disclosure",
+  "9A": "Controls and Procedures",
+  "9B": "Other Information",
+  "9C": "Disclosure Regarding Foreign Jurisdictions that Prevent Inspections",
+  "10": "Directors, Executive Officers and Corporate Governance",
+  "11": "Executive Compensation",
+  "12": "Security Ownership of Certain Beneficial Owners and Management and Related Stockholder Matters",
+  "13": "Certain Relationships and Related Transactions, and Director Independence",
+  "14": "Principal Accountant Fees and Services",
+  "15": "Exhibits and Financial Statement Schedules",
+  "16": "Form 10-K Summary",
+};
+
+// 10-Q items repeat between Part I and Part II, so they are keyed "I-2", "II-1A", ...
+export const TEN_Q_ITEMS = {
+  "I-1": "Financial Statements",
+  "I-2": "Management's Discussion and Analysis of Financial Condition and Results of Operations",
+  "I-3": "Quantitative and Qualitative Disclosures About Market Risk",
+  "I-4": "Controls and Procedures",
+  "II-1": "Legal Proceedings",
+  "II-1A": "Risk Factors",
+  "II-2": "Unregistered Sales of Equity Securities and Use of Proceeds",
+  "II-3": "Defaults Upon Senior Securities",
+  "II-4": "Mine Safety Disclosures",
+  "II-5": "Other Information",
+  "II-6": "Exhibits",
+};
+
+// Plain-language topics -> item key per form, used to spot section questions in a query
+const SECTION_TOPICS = [
+  { pattern: /risk factors?|\brisks?\b/i, "10-K": "1A", "10-Q": "II-1A" },
+  { pattern: /md&a|management'?s discussion|results of operations/i, "10-K": "7", "10-Q": "I-2" },
+  { pattern: /market risk/i, "10-K": "7A", "10-Q": "I-3" },
+  { pattern: /legal proceedings|litigation|lawsuits?/i, "10-K": "3", "10-Q": "II-1" },
+  { pattern: /controls and procedures|internal control/i, "10-K": "9A", "10-Q": "I-4" },
+  { pattern: /financial statements|balance sheet|cash flow statement|income statement/i, "10-K": "8", "10-Q": "I-1" },
+  { pattern: /cyber ?security/i, "10-K": "1C" },
+  { pattern: /\bbusiness (overview|description)|describe (the|their|its) business|what does .* do\b/i, "10-K": "1" },
+  { pattern: /\bproperties\b|facilities/i, "10-K": "2" },
+  { pattern: /executive compensation/i, "10-K": "11" },
+  { pattern: /buybacks?|repurchases?|dividends?/i, "10-K": "5", "10-Q": "II-2" },
+];
+
+// ---------------- Helpers ----------------
+
+// 🔹 "10-K", "10-K/A", "10-KT" -> "10-K"; "10-Q", "10-Q/A" -> "10-Q"; anything else -> null
+export function sectionFormOf(form) {
+  const f = String(form || "").toUpperCase();
+  if (f.startsWith("10-K")) return "10-K";
+  if (f.startsWith("10-Q")) return "10-Q";
+  return null;
+}
+
+// 🔹 Item keys a query is asking about, for the given form ("what are Tesla's risk factors" -> ["1A"])
+export function detectSectionsInQuery(query, form = "10-K") {
+  const sectionForm = sectionFormOf(form) || "10-K";
+  const items = [];
+  for (const topic of SECTION_TOPICS) {
+    const item = topic[sectionForm];
+    if (item && topic.pattern.test(query || "") && !items.includes(item)) items.push(item);
+  }
+  return items;
+}
+
+// 🔹 Normalize a user-supplied item ("item 1a", "1A", "II-1A") to our key format
+export function normalizeItemKey(value, form) {
+  const v = String(value).toUpperCase().replace(/^ITEM\s*/, "").replace(/\s+/g, "").replace(/\.$/, "");
+  if (sectionFormOf(form) !== "10-Q" || /^(I|II)-/.test(v)) return v;
+  return TEN_Q_ITEMS[`I-${v}`] ? `I-${v}` : `II-${v}`;
+}
+
+const HEADING_RE = /^[ \t]*item[ \t]*(\d{1,2}[a-c]?)\b/gim;
+const PART_RE = /^[ \t]*part[ \t]+(iv|iii|ii|i)\b/gim;
+
+/**
+ * Split a 10-K or 10-Q's clean text into its Items.
+ *
+ * Every "Item N" heading is found at the start of a line. The table of
+ * contents lists the same headings close together, so for each item the
+ * occurrence followed by the longest stretch of text is taken as the real
+ * section. Offsets are character positions in the text that was passed in.
+ */
+export function extractSections(text, form = "10-K") {
+  const sectionForm = sectionFormOf(form);
+  if (!text || !sectionForm) return [];
+  const definitions = sectionForm === "10-Q" ? TEN_Q_ITEMS : TEN_K_ITEMS;
+
+  const parts = [...text.matchAll(PART_RE)].map((m) => ({ index: m.index, part: m[1].toUpperCase() }));
+  const partAt = (index) => {
+    let current = "I";
+    for (const p of parts) {
+      if (p.index > index) break;
+      current = p.part;
+    }
+    return current;
+  };
+
+  const headings = [];
+  for (const m of text.matchAll(HEADING_RE)) {
+    const number = m[1].toUpperCase();
+    const key = sectionForm === "10-Q" ? `${partAt(m.index)}-${number}` : number;
+    if (!definitions[key]) continue;
+    headings.push({ key, index: m.index });
+  }
+
+  // for each item keep the occurrence with the most text before the next heading
+  const chosen = new Map();
+  headings.forEach((h, i) => {
+    const next = headings[i + 1]?.index ?? text.length;
+    const span = next - h.index;
+    if (!chosen.has(h.key) || span > chosen.get(h.key).span) chosen.set(h.key, { ...h, span });
+  });
+
+  const ordered = [...chosen.values()].sort((a, b) => a.index - b.index);
+  return ordered.map((h, i) => {
+    const start = h.index;
+    const end = ordered[i + 1]?.index ?? text.length;
+    const body = text.slice(start, end).trim();
+    return {
+      item: h.key,
+      title: definitions[h.key],
+      heading: body.split("\n")[0].slice(0, 200),
+      start,
+      end,
+      length: end - start,
+      text: body,
+    };
+  });
+}
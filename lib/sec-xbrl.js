@@ -0,0 +1,209 @@
+import { secGet } from "./sec-client.js";
+
+const CACHE_TTL_MS = 60 * 60 * 1000; // company facts change at most a few times a quarter
+const MAX_CACHED_COMPANIES = 20; // companyfacts JSON runs to several MB per company
+const factsCache = new Map(); // cik -> { fetchedAt, data }
+
+// ---------------- Concepts ----------------
+
+// Normalized metric -> XBRL concepts, in priority order. Companies move between
+// concepts over the years (e.g. SalesRevenueNet → RevenueFromContractWith...),
+// so a metric's series is merged across all of them.
+export const METRIC_CONCEPTS = {
+  revenue: [
+    "us-gaap:Revenues",
+    "us-gaap:RevenueFromContractWithCustomerExcludingAssessedTax",
+    "us-gaap:RevenueFromContractWithCustomerIncludingAssessedTax",
+    "us-gaap:SalesRevenueNet",
+  ],
+  costOfRevenue: ["us-gaap:CostOfRevenue", "us-gaap:CostOfGoodsAndServicesSold"],
+  grossProfit: ["us-gaap:GrossProfit"],
+  operatingIncome: ["us-gaap:OperatingIncomeLoss"],
+  netIncome: ["us-gaap:NetIncomeLoss", "us-gaap:ProfitLoss"],
+  epsBasic: ["us-gaap:EarningsPerShareBasic"],
+  epsDiluted: ["us-gaap:EarningsPerShareDiluted"],
+  assets: ["us-gaap:Assets"],
+  currentAssets: ["us-gaap:AssetsCurrent"],
+  liabilities: ["us-gaap:Liabilities"],
+  currentLiabilities: ["us-gaap:LiabilitiesCurrent"],
+  stockholdersEquity: [
+    "us-gaap:StockholdersEquity",
+    "us-gaap:StockholdersEquityIncludingPortionAttributableToNoncontrollingInterest",
+  ],
+  cash: ["us-gaap:CashAndCashEquivalentsAtCarryingValue"],
+  longTermDebt: ["us-gaap:LongTermDebtNoncurrent", "us-gaap:LongTermDebt"],
+  operatingCashFlow: ["us-gaap:NetCashProvidedByUsedInOperatingActivities"],
+  capitalExpenditures: ["us-gaap:PaymentsToAcquirePropertyPlantAndEquipment"],
+  sharesOutstanding: ["dei:EntityCommonStockSharesOutstanding"],
+};
+
+// Preferred unit per metric; the first unit found is used otherwise
+const PREFERRED_UNITS = {
+  epsBasic: "USD/shares",
+  epsDiluted: "USD/shares",
+  sharesOutstanding: "shares",
+};
+
+// ---------------- Helpers ----------------
+
+// 🔹 Classify a fact's period from its start/end dates
+function periodTypeOf(fact) {
+  if (!fact.start) return "instant";
+  const days = (new Date(fact.end) - new Date(fact.start)) / 86_400_000;
+  if (days < 120) return "quarter";
+  if (days > 340 && days < 390) return "annual";
+  return "ytd";
+}
+
+// 🔹 Pick the unit array for a concept
+function unitFacts(conceptData, metric) {
+  const units = conceptData?.units || {};
+  const preferred = PREFERRED_UNITS[metric] || "USD";
+  if (units[preferred]) return { unit: preferred, facts: units[preferred] };
+  const [unit] = Object.keys(units);
+  return unit ? { unit, facts: units[unit] } : null;
+}
+
+// 🔹 Download companyfacts JSON for a 10-digit CIK (cached in memory)
+export async function fetchCompanyFacts(cik) {
+  if (!cik) return null;
+  const padded = String(cik).padStart(10, "0");
+  const cached = factsCache.get(padded);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) return cached.data;
+
+  try {
+    const url = `https://data.sec.gov/api/xbrl/companyfacts/CIK${padded}.json`;
+    const res = await secGet(url);
+    factsCache.delete(padded);
+    if (factsCache.size >= MAX_CACHED_COMPANIES) factsCache.delete(factsCache.keys().next().value);
+    factsCache.set(padded, { fetchedAt: Date.now(), data: res.data });
+    return res.data;
+  } catch (err) {
+    console.error("Error fetching XBRL company facts:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Normalize raw companyfacts into one time series per metric.
+ *
+ * The same period is usually reported again in later filings (as the
+ * comparative column). Each period keeps the fact from the filing that first
+ * reported it, so fiscalYear / fiscalPeriod / form / accessionNumber describe
+ * that original filing.
+ */
+export function normalizeCompanyFacts(raw) {
+  if (!raw?.facts) return null;
+  const metrics = {};
+
+  for (const [metric, concepts] of Object.entries(METRIC_CONCEPTS)) {
+    const byPeriod = new Map();
+
+    for (const qualified of concepts) {
+      const [taxonomy, concept] = qualified.split(":");
+      const picked = unitFacts(raw.facts[taxonomy]?.[concept], metric);
+      if (!picked) continue;
+
+      for (const fact of picked.facts) {
+        if (!fact.end || fact.val === undefined) continue;
+        const key = `${fact.start || ""}|${fact.end}`;
+        const existing = byPeriod.get(key);
+        // higher-priority concept wins; within a concept, the earliest filing wins
+        if (existing && (existing.concept !== qualified || existing.filed <= fact.filed)) continue;
+
+        const periodType = periodTypeOf(fact);
+        byPeriod.set(key, {
+          value: fact.val,
+          unit: picked.unit,
+          start: fact.start || null,
+          end: fact.end,
+          periodType,
+          fiscalYear: fact.fy ?? null,
+          // a discrete 3-month fact in an annual report is the fourth quarter
+          fiscalPeriod: periodType === "quarter" && fact.fp === "FY" ? "Q4" : fact.fp ?? null,
+          form: fact.form,
+          accessionNumber: fact.accn,
+          filed: fact.filed,
+          concept: qualified,
+        });
+      }
+    }
+
+    metrics[metric] = [...byPeriod.values()].sort((a, b) => a.end.localeCompare(b.end));
+  }
+
+  return {
+    cik: String(raw.cik).padStart(10, "0"),
+    entityName: raw.entityName || "",
+    metrics,
+  };
+}
+
+// 🔹 Fetch + normalize in one step
+export async function getFinancialSeries(cik) {
+  return normalizeCompanyFacts(await fetchCompanyFacts(cik));
+}
+
+// 🔹 Filter a normalized series by metric names, period type and most-recent count
+export function selectSeries(normalized, { metrics, periodType = "all", limit } = {}) {
+  if (!normalized) return {};
+  const names = metrics?.length ? metrics : Object.keys(normalized.metrics);
+  const out = {};
+
+  for (const name of names) {
+    let series = normalized.metrics[name];
+    if (!series) continue;
+    if (periodType !== "all") {
+      series = series.filter((p) => p.periodType === periodType || p.periodType === "instant");
+    }
+    if (limit) series = series.slice(-limit);
+    out[name] = series;
+  }
+  return out;
+}
+
+// 🔹 Latest annual and latest quarterly value of every metric
+export function latestFinancials(normalized) {
+  if (!normalized) return null;
+  const latest = {};
+  for (const [name, series] of Object.entries(normalized.metrics)) {
+    if (!series.length) continue;
+    const annual = series.filter((p) => p.periodType === "annual" || p.periodType === "instant").at(-1);
+    const quarter = series.filter((p) => p.periodType === "quarter" || p.periodType === "instant").at(-1);
+    latest[name] = { annual: annual || null, quarter: quarter || null };
+  }
+  return latest;
+}
+
+// 🔹 The values a given filing reported for its own period (matched by accession number)
+export function financialsForFiling(normalized, accessionNumber) {
+  if (!normalized || !accessionNumber) return null;
+  const out = {};
+
+  for (const [name, series] of Object.entries(normalized.metrics)) {
+    const own = series.filter((p) => p.accessionNumber === accessionNumber);
+    if (!own.length) continue;
+    // the filing's own period is its latest end date; annual reports report the
+    // full year, quarterly reports the discrete quarter rather than year-to-date
+    const lastEnd = own.reduce((max, p) => (p.end > max ? p.end : max), "");
+    const candidates = own.filter((p) => p.end === lastEnd);
+    const preferred = candidates.some((p) => p.periodType === "annual") ? "annual" : "quarter";
+    out[name] = candidates.find((p) => p.periodType === preferred) || candidates[0];
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// 🔹 accessionNumber -> { fiscalYear, fiscalPeriod } of each filing with XBRL data; annual reports are "FY"
+export function filingFiscalPeriods(normalized) {
+  const periods = new Map();
+  if (!normalized) return periods;
+  for (const series of Object.values(normalized.metrics)) {
+    for (const p of series) {
+      if (!p.accessionNumber || p.fiscalYear === null || !p.fiscalPeriod) continue;
+      // fy / fp describe the filing, except the discrete Q4 that normalizeCompanyFacts derives from a 10-K
+      const fiscalPeriod = p.fiscalPeriod === "Q4" ? "FY" : p.fiscalPeriod;
+      if (!periods.has(p.accessionNumber)) periods.set(p.accessionNumber, { fiscalYear: p.fiscalYear, fiscalPeriod });
+    }
+  }
+  return periods;
+}
@@ -0,0 +1,285 @@
+import config from "./config.js";
+import { aiClient, deployment } from "./llm.js";
+import { escapeRegExp } from "./text.js";
+
+// Sentiment for news articles: the model scores articles in batches and
+// names the entities each mentions; a finance word list scores anything the
+// model can't (or everything, with method "lexicon"), so results are
+// deterministic when needed.
+
+export const SENTIMENT_METHODS = ["llm", "lexicon"];
+export const SENTIMENT_INTERVALS = ["day", "week", "month"];
+
+const BATCH_SIZE = 10;
+const MAX_TEXT_CHARS = 600; // per article in the scoring prompt
+const NEUTRAL_BAND = 0.15; // |score| below this is neutral
+const MAX_CACHED_SCORES = 2000;
+
+const scoreCache = new Map(); // method|article id -> { sentiment, entities }
+
+// ---------------- Lexicon ----------------
+
+// Finance-news terms. Words also match their inflections ("downgrade" covers
+// "downgraded"); a trailing "*" marks a stem matching any ending. Words whose
+// polarity depends on context ("profit", "growth", "cut", "fine") only count
+// in phrases that fix it; the verb next to them ("profit falls") carries the
+// direction otherwise.
+const POSITIVE = [
+  "beat", "surge", "surging", "soar", "jump", "rall*", "gain", "rise", "rising", "rose", "climb", "record high", "lift",
+  "upgrade", "outperform", "strong", "grow", "record profit", "boost", "expand", "exceed", "top estimates",
+  "raise guidance", "raises guidance", "bullish", "optimis*", "win", "winning", "won", "approv*", "breakthrough",
+  "rebound", "recover*", "buyback", "dividend increase", "partnership", "launch", "accelerat*", "improv*", "upbeat",
+  "robust", "momentum",
+];
+const NEGATIVE = [
+  "miss", "plunge", "plunging", "plummet", "slump", "tumbl*", "drop", "dropp*", "fall", "fell", "declin*", "sink",
+  "sank", "downgrade", "underperform", "weak*", "loss", "losses", "job cut*", "cuts jobs", "cut guidance",
+  "cuts guidance", "cut forecast", "cuts forecast", "cut outlook", "cuts outlook", "dividend cut", "layoff", "lay off",
+  "recall", "lawsuit", "sue", "probe", "investigat*", "fined", "fines", "penalt*", "fraud*", "scandal", "bankrupt*", "default",
+  "warn", "lower guidance", "lowers guidance", "bearish", "pessimis*", "concern", "risk", "delay", "halt",
+  "crash", "strike", "shortfall", "disappoint*", "downturn", "slowdown", "resign", "ousted", "breach", "outage",
+];
+const NEGATORS = ["not", "no", "never", "without", "fails to", "failed to"];
+
+function termPattern(terms) {
+  const alternatives = terms.map((t) =>
+    t.endsWith("*") ? `${escapeRegExp(t.slice(0, -1))}[a-z]*` : `${escapeRegExp(t)}(?:s|es|d|ed|ing|er|ers)?`
+  );
+  return new RegExp(`\\b(?:${alternatives.join("|")})\\b`, "gi");
+}
+const POSITIVE_PATTERN = termPattern(POSITIVE);
+const NEGATIVE_PATTERN = termPattern(NEGATIVE);
+const NEGATOR_PATTERN = new RegExp(`\\b(${NEGATORS.map(escapeRegExp).join("|")})\\b(\\s+\\S+){0,2}\\s*$`, "i");
+
+// 🔹 score in [-1, 1] -> "positive" | "negative" | "neutral"
+export function sentimentLabel(score) {
+  if (score >= NEUTRAL_BAND) return "positive";
+  if (score <= -NEUTRAL_BAND) return "negative";
+  return "neutral";
+}
+
+/**
+ * Deterministic sentiment of a text from the finance word lists.
+ *
+ * Each positive or negative term counts once per occurrence, flipped when
+ * one of NEGATORS comes up to two words before it ("did not beat"). The
+ * score is (positive - negative) / (positive + negative + 1), so one term
+ * gives ±0.5 and more agreeing terms approach ±1. Returns { label, score,
+ * method: "lexicon", terms }.
+ */
+export function lexiconSentiment(text) {
+  const body = String(text || "");
+  let positive = 0;
+  let negative = 0;
+  const terms = [];
+  const count = (pattern, polarity) => {
+    for (const m of body.matchAll(pattern)) {
+      const negated = NEGATOR_PATTERN.test(body.slice(Math.max(0, m.index - 40), m.index));
+      const effective = negated ? -polarity : polarity;
+      if (effective > 0) positive++;
+      else negative++;
+      terms.push(`${negated ? "not " : ""}${m[0].toLowerCase()}`);
+    }
+  };
+  count(POSITIVE_PATTERN, 1);
+  count(NEGATIVE_PATTERN, -1);
+  const score = Number(((positive - negative) / (positive + negative + 1)).toFixed(3));
+  return { label: sentimentLabel(score), score, method: "lexicon", terms };
+}
+
+// 🔹 Entities the lexicon path can find without a model: related tickers, "$AAPL" / "(NASDAQ: AAPL)" and "X Inc." names
+export function lexiconEntities(article) {
+  const text = `${article.title} ${article.summary}`;
+  const entities = new Map();
+  const add = (name, type, ticker = null) => {
+    const key = (ticker || name).toUpperCase();
+    if (!entities.has(key)) entities.set(key, { name, type, ticker });
+  };
+  for (const ticker of article.tickers || []) add(ticker, "company", ticker);
+  for (const m of text.matchAll(/\$([A-Z]{1,5})\b|\((?:NASDAQ|NYSE|AMEX|NYSEARCA)\s*:\s*([A-Z.]{1,6})\)/g)) {
+    const ticker = m[1] || m[2];
+    add(ticker, "company", ticker);
+  }
+  for (const m of text.matchAll(/\b((?:[A-Z][\w&.-]*\s){0,3}[A-Z][\w&.-]*),?\s(Inc|Corp|Corporation|Co|Ltd|plc|Group|Holdings)\b\.?/g)) {
+    add(`${m[1].replace(/^The\s/, "")} ${m[2]}`, "company");
+  }
+  return [...entities.values()];
+}
+
+// ---------------- Model scoring ----------------
+
+function clampScore(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Number(Math.max(-1, Math.min(1, n)).toFixed(3)) : null;
+}
+
+// 🔹 One batch through the model: article id -> { sentiment, entities }; articles it skipped are left out
+async function modelScores(batch) {
+  const articlesText = batch
+    .map((a) => `ID: ${a.id}\nHeadline: ${a.title}\nSummary: ${(a.summary || "(none)").slice(0, MAX_TEXT_CHARS)}`)
+    .join("\n\n=====\n\n");
+
+  const prompt = `
+You are a financial news analyst. For each article below, rate the sentiment for investors in the
+companies it is about, from -1 (very negative) to 1 (very positive), 0 when neutral or purely factual,
+and list the entities it mentions (companies, people, products, regulators).
+
+Return ONLY a JSON object mapping article ID to
+{ "score": number, "entities": [{ "name": "string", "type": "company" | "person" | "product" | "organization" | "place", "ticker": "string or null" }] }
+
+${articlesText}
+`;
+
+  const completion = await aiClient.chat.completions.create({
+    model: deployment,
+    messages: [{ role: "user", content: prompt }],
+    max_tokens: 150 * batch.length,
+    temperature: 0,
+  });
+
+  let text = completion.choices[0].message.content.trim();
+  text = text.replace(/^```json\s*/, "").replace(/```$/, "").replace(/^```\s*/, "");
+  const parsed = JSON.parse(text);
+
+  const scores = new Map();
+  for (const a of batch) {
+    const result = parsed[a.id];
+    const score = clampScore(result?.score);
+    if (score === null) continue;
+    const entities = Array.isArray(result.entities)
+      ? result.entities
+          .filter((e) => e?.name)
+          .map((e) => ({ name: String(e.name), type: e.type || "organization", ticker: e.ticker || null }))
+      : [];
+    scores.set(a.id, { sentiment: { label: sentimentLabel(score), score, method: "llm" }, entities });
+  }
+  return scores;
+}
+
+// ---------------- Scoring ----------------
+
+function lexiconResult(article) {
+  return { sentiment: lexiconSentiment(`${article.title}. ${article.summary}`), entities: lexiconEntities(article) };
+}
+
+function cacheScore(key, value) {
+  if (scoreCache.size >= MAX_CACHED_SCORES) scoreCache.delete(scoreCache.keys().next().value);
+  scoreCache.set(key, value);
+}
+
+/**
+ * Add `sentiment` ({ label, score, method }) and `entities` to feed articles.
+ *
+ * method "llm" scores in batches of BATCH_SIZE with the model, and any
+ * article in a batch that fails or comes back unscored gets the lexicon
+ * score; "lexicon" never calls the model. Defaults to
+ * config.sentimentMethod. Scores are cached per article id.
+ */
+export async function scoreArticles(articles, { method = config.sentimentMethod } = {}) {
+  const results = new Map();
+  const pending = [];
+  for (const a of articles) {
+    const cached = scoreCache.get(`${method}|${a.id}`);
+    if (cached) results.set(a.id, cached);
+    else pending.push(a);
+  }
+
+  if (method === "llm") {
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      const batch = pending.slice(i, i + BATCH_SIZE);
+      try {
+        for (const [id, scored] of await modelScores(batch)) {
+          results.set(id, scored);
+          cacheScore(`${method}|${id}`, scored);
+        }
+      } catch (err) {
+        console.error("Error scoring news sentiment, using the lexicon:", err.message);
+      }
+    }
+  }
+  for (const a of pending) {
+    if (results.has(a.id)) continue;
+    const scored = lexiconResult(a);
+    results.set(a.id, scored);
+    // a model failure shouldn't stick: only cache lexicon scores when the lexicon was asked for
+    if (method === "lexicon") cacheScore(`${method}|${a.id}`, scored);
+  }
+
+  return articles.map((a) => ({ ...a, ...results.get(a.id) }));
+}
+
+// ---------------- Aggregation ----------------
+
+function periodKey(date, interval) {
+  const day = date.slice(0, 10);
+  if (interval === "day") return day;
+  if (interval === "month") return day.slice(0, 7);
+  // week: the Monday starting it
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+function summarize(scored) {
+  const scores = scored.map((a) => a.sentiment.score);
+  const count = (label) => scored.filter((a) => a.sentiment.label === label).length;
+  const average = scores.length ? scores.reduce((sum, s) => sum + s, 0) / scores.length : null;
+  return {
+    articles: scored.length,
+    averageScore: average === null ? null : Number(average.toFixed(3)),
+    label: average === null ? null : sentimentLabel(average),
+    positive: count("positive"),
+    negative: count("negative"),
+    neutral: count("neutral"),
+  };
+}
+
+/**
+ * Sentiment over time for scored articles (scoreArticles output).
+ *
+ * interval is "day", "week" (Monday-based) or "month". Returns { overall,
+ * periods: [{ period, ...counts }] oldest first, shift } where each summary
+ * is { articles, averageScore, label, positive, negative, neutral } and
+ * shift compares the first and last period's average
+ * ({ from, to, change, direction }), or is null with fewer than two periods.
+ */
+export function aggregateSentiment(scored, { interval = "week" } = {}) {
+  const dated = scored.filter((a) => a.sentiment && a.publishedAt);
+  const buckets = new Map();
+  for (const a of dated) {
+    const key = periodKey(a.publishedAt, interval);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(a);
+  }
+  const periods = [...buckets.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([period, items]) => ({ period, ...summarize(items) }));
+
+  let shift = null;
+  if (periods.length >= 2) {
+    const first = periods[0];
+    const last = periods[periods.length - 1];
+    const change = Number((last.averageScore - first.averageScore).toFixed(3));
+    shift = {
+      from: first.period,
+      to: last.period,
+      change,
+      direction: Math.abs(change) < NEUTRAL_BAND ? "stable" : change > 0 ? "improving" : "deteriorating",
+    };
+  }
+  return { interval, overall: summarize(scored.filter((a) => a.sentiment)), periods, shift };
+}
+
+// 🔹 Aggregate as prompt lines, every figure already formatted
+export function sentimentFactLines(aggregate) {
+  const fmt = (s) =>
+    `average ${s.averageScore === null ? "N/A" : s.averageScore.toFixed(2)} (${s.label || "no data"}); ` +
+    `${s.articles} articles: ${s.positive} positive, ${s.negative} negative, ${s.neutral} neutral`;
+  const lines = [`- Overall: ${fmt(aggregate.overall)}`];
+  for (const p of aggregate.periods) lines.push(`- ${aggregate.interval} of ${p.period}: ${fmt(p)}`);
+  if (aggregate.shift) {
+    const { from, to, change, direction } = aggregate.shift;
+    lines.push(`- Shift from ${from} to ${to}: ${change > 0 ? "+" : ""}${change.toFixed(2)} (${direction})`);
+  }
+  return lines;
+}
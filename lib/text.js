@@ -0,0 +1,116 @@
+// ---------------- Keyword helpers ----------------
+
+// improved keyword extractor (returns array of keywords)
+export function extractKeywordsArray(query) {
+  const stopWords = new Set([
+    "the","is","are","am","was","were","a","an","and","or","for","to","of","in","on","at","by","with",
+    "from","that","this","it","as","be","been","being","if","then","else","what","which","who","when","where","how","why","please","give","some","details","here"
+  ]);
+  if (!query || typeof query !== "string") return [];
+  const words = query
+    .toLowerCase()
+    .match(/\w{3,}/g)   // words with length >= 3
+    ?.filter(w => !stopWords.has(w));
+  return words || [];
+}
+
+// count presence (unique keywords matched) in a text
+export function countKeywordPresence(text, keywords) {
+  if (!text || !keywords || !keywords.length) return 0;
+  const lower = text.toLowerCase();
+  let count = 0;
+  for (const kw of keywords) {
+    if (lower.includes(kw)) count++;
+  }
+  return count;
+}
+
+
+// count total occurrences of all keywords in a text (used as a tie-breaker)
+export function countKeywordOccurrences(text, keywords) {
+  if (!text || !keywords || !keywords.length) return 0;
+  const lower = text.toLowerCase();
+  let count = 0;
+  for (const kw of keywords) {
+    let idx = lower.indexOf(kw);
+    while (idx !== -1) {
+      count++;
+      idx = lower.indexOf(kw, idx + kw.length);
+    }
+  }
+  return count;
+}
+
+// text matched literally inside a RegExp
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// ---------------- HTML → text ----------------
+
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ",
+  rsquo: "'", lsquo: "'", rdquo: '"', ldquo: '"', ndash: "-", mdash: "-",
+  bull: "•", middot: "·", hellip: "...", reg: "®", copy: "©", trade: "™",
+};
+
+// decode the HTML entities that show up in EDGAR documents
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const num = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(num) && num <= 0x10ffff ? String.fromCodePoint(num) : match;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+// turn an HTML (or plain-text) document into readable text with paragraph breaks
+export function htmlToText(html) {
+  if (!html || typeof html !== "string") return "";
+  if (!/<[a-z!/][^>]*>/i.test(html)) return html.replace(/\r\n?/g, "\n").trim();
+
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<(script|style|head|ix:header)\b[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/?(p|div|tr|li|h[1-6]|table|section|article|title)\b[^>]*>/gi, "\n")
+    .replace(/<\/t[dh]>/gi, " | ")
+    .replace(/<[^>]+>/g, " ");
+
+  return decodeEntities(text)
+    .replace(/\u00a0/g, " ")
+    .replace(/[ \t\f\v]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/(\| *){2,}/g, "| ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// ---------------- Chunking ----------------
+
+// split text into ~size-character chunks on line boundaries, with a small overlap
+export function chunkText(text, size = 3000, overlap = 300) {
+  if (!text) return [];
+  const lines = text.split("\n").filter((l) => l.trim());
+  const chunks = [];
+  let current = "";
+
+  for (const line of lines) {
+    if (current && current.length + line.length + 1 > size) {
+      chunks.push(current);
+      current = current.slice(-overlap);
+    }
+    // hard-split single lines longer than a chunk (e.g. flattened tables)
+    if (line.length > size) {
+      for (let i = 0; i < line.length; i += size - overlap) {
+        chunks.push(line.slice(i, i + size));
+      }
+      current = "";
+      continue;
+    }
+    current = current ? `${current}\n${line}` : line;
+  }
+  if (current.trim()) chunks.push(current);
+  return chunks;
+}
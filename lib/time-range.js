@@ -0,0 +1,259 @@
+// Turns the time constraint in a question ("last year", "Q2 2024", "past week")
+// into a normalized date range and, when one is named, a fiscal period.
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const ORDINALS = { first: 1, second: 2, third: 3, fourth: 4, "1st": 1, "2nd": 2, "3rd": 3, "4th": 4 };
+export const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const REPORT_LAG_DAYS = 120; // a period's 10-Q / 10-K is filed within this many days of its end
+
+// ---------------- Date helpers ----------------
+
+export function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// 🔹 YYYY-MM-DD `days` after a date (a Date or date string; negative for before)
+export function shiftDays(date, days) {
+  return isoDate(addDays(date, days));
+}
+
+function utc(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d;
+}
+
+function addMonths(date, months) {
+  const d = new Date(date);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return d;
+}
+
+// "24" -> 2024, "2024" -> 2024
+function fullYear(value) {
+  const n = Number(value);
+  return n < 100 ? 2000 + n : n;
+}
+
+function quarterRange(year, q) {
+  return { from: isoDate(utc(year, (q - 1) * 3, 1)), to: isoDate(utc(year, q * 3, 0)) };
+}
+
+function yearRange(year) {
+  return { from: `${year}-01-01`, to: `${year}-12-31` };
+}
+
+// 🔹 Never end a range in the future
+function clampTo(range, now) {
+  const today = isoDate(now);
+  return { ...range, to: range.to > today ? today : range.to };
+}
+
+// ---------------- Parser ----------------
+
+// Each rule maps its match to { from, to, fiscalYear?, fiscalPeriod? }. Order matters: specific before general.
+const RULES = [
+  // explicit ISO dates: "from 2024-01-01 to 2024-03-31", "since 2024-01-01", "before 2024-06-30"
+  {
+    re: /\b(\d{4}-\d{2}-\d{2})\s*(?:to|through|until|and|-)\s*(\d{4}-\d{2}-\d{2})\b/i,
+    range: (m) => ({ from: m[1], to: m[2] }),
+  },
+  { re: /\b(?:since|after|from)\s+(\d{4}-\d{2}-\d{2})\b/i, range: (m, now) => ({ from: m[1], to: isoDate(now) }) },
+  { re: /\b(?:before|until|through)\s+(\d{4}-\d{2}-\d{2})\b/i, range: (m) => ({ from: null, to: m[1] }) },
+
+  // quarters: "Q2 2024", "2Q24", "Q2 FY2024", "second quarter of 2024", "Q3" (latest completed Q3)
+  {
+    re: /\b(?:q([1-4])|([1-4])q|(first|second|third|fourth|1st|2nd|3rd|4th)\s+quarter)(?:\s*(?:of\s+)?(?:fiscal\s+(?:year\s+)?|fy\s*)?'?(\d{4}|\d{2})\b|(?!\s*\d))/i,
+    range: (m, now) => {
+      const q = Number(m[1] || m[2]) || ORDINALS[m[3].toLowerCase()];
+      let year = m[4] ? fullYear(m[4]) : now.getUTCFullYear();
+      if (!m[4] && quarterRange(year, q).to > isoDate(now)) year -= 1;
+      return { ...quarterRange(year, q), fiscalYear: year, fiscalPeriod: `Q${q}` };
+    },
+  },
+
+  // halves: "H1 2024", "first half of 2024"
+  {
+    re: /\b(?:h([12])|(first|second)\s+half)\s+(?:of\s+)?(\d{4})\b/i,
+    range: (m) => {
+      const half = Number(m[1]) || (m[2].toLowerCase() === "first" ? 1 : 2);
+      const year = Number(m[3]);
+      return half === 1 ? { from: `${year}-01-01`, to: `${year}-06-30` } : { from: `${year}-07-01`, to: `${year}-12-31` };
+    },
+  },
+
+  // fiscal years: "FY2023", "FY 23", "fiscal 2023", "fiscal year 2023"
+  {
+    re: /\b(?:fy\s*'?|fiscal\s+(?:year\s+)?)(\d{4}|\d{2})\b/i,
+    range: (m) => {
+      const year = fullYear(m[1]);
+      return { ...yearRange(year), fiscalYear: year, fiscalPeriod: "FY" };
+    },
+  },
+
+  // months: "March 2024", "since March 2024"
+  {
+    re: /\b(since\s+)?(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\s+(\d{4})\b/i,
+    range: (m, now) => {
+      const month = MONTHS.indexOf(m[2].slice(0, 3).toLowerCase());
+      const year = Number(m[3]);
+      const from = isoDate(utc(year, month, 1));
+      return { from, to: m[1] ? isoDate(now) : isoDate(utc(year, month + 1, 0)) };
+    },
+  },
+
+  // rolling windows: "past 3 months", "last 10 days", "previous 2 years"
+  {
+    re: /\b(?:past|last|previous|prior)\s+(\d+)\s+(day|week|month|quarter|year)s?\b/i,
+    range: (m, now) => {
+      const n = Number(m[1]);
+      const unit = m[2].toLowerCase();
+      const from =
+        unit === "day" ? addDays(now, -n)
+        : unit === "week" ? addDays(now, -7 * n)
+        : addMonths(now, -n * (unit === "month" ? 1 : unit === "quarter" ? 3 : 12));
+      return { from: isoDate(from), to: isoDate(now) };
+    },
+  },
+
+  // calendar periods: "last year", "last quarter", "last month" mean the previous full period
+  {
+    re: /\blast\s+(year|quarter|month)\b/i,
+    range: (m, now) => {
+      const unit = m[1].toLowerCase();
+      const year = now.getUTCFullYear();
+      if (unit === "year") return yearRange(year - 1);
+      if (unit === "month") {
+        const start = utc(year, now.getUTCMonth() - 1, 1);
+        return { from: isoDate(start), to: isoDate(utc(year, now.getUTCMonth(), 0)) };
+      }
+      const current = Math.floor(now.getUTCMonth() / 3) + 1;
+      return current === 1 ? quarterRange(year - 1, 4) : quarterRange(year, current - 1);
+    },
+  },
+
+  // "past year", "past month", "past/last week", "past quarter" are rolling
+  {
+    re: /\b(?:past|last|previous)\s+(week|month|quarter|year)\b/i,
+    range: (m, now) => {
+      const unit = m[1].toLowerCase();
+      const from = unit === "week" ? addDays(now, -7) : addMonths(now, unit === "month" ? -1 : unit === "quarter" ? -3 : -12);
+      return { from: isoDate(from), to: isoDate(now) };
+    },
+  },
+
+  // to-date periods
+  {
+    re: /\b(this\s+(year|quarter|month|week)|year[\s-]to[\s-]date|ytd)\b/i,
+    range: (m, now) => {
+      const unit = (m[2] || "year").toLowerCase();
+      const year = now.getUTCFullYear();
+      const from =
+        unit === "year" ? utc(year, 0, 1)
+        : unit === "quarter" ? utc(year, Math.floor(now.getUTCMonth() / 3) * 3, 1)
+        : unit === "month" ? utc(year, now.getUTCMonth(), 1)
+        : addDays(now, -((now.getUTCDay() + 6) % 7)); // Monday
+      return { from: isoDate(from), to: isoDate(now) };
+    },
+  },
+  { re: /\btoday\b/i, range: (m, now) => ({ from: isoDate(now), to: isoDate(now) }) },
+  { re: /\byesterday\b/i, range: (m, now) => ({ from: isoDate(addDays(now, -1)), to: isoDate(addDays(now, -1)) }) },
+
+  // years: "news in 2024", "since 2022", or a bare year that ends the phrase or names a report ("Apple's 2023 10-K",
+  // "Tesla 2024"); a number followed by anything else is a count ("top 2000 companies")
+  {
+    re: /\b(?:(since)|in|for|during|from|of)\s+((?:19|20)\d{2})\b(?!-\d)|\b((?:19|20)\d{2})\b(?!-\d)(?=\s*(?:$|[.,;:!?)]|(?:10-?[kq]|20-?f|8-?k|annual|quarterly|results|earnings|filings?|reports?|revenue|sales|profits?|income|guidance|news)\b))/i,
+    range: (m, now) => {
+      const year = Number(m[2] || m[3]);
+      return m[1] ? { from: `${year}-01-01`, to: isoDate(now) } : { ...yearRange(year), fiscalYear: year };
+    },
+  },
+];
+
+/**
+ * Find the time constraint in free text.
+ *
+ * Returns { from, to, fiscalYear, fiscalPeriod, matched } or null when the
+ * text names no time. from / to are YYYY-MM-DD (inclusive) calendar dates and
+ * never run past today; fiscalYear / fiscalPeriod ("Q1".."Q4", "FY") are set
+ * when the text names a fiscal period or year. `matched` is the phrase that
+ * was recognized, so callers can strip it from a search query.
+ */
+export function parseTimeRange(text, now = new Date()) {
+  if (!text) return null;
+  for (const rule of RULES) {
+    const m = String(text).match(rule.re);
+    if (!m) continue;
+    const range = clampTo(rule.range(m, now), now);
+    return {
+      from: range.from || null,
+      to: range.to || null,
+      fiscalYear: range.fiscalYear ?? null,
+      fiscalPeriod: range.fiscalPeriod ?? null,
+      matched: m[0].trim(),
+    };
+  }
+  return null;
+}
+
+/**
+ * The time constraint to apply to a request.
+ *
+ * Explicit from / to in the request body win; then a phrase recognized in
+ * the query; then whatever the LLM intent extraction returned (validated).
+ * Fields that nothing constrains are null.
+ */
+export function resolveTimeRange({ query, from, to, extracted } = {}, now = new Date()) {
+  const empty = { from: null, to: null, fiscalYear: null, fiscalPeriod: null };
+  const parsed = parseTimeRange(query, now);
+
+  let range = parsed || empty;
+  if (!parsed && extracted) {
+    const fiscalYear = Number(extracted.fiscalYear) || null;
+    const fiscalPeriod = /^(Q[1-4]|FY)$/i.test(extracted.fiscalPeriod || "") ? extracted.fiscalPeriod.toUpperCase() : null;
+    range = {
+      from: ISO_DATE.test(extracted.from || "") ? extracted.from : fiscalYear ? `${fiscalYear}-01-01` : null,
+      to: ISO_DATE.test(extracted.to || "") ? extracted.to : fiscalYear ? `${fiscalYear}-12-31` : null,
+      fiscalYear,
+      fiscalPeriod,
+    };
+  }
+
+  const resolved = {
+    from: ISO_DATE.test(from || "") ? from : range.from,
+    to: ISO_DATE.test(to || "") ? to : range.to,
+    fiscalYear: range.fiscalYear,
+    fiscalPeriod: range.fiscalPeriod,
+  };
+  return resolved.to ? clampTo(resolved, now) : resolved;
+}
+
+// 🔹 Filing dates to search for a fiscal period: reports are filed after the period and fiscal years
+//    don't follow the calendar, so widen the calendar range a year each way and filter precisely later
+export function filingSearchWindow(range, now = new Date()) {
+  if (!range?.fiscalYear) return { from: range?.from || null, to: range?.to || null };
+  const from = range.from ? isoDate(addMonths(new Date(range.from), -12)) : null;
+  const to = range.to ? isoDate(addMonths(new Date(range.to), 12)) : null;
+  return clampTo({ from, to }, now);
+}
+
+// 🔹 Filing dates of the reports for a calendar period: its start until REPORT_LAG_DAYS after its end
+export function reportFilingWindow(range, now = new Date()) {
+  if (!range?.fiscalYear) return { from: range?.from || null, to: range?.to || null };
+  const to = range.to ? isoDate(addDays(new Date(range.to), REPORT_LAG_DAYS)) : null;
+  return clampTo({ from: range.from || null, to }, now);
+}
+
+// 🔹 Text with the time phrase removed (for keyword searches such as NewsAPI's q)
+export function stripTimePhrase(text, range) {
+  if (!range?.matched) return text;
+  return String(text)
+    .replace(range.matched, " ")
+    .replace(/\b(from|in|during|for|over|since)(\s+the)?\s*$/i, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
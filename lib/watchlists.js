@@ -0,0 +1,191 @@
+import config from "./config.js";
+import { createJsonStore } from "./json-store.js";
+import { resolveCompany } from "./entity-resolver.js";
+import { primaryListing } from "./sec-reference.js";
+import { searchTicker } from "./yahoo.js";
+
+// Named lists of companies, kept in one JSON file (config.watchlistFile):
+// { watchlists: [{ name, description, companies: [{ ticker, cik, name, exchange, notes, addedAt }], createdAt, updatedAt }] }
+
+export const MAX_WATCHLIST_COMPANIES = 100;
+const NAME_PATTERN = /^[\w][\w .-]{0,63}$/;
+const FAN_OUT_BATCH_SIZE = 4; // companies run in parallel when a route runs over a watchlist
+
+const store = createJsonStore(config.watchlistFile, () => ({ watchlists: [] }));
+
+// ---------------- Helpers ----------------
+
+function sameName(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+// ---------------- Watchlists ----------------
+
+export function isValidWatchlistName(name) {
+  return typeof name === "string" && NAME_PATTERN.test(name.trim());
+}
+
+export async function listWatchlists() {
+  return (await store.read()).watchlists;
+}
+
+// 🔹 Watchlist by name (case-insensitive), or null
+export async function getWatchlist(name) {
+  if (!name) return null;
+  return (await store.read()).watchlists.find((w) => sameName(w.name, String(name).trim())) || null;
+}
+
+// 🔹 New watchlist; null when one with that name already exists
+export function createWatchlist({ name, description = "", companies = [] }) {
+  return store.mutate((doc) => {
+    if (doc.watchlists.some((w) => sameName(w.name, name))) return null;
+    const now = new Date().toISOString();
+    const watchlist = { name: name.trim(), description, companies, createdAt: now, updatedAt: now };
+    doc.watchlists.push(watchlist);
+    return watchlist;
+  });
+}
+
+/**
+ * Change a watchlist in place. `update` is { description, add, remove, notes }:
+ * add is a list of resolved companies (resolveWatchlistEntry matches),
+ * remove a list of tickers or CIKs, notes a { ticker: text } map. Companies
+ * already on the list are not added twice. Returns the updated watchlist, or
+ * null when there is no watchlist by that name.
+ */
+export function updateWatchlist(name, { description, add = [], remove = [], notes = {} }) {
+  return store.mutate((doc) => {
+    const watchlist = doc.watchlists.find((w) => sameName(w.name, name));
+    if (!watchlist) return null;
+
+    if (typeof description === "string") watchlist.description = description;
+    const removed = new Set(remove.map((r) => String(r).toUpperCase()));
+    watchlist.companies = watchlist.companies.filter((c) => !removed.has(c.ticker) && !removed.has(c.cik));
+    for (const company of add) {
+      if (!watchlist.companies.some((c) => c.ticker === company.ticker)) watchlist.companies.push(company);
+    }
+    for (const [ticker, text] of Object.entries(notes)) {
+      const company = watchlist.companies.find((c) => c.ticker === ticker.toUpperCase());
+      if (company) company.notes = String(text);
+    }
+    watchlist.updatedAt = new Date().toISOString();
+    return watchlist;
+  });
+}
+
+// 🔹 true when a watchlist was deleted
+export function deleteWatchlist(name) {
+  return store.mutate((doc) => {
+    const before = doc.watchlists.length;
+    doc.watchlists = doc.watchlists.filter((w) => !sameName(w.name, name));
+    return doc.watchlists.length < before;
+  });
+}
+
+// ---------------- Companies ----------------
+
+/**
+ * Resolve a watchlist entry — a ticker, a company name, or
+ * { ticker, companyName, cik, notes } — to the company stored on the list.
+ *
+ * Returns { company } with { ticker, cik, name, exchange, notes, addedAt },
+ * { ambiguous, resolution, input } when the caller should ask which company
+ * was meant, or { notFound, input }. Companies outside SEC's listings are
+ * kept with their Yahoo ticker and no CIK.
+ */
+export async function resolveWatchlistEntry(entry) {
+  const input = typeof entry === "string" ? { companyName: entry } : entry || {};
+  const label = input.ticker || input.companyName || input.cik;
+  const looksLikeTicker = /^[A-Z][A-Z0-9.-]{0,5}$/.test(String(label || ""));
+  const company = (fields) => ({ company: { ...fields, notes: input.notes || "", addedAt: new Date().toISOString() } });
+
+  if (input.cik && !input.ticker && !input.companyName) {
+    const listing = await primaryListing(input.cik).catch(() => null);
+    return listing ? company({ ticker: listing.ticker, cik: listing.cik, name: listing.name, exchange: listing.exchange }) : { input: label, notFound: true };
+  }
+
+  const resolution = await resolveCompany({
+    name: input.companyName,
+    ticker: input.ticker || (looksLikeTicker ? label : undefined),
+  });
+  if (resolution.ambiguous) return { input: label, ambiguous: true, resolution };
+  const { match } = resolution;
+  if (match) return company({ ticker: match.ticker, cik: match.cik, name: match.name, exchange: match.exchange });
+
+  const ticker = input.ticker || (input.companyName ? await searchTicker(input.companyName) : null);
+  if (!ticker) return { input: label, notFound: true };
+  return company({ ticker: ticker.toUpperCase(), cik: null, name: input.companyName || null, exchange: null });
+}
+
+// ---------------- Routes over a watchlist ----------------
+
+// 🔹 Run an Express handler with another body and capture what it responds with
+function runHandler(handler, req, body) {
+  return new Promise((resolve, reject) => {
+    const captured = Object.assign(Object.create(req), { body });
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ status: this.statusCode, body: payload });
+        return this;
+      },
+    };
+    Promise.resolve(handler(captured, res)).catch(reject);
+  });
+}
+
+/**
+ * Let a route take `watchlist` (a watchlist name) wherever it takes a company.
+ *
+ * Without `listField` the handler runs once per company on the list, with
+ * ticker, cik and companyName set in the body, and the route responds with
+ * { watchlist, results: [{ ticker, name, status, result | error }] }. With
+ * `listField` (routes that already take several companies) the list is
+ * passed in that field instead and the route runs once.
+ */
+export function withWatchlist(handler, { listField } = {}) {
+  return async (req, res) => {
+    const name = req.body?.watchlist;
+    if (!name) return handler(req, res);
+
+    let watchlist;
+    try {
+      watchlist = await getWatchlist(name);
+    } catch (err) {
+      console.error("Error reading watchlists:", err.message);
+      return res.status(500).json({ error: "Could not read watchlists." });
+    }
+    if (!watchlist) return res.status(404).json({ error: `Watchlist "${name}" not found.` });
+    if (!watchlist.companies.length) return res.status(400).json({ error: `Watchlist "${watchlist.name}" is empty.` });
+    const { watchlist: _name, ...body } = req.body;
+
+    if (listField) {
+      const companies = watchlist.companies.map((c) => ({ ticker: c.ticker, companyName: c.name }));
+      return handler(Object.assign(Object.create(req), { body: { ...body, [listField]: companies } }), res);
+    }
+
+    const results = [];
+    for (let i = 0; i < watchlist.companies.length; i += FAN_OUT_BATCH_SIZE) {
+      const batch = watchlist.companies.slice(i, i + FAN_OUT_BATCH_SIZE);
+      results.push(
+        ...(await Promise.all(
+          batch.map(async (company) => {
+            const { status, body: result } = await runHandler(handler, req, {
+              ...body,
+              ticker: company.ticker,
+              cik: company.cik || undefined,
+              companyName: company.name || undefined,
+            });
+            const entry = { ticker: company.ticker, name: company.name, status };
+            return status < 400 ? { ...entry, result } : { ...entry, error: result?.error || result?.message || result };
+          })
+        ))
+      );
+    }
+    res.json({ watchlist: watchlist.name, results });
+  };
+}
@@ -0,0 +1,101 @@
+import crypto from "crypto";
+import axios from "axios";
+import config from "./config.js";
+import { isPublicUrl, publicLookup } from "./public-url.js";
+
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 60000;
+const TIMEOUT_MS = 10000;
+
+// ---------------- Signing ----------------
+
+// 🔹 Random secret for a new webhook
+export function generateSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Signature headers for a webhook body.
+ *
+ * The signature is an HMAC-SHA256 of "<timestamp>.<body>" with the webhook's
+ * secret, sent as X-Alert-Signature: sha256=<hex>. Receivers recompute it over
+ * the raw body and X-Alert-Timestamp, and reject old timestamps to stop replays.
+ */
+export function signatureHeaders(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return { "X-Alert-Timestamp": String(timestamp), "X-Alert-Signature": `sha256=${signature}` };
+}
+
+// ---------------- Delivery ----------------
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// 🔹 Network errors, timeouts, 429 and 5xx are worth retrying; other 4xx won't change on a retry
+function isRetryable(err) {
+  const status = err.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+/**
+ * POST a JSON payload to a webhook ({ id, url, secret }), retrying with
+ * exponential backoff up to config.webhookMaxAttempts times.
+ *
+ * Unless its host is in config.webhookAllowedHosts, the receiver must be on a
+ * public address when the request is made, and redirects aren't followed.
+ *
+ * Never throws. Returns the delivery record for the log: { id, webhookId,
+ * url, eventId, status: "delivered" | "failed", attempts, responseStatus,
+ * error, startedAt, finishedAt }.
+ */
+export async function deliverWebhook(webhook, payload, { eventId, maxAttempts = config.webhookMaxAttempts } = {}) {
+  const body = JSON.stringify(payload);
+  const delivery = {
+    id: crypto.randomUUID(),
+    webhookId: webhook.id,
+    url: webhook.url,
+    eventId: eventId || null,
+    status: "failed",
+    attempts: 0,
+    responseStatus: null,
+    error: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+  };
+
+  const reachable = await isPublicUrl(webhook.url, { allowedHosts: config.webhookAllowedHosts });
+  if (!reachable) delivery.error = "receiver is not on a public address";
+  const allowed = reachable && config.webhookAllowedHosts.includes(new URL(webhook.url).hostname.toLowerCase());
+
+  for (let attempt = 0; reachable && attempt < maxAttempts; attempt++) {
+    if (attempt > 0) await sleep(Math.min(BASE_BACKOFF_MS * 2 ** (attempt - 1), MAX_BACKOFF_MS));
+    delivery.attempts = attempt + 1;
+    try {
+      const res = await axios.post(webhook.url, body, {
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0,
+        ...(allowed ? {} : { lookup: publicLookup }),
+        headers: {
+          "Content-Type": "application/json",
+          "X-Alert-Delivery": delivery.id,
+          ...signatureHeaders(webhook.secret, body),
+        },
+      });
+      delivery.status = "delivered";
+      delivery.responseStatus = res.status;
+      delivery.error = null;
+      break;
+    } catch (err) {
+      delivery.responseStatus = err.response?.status ?? null;
+      delivery.error = err.message;
+      if (!isRetryable(err)) break;
+    }
+  }
+
+  delivery.finishedAt = new Date().toISOString();
+  if (delivery.status === "failed") {
+    console.error(`Webhook delivery to ${webhook.url} failed after ${delivery.attempts} attempt(s):`, delivery.error);
+  }
+  return delivery;
+}
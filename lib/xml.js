@@ -0,0 +1,31 @@
+import { decodeEntities } from "./text.js";
+
+// Small helpers for the flat, well-formed XML EDGAR publishes (Form 4, 13F information tables).
+// Tags may carry a namespace prefix ("ns1:infoTable"), which is ignored.
+
+// 🔹 Inner XML of every <tag>...</tag> element
+export function xmlElements(xml, tag) {
+  const re = new RegExp(`<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, "g");
+  return [...String(xml || "").matchAll(re)].map((m) => m[1]);
+}
+
+// 🔹 Text of the first <tag>; values wrapped in <value> (Form 4 style) are unwrapped
+export function xmlField(xml, tag) {
+  const [inner] = xmlElements(xml, tag);
+  if (inner === undefined) return null;
+  const [value] = xmlElements(inner, "value");
+  const text = decodeEntities((value ?? inner).replace(/<[^>]+>/g, "")).trim();
+  return text || null;
+}
+
+export function xmlNumber(xml, tag) {
+  const value = xmlField(xml, tag);
+  if (value === null) return null;
+  const n = Number(value.replace(/[$,]/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+export function xmlFlag(xml, tag) {
+  const value = (xmlField(xml, tag) || "").toLowerCase();
+  return value === "1" || value === "true";
+}
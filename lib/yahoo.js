@@ -0,0 +1,23 @@
+import YahooFinance from "yahoo-finance2";
+
+// ---------------- Yahoo Client ----------------
+
+// One yahoo-finance2 instance for every service; it keeps Yahoo's cookie /
+// crumb between calls.
+export const yahooFinance = new YahooFinance({ suppressNotices: ["yahooSurvey"] });
+
+// 🔹 Best ticker for a company name from Yahoo search (equities first); null when nothing matches
+export async function searchTicker(name) {
+  if (!name) return null;
+  try {
+    const { quotes = [] } = await yahooFinance.search(name, { quotesCount: 5, newsCount: 0 });
+    const listed = quotes.filter((q) => q.symbol);
+    const equity = listed.find((q) => q.quoteType === "EQUITY");
+    return (equity || listed[0])?.symbol || null;
+  } catch (err) {
+    console.error("Yahoo search failed:", err.message);
+    return null;
+  }
+}
+
+export default yahooFinance;
@@ -1,91 +1,96 @@
 import express from "express";
-import axios from "axios";
-import dotenv from "dotenv";
-import { AzureOpenAI } from "openai";
-import cors from "cors";
+import { aiClient as client } from "./lib/llm.js";
+import { resolveTimeRange, parseTimeRange, stripTimePhrase } from "./lib/time-range.js";
+import { withWatchlist } from "./lib/watchlists.js";
+import { compactGroups, decodeNewsCursor, fetchNews, parseNewsControls } from "./lib/news.js";
+import { markCited, newsContext } from "./lib/article-text.js";
+import { SENTIMENT_METHODS, aggregateSentiment, scoreArticles } from "./lib/sentiment.js";
 
-dotenv.config();
+const router = express.Router();
 
-const app = express();
-app.use(express.json());
-app.use(cors());
-
-// 🔑 API keys from .env
-const NEWS_API_KEY = process.env.NEWS_API_KEY;
-const AZURE_OPENAI_ENDPOINT = process.env.AZURE_OPENAI_ENDPOINT;
-const AZURE_OPENAI_API_KEY = process.env.AZURE_OPENAI_API_KEY;
-const AZURE_OPENAI_DEPLOYMENT = process.env.AZURE_OPENAI_DEPLOYMENT;
-
-// 🧠 Azure OpenAI client
-const client = new AzureOpenAI({
-  endpoint: AZURE_OPENAI_ENDPOINT,
-  apiKey: AZURE_OPENAI_API_KEY,
-  deployment: AZURE_OPENAI_DEPLOYMENT,
-  apiVersion: "2024-02-15-preview",
-});
-
-// 🔍 Route for query + AI summary
-app.post("/api/news-ai", async (req, res) => {
+// 🔍 Route for query + AI summary; companyName / ticker (or a watchlist) narrow the search to a company.
+// Body: { query?, companyName?, ticker?, from?, to?, page?, pageSize?, cursor?, domains?, excludeDomains?,
+//         sources?, excludeSources?, language?, sortBy?: "rank" | "publishedAt" | "relevancy" | "popularity",
+//         sentimentMethod?: "llm" | "lexicon", fullText?: false } — at least one of query, companyName and ticker.
+// The summary reads the top stories' full text (fullText: false uses the feed's snippets) and cites them as [n].
+// Pass the response's nextCursor as cursor (with the same body otherwise) for the next page.
+router.post("/api/news-ai", withWatchlist(async (req, res) => {
   try {
-    const query = req.body.query || "finance";
+    const { query, companyName, ticker, sentimentMethod } = req.body;
+    if (!query && !companyName && !ticker) {
+      return res.status(400).json({ error: "query, companyName or ticker is required." });
+    }
+    if (sentimentMethod !== undefined && !SENTIMENT_METHODS.includes(sentimentMethod)) {
+      return res.status(400).json({ error: `sentimentMethod must be one of: ${SENTIMENT_METHODS.join(", ")}` });
+    }
+    const { controls, error } = parseNewsControls(req.body);
+    if (error) return res.status(400).json({ error });
 
-    // Step 1️⃣ — Fetch news from NewsAPI
-    const newsResponse = await axios.get(
-      `https://newsapi.org/v2/everything?q=${encodeURIComponent(
-        query
-      )}&language=en&sortBy=publishedAt&pageSize=5&apiKey=${NEWS_API_KEY}`
-    );
+    // "Tesla news past week" → search "Tesla news" over the last 7 days; from / to in the body win
+    const range = resolveTimeRange({ query, from: controls.from, to: controls.to });
+    const topic = query ? stripTimePhrase(query, parseTimeRange(query)) || query : undefined;
 
-    const articles = newsResponse.data.articles.map((a) => ({
-      title: a.title,
-      source: a.source.name,
-      description: a.description,
-      url: a.url,
-      publishedAt: a.publishedAt,
-    }));
+    const options = { ...controls, query: topic, companyName, ticker, from: range.from, to: range.to };
+    if (controls.cursor) {
+      const position = decodeNewsCursor(controls.cursor, options);
+      if (!position) return res.status(400).json({ error: "cursor is invalid or belongs to a different search." });
+      Object.assign(options, position);
+    }
+
+    // Step 1️⃣ — NewsAPI search, plus Finnhub company news when a ticker is given, merged into event groups
+    const feed = await fetchNews(options);
 
-    if (!articles.length) {
-      return res.status(404).json({ error: "No news found for this query" });
+    if (!feed.articles.length) {
+      return res.status(404).json({ error: "No news found for this query", providers: feed.providers });
     }
 
-    // Step 2️⃣ — Prepare summary text
-    const contextText = articles
-      .map(
-        (a, i) =>
-          `${i + 1}. ${a.title} (${a.source}) - ${a.description || "No description"}`
-      )
-      .join("\n\n");
+    // Step 2️⃣ — Sentiment and entities for every article, and the feed's sentiment by day
+    const articles = await scoreArticles(feed.articles, { method: sentimentMethod });
 
-    // Step 3️⃣ — Send to Azure OpenAI for summary
+    // Step 3️⃣ — Prepare summary text: the top events' article text, best ranked first, numbered for citation
+    const context = await newsContext(feed.groups, { fullText: req.body.fullText !== false });
+
+    // Step 4️⃣ — Send to Azure OpenAI for summary
     const prompt = `
-You are a financial analyst AI. Summarize the following recent news headlines about "${query}" 
-and provide key insights in 3-5 bullet points:
+You are a financial analyst AI. Summarize the following recent news about "${query || companyName || ticker}" 
+and provide key insights in 3-5 bullet points. Each numbered item is one event, with the outlets that
+covered it; give more weight to widely covered events.
+
+End every bullet with the numbers of the items it is based on, like [2] or [1][3]. Use only what the
+items say.
 
-${contextText}
+${context.text}
 `;
 
     const aiResponse = await client.chat.completions.create({
       messages: [{ role: "user", content: prompt }],
-      max_tokens: 300,
+      max_tokens: 400,
     });
 
     const answer =
       aiResponse.choices?.[0]?.message?.content ||
       "No summary generated by AI.";
 
-    // Step 4️⃣ — Send combined response
+    // Step 5️⃣ — Send combined response
     res.json({
-      query,
-      totalResults: articles.length,
+      query: query || null,
+      from: feed.from,
+      to: feed.to,
+      totalResults: feed.total,
+      page: feed.page,
+      pageSize: feed.pageSize,
+      nextCursor: feed.nextCursor,
       articles,
+      groups: compactGroups(feed.groups),
+      sentiment: aggregateSentiment(articles, { interval: "day" }),
+      providers: feed.providers,
       answer,
+      citations: markCited(answer, context.citations),
     });
   } catch (error) {
     console.error("Error:", error.message);
     res.status(500).json({ error: "Failed to fetch or process data" });
   }
-});
+}));
 
-app.listen(3000, () =>
-  console.log("🚀 Server running with Azure AI on http://localhost:3000")
-);
\ No newline at end of file
+export default router;
@@ -1,29 +1,24 @@
 import express from "express";
-import axios from "axios";
-import dotenv from "dotenv";
-import cors from "cors";
-import { AzureOpenAI } from "openai";
-
-dotenv.config();
-const app = express();
-app.use(cors());
-app.use(express.json());
-
-// 🔹 Environment variables
-const {
-  FINNHUB_API_KEY,
-  AZURE_OPENAI_ENDPOINT,
-  AZURE_OPENAI_API_KEY,
-  AZURE_OPENAI_DEPLOYMENT
-} = process.env;
-
-// 🔹 Azure OpenAI client setup
-const aiClient = new AzureOpenAI({
-  endpoint: AZURE_OPENAI_ENDPOINT,
-  apiKey: AZURE_OPENAI_API_KEY, 
-  deployment: AZURE_OPENAI_DEPLOYMENT,
-  apiVersion: "2024-05-01-preview",
-});
+import { aiClient, deployment } from "./lib/llm.js";
+import { resolveCompanyText, ambiguityDetails } from "./lib/entity-resolver.js";
+import { isoDate, resolveTimeRange } from "./lib/time-range.js";
+import { searchFinnhubSymbol } from "./lib/finnhub.js";
+import { compactGroups, decodeNewsCursor, fetchNews, parseNewsControls } from "./lib/news.js";
+import { markCited, newsContext } from "./lib/article-text.js";
+import { withWatchlist } from "./lib/watchlists.js";
+import { completeWithFacts } from "./lib/fact-check.js";
+import {
+  SENTIMENT_INTERVALS,
+  SENTIMENT_METHODS,
+  aggregateSentiment,
+  scoreArticles,
+  sentimentFactLines,
+} from "./lib/sentiment.js";
+
+const router = express.Router();
+
+const DEFAULT_WINDOW_DAYS = 30;
+const SENTIMENT_PAGE_SIZE = 50; // articles per provider for sentiment over time
 
 // 🔹 Helper to extract company/ticker from user query
 async function extractCompanyFromQuery(query) {
@@ -35,7 +30,7 @@ async function extractCompanyFromQuery(query) {
 
   const aiRes = await aiClient.chat.completions.create({
     messages: [{ role: "user", content: prompt }],
-    model: AZURE_OPENAI_DEPLOYMENT,
+    model: deployment,
     max_tokens: 20,
     temperature: 0.3,
   });
@@ -44,82 +39,214 @@ async function extractCompanyFromQuery(query) {
   return company;
 }
 
-// 🔹 Helper to summarize news data
-async function summarizeNews(company, news) {
-  const newsText = news
-    .slice(0, 5)
-    .map((n) => `- ${n.headline}: ${n.summary}`)
-    .join("\n");
+// 🔹 Helper to summarize news data from the top events' article text; bullets cite items as [n]
+async function summarizeNews(company, groups, { fullText }) {
+  const context = await newsContext(groups, { limit: 5, fullText });
 
   const prompt = `
   Summarize the top finance and company-related news for ${company}.
-  Use the following data:
-  ${newsText}
-  Provide a short, clear summary (max 100 words).
+  Each numbered item is one event, with the outlets that covered it. Use the following data:
+  ${context.text}
+  Provide 3-5 short bullets (max 120 words in all). End every bullet with the numbers of the
+  items it is based on, like [2] or [1][3].
   `;
 
   const aiRes = await aiClient.chat.completions.create({
     messages: [{ role: "user", content: prompt }],
-    model: AZURE_OPENAI_DEPLOYMENT,
-    max_tokens: 150,
+    model: deployment,
+    max_tokens: 250,
     temperature: 0.5,
   });
 
-  return aiRes.choices[0].message.content.trim();
+  const answer = aiRes.choices[0].message.content.trim();
+  return { answer, citations: markCited(answer, context.citations) };
+}
+
+// 🔹 AI narrative of how sentiment moved, quoting only the aggregate's figures
+async function summarizeSentiment(company, ticker, aggregate, groups, query) {
+  const facts = [
+    ...sentimentFactLines(aggregate),
+    ...groups.slice(0, 8).map((g) => {
+      const scores = g.articles.map((a) => a.sentiment.score);
+      const average = scores.reduce((sum, s) => sum + s, 0) / scores.length;
+      return `- ${(g.lastPublishedAt || "").slice(0, 10) || "date unknown"} event (${g.sources.length} source(s), sentiment ${average.toFixed(2)}): ${g.headline}`;
+    }),
+  ].join("\n");
+
+  const prompt = `
+You are a financial analyst AI. Explain how news sentiment on ${company} (${ticker}) has shifted
+over the period below, in 3-5 sentences: the overall tone, the direction of the shift, and the events
+that drove it. Scores run from -1 (very negative) to 1 (very positive).
+
+The user asked: ${query}
+
+Data:
+${facts}
+`;
+
+  return completeWithFacts({ prompt, facts, query, max_tokens: 300 });
+}
+
+// 🔹 Company, ticker and news window for a request: the body's companyName / ticker, else
+//    the company the query names; the window the query names ("last week", "March 2024"),
+//    from / to in the body, or the last 30 days. Returns { error: [status, body] } on failure.
+async function resolveCompanyRequest(req) {
+  const { query } = req.body;
+
+  // Extract company/ticker from query unless the body names one
+  const company = req.body.companyName || req.body.ticker || (await extractCompanyFromQuery(query));
+  if (!company) return { error: [404, { message: "Could not extract company name or ticker" }] };
+
+  // Resolve ticker (SEC listings first, Finnhub search for everything else)
+  let ticker = req.body.ticker || null;
+  let companyName = req.body.companyName || null;
+  if (!ticker) {
+    const resolution = await resolveCompanyText(company);
+    if (resolution.ambiguous) return { error: [409, ambiguityDetails(resolution, company)] };
+    ticker = resolution.match?.ticker || null;
+    companyName = resolution.match?.name || company;
+  }
+
+  if (!ticker) {
+    ticker = await searchFinnhubSymbol(company);
+    if (!ticker) return { error: [404, { message: `Ticker not found for "${company}"` }] };
+  }
+
+  const range = resolveTimeRange({ query, from: req.body.from, to: req.body.to });
+  const to = range.to || isoDate(new Date());
+  const start = new Date(to);
+  start.setUTCDate(start.getUTCDate() - DEFAULT_WINDOW_DAYS);
+  return { company, ticker, companyName, from: range.from || isoDate(start), to };
+}
+
+function invalidSentimentMethod(method) {
+  return method !== undefined && !SENTIMENT_METHODS.includes(method);
 }
 
 // 🔹 Main route — user sends query
-app.post("/ai-company-news", async (req, res) => {
+// Body: { query, ticker?, companyName?, from?, to?, page?, pageSize?, cursor?, domains?, excludeDomains?, sources?,
+//         excludeSources?, language?, sortBy?, sentimentMethod?, fullText?: false } or { query, watchlist } for every
+//         company on a watchlist.
+// The feed controls work as in /api/news-ai; pass the response's nextCursor as cursor for the next page.
+router.post("/ai-company-news", withWatchlist(async (req, res) => {
   try {
-    const { query } = req.body;
+    const { query, sentimentMethod } = req.body;
     if (!query) return res.status(400).json({ message: "Query is required" });
+    if (invalidSentimentMethod(sentimentMethod)) {
+      return res.status(400).json({ message: `sentimentMethod must be one of: ${SENTIMENT_METHODS.join(", ")}` });
+    }
+    const { controls, error } = parseNewsControls(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    // Step 1️⃣ Resolve the company and the news window
+    const target = await resolveCompanyRequest(req);
+    if (target.error) return res.status(target.error[0]).json(target.error[1]);
+    const { company, ticker, companyName } = target;
+
+    const options = { ...controls, ticker, companyName, from: target.from, to: target.to };
+    if (controls.cursor) {
+      const position = decodeNewsCursor(controls.cursor, options);
+      if (!position) return res.status(400).json({ message: "cursor is invalid or belongs to a different search." });
+      Object.assign(options, position);
+    }
 
-    // Step 1️⃣ Extract company/ticker from query
-    const company = await extractCompanyFromQuery(query);
-    if (!company) return res.status(404).json({ message: "Could not extract company name or ticker" });
-
-    // Step 2️⃣ Resolve ticker
-    const searchUrl = `https://finnhub.io/api/v1/search?q=${encodeURIComponent(company)}&token=${FINNHUB_API_KEY}`;
-    const searchRes = await axios.get(searchUrl);
-    if (!searchRes.data.result?.length) {
-      return res.status(404).json({ message: `Ticker not found for "${company}"` });
+    // Step 2️⃣ Fetch company news (Finnhub by ticker, NewsAPI by name)
+    const feed = await fetchNews(options);
+    if (!feed.articles.length) {
+      return res.status(404).json({ message: `No news found for ${ticker} in this window`, providers: feed.providers });
     }
 
-    const match = searchRes.data.result.find(
-      (item) => item.exchange === "US" || item.type === "Common Stock"
-    ) || searchRes.data.result[0];
-    const ticker = match.symbol;
+    // Step 3️⃣ Sentiment and entities per article, then summarize using Azure OpenAI
+    const [articles, { answer, citations }] = await Promise.all([
+      scoreArticles(feed.articles, { method: sentimentMethod }),
+      summarizeNews(company, feed.groups, { fullText: req.body.fullText !== false }),
+    ]);
 
-    // Step 3️⃣ Fetch company news (last 30 days)
-    const to = new Date().toISOString().split("T")[0];
-    const from = new Date();
-    from.setDate(from.getDate() - 30);
-    const fromDate = from.toISOString().split("T")[0];
+    res.json({
+      company,
+      ticker,
+      from: feed.from,
+      to: feed.to,
+      answer,
+      citations,
+      total: feed.total,
+      page: feed.page,
+      pageSize: feed.pageSize,
+      nextCursor: feed.nextCursor,
+      // the original response shape (Finnhub fields, epoch-seconds datetime), kept for existing clients
+      topNews: articles.slice(0, 10).map((a) => ({
+        headline: a.title,
+        source: a.source,
+        url: a.url,
+        datetime: a.publishedAt ? Math.floor(new Date(a.publishedAt) / 1000) : null,
+      })),
+      articles,
+      groups: compactGroups(feed.groups),
+      sentiment: aggregateSentiment(articles, { interval: "day" }),
+      providers: feed.providers,
+    });
+  } catch (err) {
+    console.error("❌ Error:", err.message);
+    res.status(500).json({ message: "Failed to process company news query" });
+  }
+}));
 
-    const newsUrl = `https://finnhub.io/api/v1/company-news?symbol=${ticker}&from=${fromDate}&to=${to}&token=${FINNHUB_API_KEY}`;
-    const newsRes = await axios.get(newsUrl);
+// 🔹 Sentiment on a company over time ("how has sentiment on Boeing shifted this month")
+// Body: { query, ticker?, companyName?, from?, to?, interval?: "day" | "week" | "month", sentimentMethod? }
+//       or { query, watchlist }. interval defaults to days for windows up to two weeks, weeks otherwise.
+router.post("/ai-company-sentiment", withWatchlist(async (req, res) => {
+  try {
+    const { query, interval, sentimentMethod } = req.body;
+    if (!query) return res.status(400).json({ message: "Query is required" });
+    if (invalidSentimentMethod(sentimentMethod)) {
+      return res.status(400).json({ message: `sentimentMethod must be one of: ${SENTIMENT_METHODS.join(", ")}` });
+    }
+    if (interval !== undefined && !SENTIMENT_INTERVALS.includes(interval)) {
+      return res.status(400).json({ message: `interval must be one of: ${SENTIMENT_INTERVALS.join(", ")}` });
+    }
 
-    const news = newsRes.data.slice(0, 10); // Top 10 news articles
+    const target = await resolveCompanyRequest(req);
+    if (target.error) return res.status(target.error[0]).json(target.error[1]);
+    const { company, ticker, companyName, from, to } = target;
 
-    // Step 4️⃣ Summarize using Azure OpenAI
-    const answer = await summarizeNews(company, news);
+    const feed = await fetchNews({ ticker, companyName, from, to, pageSize: SENTIMENT_PAGE_SIZE });
+    if (!feed.articles.length) {
+      return res.status(404).json({ message: `No news found for ${ticker} in this window`, providers: feed.providers });
+    }
+
+    const articles = await scoreArticles(feed.articles, { method: sentimentMethod });
+    const windowDays = (new Date(to) - new Date(from)) / 86_400_000;
+    const aggregate = aggregateSentiment(articles, { interval: interval || (windowDays <= 14 ? "day" : "week") });
+
+    // Groups carry their scored articles so the narrative can cite what moved sentiment
+    const scoredById = new Map(articles.map((a) => [a.id, a]));
+    const groups = feed.groups.map((g) => ({ ...g, articles: g.articles.map((a) => scoredById.get(a.id)) }));
+    const { answer, unsupportedNumbers } = await summarizeSentiment(company, ticker, aggregate, groups, query);
 
     res.json({
       company,
       ticker,
+      from,
+      to,
       answer,
-      topNews: news.map((n) => ({
-        headline: n.headline,
-        source: n.source,
-        url: n.url,
-        datetime: n.datetime,
+      unsupportedNumbers,
+      sentiment: aggregate,
+      articles: articles.map(({ id, title, url, source, publishedAt, groupId, sentiment, entities }) => ({
+        id,
+        title,
+        url,
+        source,
+        publishedAt,
+        groupId,
+        sentiment,
+        entities,
       })),
+      providers: feed.providers,
     });
   } catch (err) {
     console.error("❌ Error:", err.message);
-    res.status(500).json({ message: "Failed to process company news query" });
+    res.status(500).json({ message: "Failed to process company sentiment query" });
   }
-});
+}));
 
-const PORT = 3000;
-app.listen(PORT, () => console.log(`✅ Server running on port ${PORT}`));
\ No newline at end of file
+export default router;
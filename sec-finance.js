@@ -1,192 +1,19 @@
 import express from "express";
-import axios from "axios";
-import dotenv from "dotenv";
-import cors from "cors";
-import { AzureOpenAI } from "openai";
-
-dotenv.config();
-const companyCache = new Map(); // simple in-memory cache
-
-const app = express();
-app.use(express.json());
-app.use(cors());
-
-const {
-    AZURE_OPENAI_ENDPOINT,
-    AZURE_OPENAI_API_KEY,
-    AZURE_OPENAI_DEPLOYMENT,
-    ALPHA_VANTAGE_KEY,
-} = process.env;
-
-const aiClient = new AzureOpenAI({
-    endpoint: AZURE_OPENAI_ENDPOINT,
-    apiKey: AZURE_OPENAI_API_KEY,
-    deployment: AZURE_OPENAI_DEPLOYMENT,
-    apiVersion: "2024-02-15-preview",
-});
-
-// ---------------- Helpers ----------------
-
-async function getCIKFromCompanyOrTicker(name, ticker) {
-    try {
-        // ✅ Use cache if available
-        const key = (name || ticker || "").toLowerCase();
-        if (companyCache.has(key)) return companyCache.get(key);
-
-        const url = "https://www.sec.gov/files/company_tickers_exchange.json";
-        const res = await axios.get(url, { headers: { "User-Agent": "finance-ai-app/1.0" } });
-        const { fields, data } = res.data;
-        const cikIndex = fields.indexOf("cik");
-        const nameIndex = fields.indexOf("name");
-        const tickerIndex = fields.indexOf("ticker");
-
-        const searchName = name?.toLowerCase().trim();
-        const searchTicker = ticker?.toLowerCase().trim();
-
-        let bestMatch = null;
-
-        for (const row of data) {
-            const rowName = row[nameIndex]?.toLowerCase();
-            const rowTicker = row[tickerIndex]?.toLowerCase();
-
-            if (searchTicker && rowTicker === searchTicker) {
-                const cik = row[cikIndex].toString().padStart(10, "0");
-                companyCache.set(key, cik);
-                return cik;
-            }
-            if (searchName && (rowName === searchName || rowName.includes(searchName))) bestMatch = row;
-        }
-
-        const cik = bestMatch ? bestMatch[cikIndex].toString().padStart(10, "0") : null;
-        companyCache.set(key, cik);
-        return cik;
-    } catch (err) {
-        console.error("Error fetching CIK:", err.message);
-        return null;
-    }
-}
-
-
-// async function getCIKFromCompanyOrTicker(name, ticker) {
-//     try {
-//         const url = "https://www.sec.gov/files/company_tickers_exchange.json";
-//         const res = await axios.get(url, { headers: { "User-Agent": "finance-ai-app/1.0" } });
-//         const { fields, data } = res.data;
-//         const cikIndex = fields.indexOf("cik");
-//         const nameIndex = fields.indexOf("name");
-//         const tickerIndex = fields.indexOf("ticker");
-
-//         const searchName = name?.toLowerCase().trim();
-//         const searchTicker = ticker?.toLowerCase().trim();
-
-//         let bestMatch = null;
-
-//         for (const row of data) {
-//             const rowName = row[nameIndex]?.toLowerCase();
-//             const rowTicker = row[tickerIndex]?.toLowerCase();
-
-//             if (searchTicker && rowTicker === searchTicker) return row[cikIndex].toString().padStart(10, "0");
-//             if (searchName && (rowName === searchName || rowName.includes(searchName))) bestMatch = row;
-//         }
-
-//         return bestMatch ? bestMatch[cikIndex].toString().padStart(10, "0") : null;
-//     } catch (err) {
-//         console.error("Error fetching CIK:", err.message);
-//         return null;
-//     }
-// }
-
-
-async function fetchFilingsFromSECByCIK(cik, limit = 50, formFilter) {
-    try {
-        const url = `https://data.sec.gov/submissions/CIK${cik}.json`;
-        const res = await axios.get(url, { headers: { "User-Agent": "yogeshverma@gmail.com" } });
-        const recent = res.data?.filings?.recent;
-        if (!recent || !recent.accessionNumber) return [];
-
-        let ticker = "";
-        try {
-            const tickersUrl = "https://www.sec.gov/files/company_tickers_exchange.json";
-            const tickersResp = await axios.get(tickersUrl, { headers: { "User-Agent": "yogesh.verma@gmail.com" } });
-            const { fields, data } = tickersResp.data;
-            const cikIndex = fields.indexOf("cik");
-            const tickerIndex = fields.indexOf("ticker");
-            const found = data.find((row) => String(row[cikIndex]).padStart(10, "0") === cik);
-            if (found) ticker = found[tickerIndex];
-        } catch (err) {
-            console.error("Error fetching ticker for CIK:", err.message);
-        }
-
-        const filings = [];
-        for (let i = 0; i < Math.min(recent.accessionNumber.length, limit); i++) {
-            const form = recent.form[i];
-            if (formFilter && !form.toUpperCase().includes(formFilter.toUpperCase())) continue;
-            filings.push({
-                cik,
-                companyName: res.data?.name || "",
-                ticker,
-                accessionNumber: recent.accessionNumber[i],
-                filingDate: recent.filingDate[i],
-                form,
-                primaryDocument: recent.primaryDocument[i],
-            });
-        }
-        return filings;
-    } catch (err) {
-        console.error("Error fetching SEC data by CIK:", err.message);
-        return [];
-    }
-}
-
-async function fetchLatestFilingsByForm(formFilter, limit = 10) {
-    try {
-        const tickersUrl = "https://www.sec.gov/files/company_tickers_exchange.json";
-        const tickersResp = await axios.get(tickersUrl, { headers: { "User-Agent": "yogesh.verma@example.com" } });
-        const { fields, data } = tickersResp.data;
-        const cikIndex = fields.indexOf("cik");
-        const ciks = data.map((row) => String(row[cikIndex]).padStart(10, "0"));
-
-        const collected = [];
-        const BATCH_SIZE = 5;
-        const BATCH_DELAY_MS = 600;
-
-        for (let i = 0; i < ciks.length && collected.length < limit; i += BATCH_SIZE) {
-            const batch = ciks.slice(i, i + BATCH_SIZE);
-            const results = await Promise.all(batch.map((cik) => fetchFilingsFromSECByCIK(cik, 10, formFilter)));
-            for (const arr of results) {
-                if (!arr || arr.length === 0) continue;
-                for (const f of arr) {
-                    const key = `${f.cik}-${f.accessionNumber}`;
-                    if (!collected.find((x) => `${x.cik}-${x.accessionNumber}` === key)) {
-                        collected.push(f);
-                        if (collected.length >= limit) break;
-                    }
-                }
-                if (collected.length >= limit) break;
-            }
-            await new Promise((r) => setTimeout(r, BATCH_DELAY_MS));
-        }
-
-        collected.sort((a, b) => new Date(b.filingDate) - new Date(a.filingDate));
-        return collected.slice(0, limit);
-    } catch (err) {
-        console.error("Error in fetchLatestFilingsByForm:", err.message);
-        return [];
-    }
-}
-
-async function fetchFinanceOverview(symbol) {
-    try {
-        if (!symbol) return null;
-        const url = `https://www.alphavantage.co/query?function=OVERVIEW&symbol=${symbol}&apikey=${process.env.ALPHA_VANTAGE_KEY}`;
-        const { data } = await axios.get(url);
-        if (!data || !data.Symbol) return null;
-        return data;
-    } catch (err) {
-        console.error("Error fetching finance data:", err.message);
-        return null;
-    }
-}
+import { aiClient } from "./lib/llm.js";
+import { buildFilingContext, extractCitations } from "./lib/sec-documents.js";
+import { getFinancialSeries, selectSeries, latestFinancials, financialsForFiling } from "./lib/sec-xbrl.js";
+import { fetchFilingsForPeriod } from "./lib/sec-filings.js";
+import { fetchLatestFilingsByForm } from "./lib/sec-index.js";
+import { primaryListing } from "./lib/sec-reference.js";
+import { resolveCompany, ambiguityDetails } from "./lib/entity-resolver.js";
+import { fetchCompanySnapshot } from "./lib/market-data.js";
+import { searchTicker } from "./lib/yahoo.js";
+import { computeRatios, quarterFactLines, ratioFactLines } from "./lib/ratios.js";
+import { completeWithFacts } from "./lib/fact-check.js";
+import { withWatchlist } from "./lib/watchlists.js";
+import { isoDate, resolveTimeRange, reportFilingWindow } from "./lib/time-range.js";
+
+const router = express.Router();
 
 // ---------------- AI Helpers ----------------
 
@@ -199,14 +26,20 @@ Decide whether to use:
 - "sec" (for filings, forms, disclosures, official reports like 10-K, 10-Q)
 - "both" (if the query requests both reports/filings and finance details, or the intent is ambiguous)
 
-Also extract companyName, ticker, or form if mentioned.
+Also extract companyName, ticker, or form if mentioned, and the time the question is about:
+from / to as YYYY-MM-DD (today is ${isoDate(new Date())}), and fiscalYear / fiscalPeriod when a fiscal
+year or quarter is named (e.g. "Q2 FY2024" → 2024, "Q2"; "fiscal 2023" → 2023, "FY").
 
 Return JSON ONLY:
 {
   "source": "finance" | "sec" | "both",
   "companyName": "string or null",
   "ticker": "string or null",
-  "form": "string or null"
+  "form": "string or null",
+  "from": "YYYY-MM-DD or null",
+  "to": "YYYY-MM-DD or null",
+  "fiscalYear": "number or null",
+  "fiscalPeriod": "Q1" | "Q2" | "Q3" | "Q4" | "FY" | null
 }
 
 Be strict:
@@ -220,7 +53,7 @@ JSON:
 
     const completion = await aiClient.chat.completions.create({
         messages: [{ role: "user", content: prompt }],
-        max_tokens: 150,
+        max_tokens: 250,
         temperature: 0,
     });
 
@@ -228,15 +61,22 @@ JSON:
         return JSON.parse(completion.choices[0].message.content.trim());
     } catch (err) {
         console.error("Failed parsing intent:", err.message);
-        return { source: "both", companyName: null, ticker: null, form: null };
+        return { source: "both", companyName: null, ticker: null, form: null, from: null, to: null, fiscalYear: null, fiscalPeriod: null };
     }
 }
 
-async function summarizeData(query, financeData, filings) {
-    const contextParts = [];
-    if (financeData) contextParts.push(`Finance Overview:\n${JSON.stringify(financeData, null, 2)}`);
-    if (filings?.length) contextParts.push(`SEC Filings:\n${JSON.stringify(filings.slice(0, 5), null, 2)}`);
-    const context = contextParts.join("\n\n") || "No additional context.";
+// 🔹 Summary over the ratio engine's figures and the quarter's reported ones; the answer is checked for numbers the facts don't contain
+async function summarizeData(query, financeData, filings, ratios, quarterLines) {
+    const company = financeData
+        ? ["name", "ticker", "exchange", "sector", "industry", "currency"]
+              .filter((k) => financeData[k])
+              .map((k) => `- ${k}: ${financeData[k]}`)
+              .join("\n")
+        : "";
+    const filingLines = (filings || [])
+        .slice(0, 5)
+        .map((f) => `- ${f.form} filed ${f.filingDate}${f.reportDate ? ` for the period ending ${f.reportDate}` : ""} (${f.accessionNumber})`);
+    const facts = [...ratioFactLines(ratios), ...quarterLines, ...filingLines].join("\n") || "No figures available.";
 
     const prompt = `
 You are a financial analyst AI.
@@ -244,8 +84,11 @@ Analyze the following context and answer the user query clearly.
 
 User Query: ${query}
 
-Context:
-${context}
+Company:
+${company || "N/A"}
+
+Facts (computed from SEC XBRL filings and market data):
+${facts}
 
 Provide a short structured summary including:
 - Key financial metrics
@@ -254,16 +97,10 @@ Provide a short structured summary including:
 - Relevant company trends or events
 `;
 
-    const response = await aiClient.chat.completions.create({
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: 500,
-        temperature: 0.3,
-    });
-
-    return response.choices?.[0]?.message?.content || "No summary generated.";
+    return completeWithFacts({ prompt, facts, query, max_tokens: 500 });
 }
 
-// ✅ NEW: AI about Filings
+// ✅ AI about Filings — grounded in the filing text itself
 async function askAIAboutFilings(filings, query) {
     if (!filings?.length) return [];
     const BATCH_SIZE = 2;
@@ -271,23 +108,22 @@ async function askAIAboutFilings(filings, query) {
 
     for (let i = 0; i < filings.length; i += BATCH_SIZE) {
         const batch = filings.slice(i, i + BATCH_SIZE);
-        const filingsText = batch
-            .map(
-                (f) =>
-                    `Company: ${f.companyName}, Ticker: ${f.ticker}, Form: ${f.form}, Date: ${f.filingDate}, Accession: ${f.accessionNumber}`
-            )
-            .join("\n");
+        const { context, sources } = await buildFilingContext(batch, query);
 
         const prompt = `
 You are a financial insights AI.
-Analyze these SEC filings and return structured JSON.
+Analyze these SEC filing excerpts and return structured JSON.
 
-SEC Filings:
-${filingsText}
+Use ONLY the excerpts below. Each excerpt starts with a citation tag like [0000320193-24-000123#4].
+End every statement, and every financial value, with the citation tag of the excerpt it came from.
+If a value is not stated in the excerpts, return null for it — never estimate or invent numbers.
+
+SEC Filing Excerpts:
+${context}
 
 User Query: ${query}
 
-Return JSON only (no markdown):
+Return JSON only (no markdown), one object per filing:
 [
   {
     "companyName": "string",
@@ -295,9 +131,9 @@ Return JSON only (no markdown):
     "form": "string",
     "filingDate": "YYYY-MM-DD",
     "accessionNumber": "string",
-    "summary": "short insight (max 100 words)",
-    "financials": { "revenue": "string", "netIncome": "string" },
-    "keyInitiatives": ["string"]
+    "summary": "short insight (max 100 words) with citation tags",
+    "financials": { "revenue": "string with citation tag or null", "netIncome": "string with citation tag or null" },
+    "keyInitiatives": ["string with citation tag"]
   }
 ]
 `;
@@ -312,7 +148,9 @@ Return JSON only (no markdown):
         text = text.replace(/^```json\s*/, "").replace(/```$/, "").replace(/^```\s*/, "");
         try {
             const parsed = JSON.parse(text);
-            insights.push(...parsed);
+            for (const insight of parsed) {
+                insights.push({ ...insight, sources: extractCitations(JSON.stringify(insight), sources) });
+            }
         } catch {
             console.error("Failed parsing filing AI JSON batch");
         }
@@ -322,93 +160,104 @@ Return JSON only (no markdown):
 }
 
 // ---------------- Unified Endpoint ----------------
-app.post("/api/ai-finance-sec", async (req, res) => {
+router.post("/api/ai-finance-sec", withWatchlist(async (req, res) => {
     try {
-        const { query } = req.body;
+        const { query, from, to, exchange, cik: chosenCik, ticker: chosenTicker } = req.body;
         if (!query) return res.status(400).json({ error: "Query is required." });
 
         const intent = await extractQueryIntent(query);
         let { source, companyName, ticker, form } = intent;
         source = source || "both";
 
-        let resolvedTicker = ticker || null;
-        let cik = null;
+        // Time the question is about; from / to in the body win over the query
+        const timeRange = resolveTimeRange({ query, from, to, extracted: intent });
+        const filingWindow = reportFilingWindow(timeRange);
 
-        // 🔧 FIXED SECTION: Better name→ticker resolution
-        if (companyName && !resolvedTicker) {
-            // Try CIK lookup
-            cik = await getCIKFromCompanyOrTicker(companyName, null);
+        // 🔧 Rank SEC listings for the name/ticker; a ticker or cik in the body picks one explicitly
+        let resolvedTicker = chosenTicker || ticker || null;
+        let cik = chosenCik ? String(chosenCik).padStart(10, "0") : null;
 
-            // Try to get ticker from CIK mapping
-            if (cik) {
-                try {
-                    const tickersResp = await axios.get("https://www.sec.gov/files/company_tickers_exchange.json", {
-                        headers: { "User-Agent": "finance-ai-app/1.0" },
-                    });
-                    const { fields, data } = tickersResp.data;
-                    const cikIndex = fields.indexOf("cik");
-                    const tickerIndex = fields.indexOf("ticker");
-                    const found = data.find((row) => String(row[cikIndex]).padStart(10, "0") === cik);
-                    if (found) resolvedTicker = found[tickerIndex];
-                } catch (err) {
-                    console.error("Error getting ticker from mapping:", err.message);
-                }
+        if (!cik && (companyName || resolvedTicker)) {
+            const resolution = await resolveCompany({ name: companyName, ticker: resolvedTicker });
+            if (resolution.ambiguous) {
+                return res.status(409).json(ambiguityDetails(resolution, companyName || resolvedTicker));
+            }
+            if (resolution.match) {
+                cik = resolution.match.cik;
+                resolvedTicker = resolution.match.ticker;
+                companyName = companyName || resolution.match.name;
             }
+        }
 
-            // If still unresolved, fallback to Yahoo
-            if (!resolvedTicker) {
-                try {
-                    const searchUrl = `https://query2.finance.yahoo.com/v1/finance/search?q=${encodeURIComponent(companyName)}`;
-                    const resp = await axios.get(searchUrl, { headers: { "User-Agent": "Mozilla/5.0" } });
-                    resolvedTicker = resp.data?.quotes?.[0]?.symbol || null;
-                } catch (err) {
-                    console.error("Yahoo search failed:", err.message);
-                }
+        if (cik && !resolvedTicker) {
+            try {
+                const listing = await primaryListing(cik);
+                if (listing?.ticker) resolvedTicker = listing.ticker;
+            } catch (err) {
+                console.error("Error getting ticker from mapping:", err.message);
             }
         }
 
-        // If ticker known, resolve CIK again (ensures both values filled)
-        if (!cik && (resolvedTicker || companyName)) {
-            cik = await getCIKFromCompanyOrTicker(companyName, resolvedTicker);
+        // Not an SEC registrant (e.g. a foreign listing) → fallback to Yahoo for the ticker
+        if (!resolvedTicker && companyName) {
+            resolvedTicker = await searchTicker(companyName);
         }
 
         let financeData = null;
         let filings = [];
 
+        // Reported numbers straight from XBRL company facts
+        const xbrl = cik ? await getFinancialSeries(cik) : null;
+        const financials = latestFinancials(xbrl);
+
         if (source === "finance" || source === "both") {
             if (resolvedTicker) {
-                financeData = await fetchFinanceOverview(resolvedTicker);
-                if (!companyName && financeData?.Name) companyName = financeData.Name;
+                financeData = await fetchCompanySnapshot(resolvedTicker);
+                if (!companyName && financeData?.name) companyName = financeData.name;
             }
         }
 
         if (source === "sec" || source === "both") {
             if (cik) {
                 if (form) {
-                    filings = await fetchFilingsFromSECByCIK(cik, 50, form);
-                    if (!filings.length) filings = await fetchLatestFilingsByForm(form, 10);
+                    filings = await fetchFilingsForPeriod(cik, timeRange, { limit: 50, form });
+                    if (!filings.length) filings = await fetchLatestFilingsByForm(form, 10, { ...filingWindow, exchange });
                 } else {
-                    filings = await fetchFilingsFromSECByCIK(cik, 10, null);
+                    filings = await fetchFilingsForPeriod(cik, timeRange, { limit: 10 });
                 }
             } else if (form) {
-                filings = await fetchLatestFilingsByForm(form, 10);
+                filings = await fetchLatestFilingsByForm(form, 10, { ...filingWindow, exchange });
             }
         }
 
-        const aiSummary = await summarizeData(query, financeData, filings);
+        // Ratios for the fiscal year the question is about (the latest by default) and that year's latest quarter
+        const ratios = financeData || xbrl ? computeRatios({ financials: xbrl, snapshot: financeData, fiscalYear: timeRange.fiscalYear }) : null;
+        const quarterLines = quarterFactLines(xbrl, timeRange);
+        const { answer: aiSummary, unsupportedNumbers } = await summarizeData(query, financeData, filings, ratios, quarterLines);
 
         let answer = [];
         if ((source === "sec" || source === "both") && filings.length > 0) {
             answer = await askAIAboutFilings(filings, query);
+            // Replace text-derived figures with the XBRL values the filing itself reported
+            answer = answer.map((insight) => {
+                const reported = financialsForFiling(xbrl, insight.accessionNumber);
+                return reported
+                    ? { ...insight, financials: reported, financialsSource: "xbrl" }
+                    : { ...insight, financialsSource: "filing-text" };
+            });
         }
 
         res.json({
             sourceUsed: source,
-            companyName: companyName || financeData?.Name || filings[0]?.companyName || null,
+            companyName: companyName || financeData?.name || filings[0]?.companyName || null,
             ticker: resolvedTicker || null,
             cik: cik || null,
+            timeRange,
             aiSummary,
+            unsupportedNumbers,
             financeData: financeData || {},
+            financials: financials || {},
+            ratios,
             secFilings: filings || [],
             answer,
         });
@@ -416,10 +265,41 @@ app.post("/api/ai-finance-sec", async (req, res) => {
         console.error("Error in /api/ai-finance-sec:", err.message);
         res.status(500).json({ error: "Internal server error." });
     }
-});
+}));
+
+// ---------------- Financial Series Endpoint ----------------
+// Returns normalized XBRL time series; every point carries its period, form and accession number.
+router.post("/api/financial-series", withWatchlist(async (req, res) => {
+    try {
+        const { cik: rawCik, ticker, companyName, metrics, periodType = "all", limit } = req.body;
+        if (!rawCik && !ticker && !companyName) {
+            return res.status(400).json({ error: "cik, ticker or companyName is required." });
+        }
+        if (!["all", "annual", "quarter"].includes(periodType)) {
+            return res.status(400).json({ error: 'periodType must be "all", "annual" or "quarter".' });
+        }
+
+        let cik = rawCik ? String(rawCik).padStart(10, "0") : null;
+        if (!cik) {
+            const resolution = await resolveCompany({ name: companyName, ticker });
+            if (resolution.ambiguous) return res.status(409).json(ambiguityDetails(resolution, companyName || ticker));
+            cik = resolution.match?.cik || null;
+        }
+        if (!cik) return res.status(404).json({ error: "Company not found in SEC records." });
+
+        const xbrl = await getFinancialSeries(cik);
+        if (!xbrl) return res.status(404).json({ error: "No XBRL financial data found for this company." });
+
+        res.json({
+            cik,
+            entityName: xbrl.entityName,
+            periodType,
+            series: selectSeries(xbrl, { metrics, periodType, limit: Number(limit) || undefined }),
+        });
+    } catch (err) {
+        console.error("Error in /api/financial-series:", err.message);
+        res.status(500).json({ error: "Internal server error." });
+    }
+}));
 
-// ---------------- Start Server ----------------
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () =>
-    console.log(`✅ Unified AI Finance+SEC running on http://localhost:${PORT}`)
-);
+export default router;
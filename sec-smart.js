@@ -1,231 +1,52 @@
 import express from "express";
-import axios from "axios";
-import dotenv from "dotenv";
-import { AzureOpenAI } from "openai";
-import cors from "cors";
-
-dotenv.config();
-const app = express();
-app.use(express.json());
-app.use(cors());
-
-// ---------------- Azure Client ----------------
-const openaiClient = new AzureOpenAI({
-  endpoint: process.env.AZURE_OPENAI_ENDPOINT,
-  apiKey: process.env.AZURE_OPENAI_API_KEY,
-  deployment: process.env.AZURE_OPENAI_DEPLOYMENT,
-  apiVersion: "2023-07-01-preview",
-});
+import { aiClient as openaiClient, deployment } from "./lib/llm.js";
+import {
+  buildFilingContext,
+  extractCitations,
+  fetchFilingSections,
+  fetchFilingText,
+  filingDocumentUrl,
+} from "./lib/sec-documents.js";
+import { fetchFilingsForPeriod, fetchFilingsFromSECByCIK, findFiling, formMatches, normalizeAccessionNumber } from "./lib/sec-filings.js";
+import { detectSectionsInQuery, sectionFormOf } from "./lib/sec-sections.js";
+import { diffParagraphs } from "./lib/sec-diff.js";
+import { fetchLatestFilingsByForm } from "./lib/sec-index.js";
+import { resolveCompany, ambiguityDetails, resolveCompanyText } from "./lib/entity-resolver.js";
+import { primaryListing } from "./lib/sec-reference.js";
+import { fetchInsiderTransactions, aggregateInsiderActivity } from "./lib/sec-insider.js";
+import { fetch8KEvents, fetchPressRelease } from "./lib/sec-8k.js";
+import { searchFullText, attachSnippets } from "./lib/sec-fulltext.js";
+import { list13FFilings, fetch13FHoldings, compareHoldings, findHolders, findInstitution } from "./lib/sec-13f.js";
+import { isoDate, resolveTimeRange, reportFilingWindow } from "./lib/time-range.js";
+import { withWatchlist } from "./lib/watchlists.js";
+
+const router = express.Router();
 
 // ---------------- Helpers ----------------
 
-async function getCIKFromCompanyOrTicker(name, ticker) {
-  try {
-    const url = "https://www.sec.gov/files/company_tickers_exchange.json";
-    const response = await axios.get(url, { headers: { "User-Agent": "MyApp/1.0" } });
-    const { fields, data } = response.data;
-    const cikIndex = fields.indexOf("cik");
-    const nameIndex = fields.indexOf("name");
-    const tickerIndex = fields.indexOf("ticker");
-
-    const searchName = name?.toLowerCase().trim();
-    const searchTicker = ticker?.toLowerCase().trim();
-
-    for (const row of data) {
-      const rowName = row[nameIndex]?.toLowerCase();
-      const rowTicker = row[tickerIndex]?.toLowerCase();
-      if ((searchName && rowName.includes(searchName)) || (searchTicker && rowTicker === searchTicker)) {
-        return row[cikIndex].toString().padStart(10, "0");
-      }
-    }
-    return null;
-  } catch (err) {
-    console.error("Error fetching CIK:", err.message);
-    return null;
-  }
-}
-
-async function fetchFilingsFromSECByCIK(cik, limit = 50, formFilter) {
-  try {
-    const url = `https://data.sec.gov/submissions/CIK${cik}.json`;
-    const res = await axios.get(url, { headers: { "User-Agent": "yogeshverma@gmail.com" } });
-    const recent = res.data?.filings?.recent;
-    if (!recent || !recent.accessionNumber) return [];
-
-    let ticker = "";
-    try {
-      const tickersUrl = "https://www.sec.gov/files/company_tickers_exchange.json";
-      const tickersResp = await axios.get(tickersUrl, { headers: { "User-Agent": "yogesh.verma@gmail.com" } });
-      const { fields, data } = tickersResp.data;
-      const cikIndex = fields.indexOf("cik");
-      const tickerIndex = fields.indexOf("ticker");
-      const found = data.find((row) => String(row[cikIndex]).padStart(10, "0") === cik);
-      if (found) ticker = found[tickerIndex];
-    } catch (err) {
-      console.error("Error fetching ticker for CIK:", err.message);
-    }
-
-    const filings = [];
-    for (let i = 0; i < Math.min(recent.accessionNumber.length, limit); i++) {
-      const form = recent.form[i];
-      if (formFilter && !form.toUpperCase().includes(formFilter.toUpperCase())) continue;
-      filings.push({
-        cik,
-        companyName: res.data?.name || "",
-        ticker,
-        accessionNumber: recent.accessionNumber[i],
-        filingDate: recent.filingDate[i],
-        form,
-        primaryDocument: recent.primaryDocument[i],
-      });
-    }
-    return filings;
-  } catch (err) {
-    console.error("Error fetching SEC data by CIK:", err.message);
-    return [];
-  }
-}
-
-async function fetchLatestFilingsByForm(formFilter, limit = 10) {
-  try {
-    const tickersUrl = "https://www.sec.gov/files/company_tickers_exchange.json";
-    const tickersResp = await axios.get(tickersUrl, { headers: { "User-Agent": "yogesh.verma@example.com" } });
-    const { fields, data } = tickersResp.data;
-    const cikIndex = fields.indexOf("cik");
-    const ciks = data.map((row) => String(row[cikIndex]).padStart(10, "0"));
-
-    const collected = [];
-    const BATCH_SIZE = 5;
-    const BATCH_DELAY_MS = 600;
-
-    for (let i = 0; i < ciks.length && collected.length < limit; i += BATCH_SIZE) {
-      const batch = ciks.slice(i, i + BATCH_SIZE);
-      const results = await Promise.all(batch.map((cik) => fetchFilingsFromSECByCIK(cik, 10, formFilter)));
-      for (const arr of results) {
-        if (!arr || arr.length === 0) continue;
-        for (const f of arr) {
-          const key = `${f.cik}-${f.accessionNumber}`;
-          if (!collected.find((x) => `${x.cik}-${x.accessionNumber}` === key)) {
-            collected.push(f);
-            if (collected.length >= limit) break;
-          }
-        }
-        if (collected.length >= limit) break;
-      }
-      await new Promise((r) => setTimeout(r, BATCH_DELAY_MS));
-    }
-    collected.sort((a, b) => new Date(b.filingDate) - new Date(a.filingDate));
-    return collected.slice(0, limit);
-  } catch (err) {
-    console.error("Error in fetchLatestFilingsByForm:", err.message);
-    return [];
-  }
-}
-
-// AI summarization with structured JSON output
-
-// async function askAIAboutFilings(filings, query) {
-//   if (!filings || filings.length === 0) {
-//     return [];
-//   }
-
-//   const BATCH_SIZE = 2; // small batch to avoid token overflow
-//   const allSummaries = [];
-
-//   for (let i = 0; i < filings.length; i += BATCH_SIZE) {
-//     const batch = filings.slice(i, i + BATCH_SIZE);
-
-//     // Prepare SEC filings text for this batch
-//     const filingsText = batch
-//       .map(
-//         (f) =>
-//           `Company: ${f.companyName}, Ticker: ${f.ticker}, Form: ${f.form}, Date: ${f.filingDate}, Accession: ${f.accessionNumber}`
-//       )
-//       .join("\n");
-
-//     // Prompt AI to return structured JSON
-//     const prompt = `
-// You are a financial assistant AI.
-// Use ONLY the following SEC filings data to answer the user's question.
-
-// SEC Filings:
-// ${filingsText}
-
-// User Question: ${query}
-
-// Return the answer as a JSON array. Each object should have the following structure:
-// {
-//   "companyName": "Company Name",
-//   "ticker": "Ticker Symbol",
-//   "form": "Form Type",
-//   "filingDate": "YYYY-MM-DD",
-//   "accessionNumber": "Accession Number",
-//   "summary": "Brief summary of the filing",
-//   "financials": {
-//      "revenue": "$...",
-//      "netIncome": "$..."
-//   },
-//   "keyInitiatives": ["Initiative 1", "Initiative 2", "..."]
-// }
-
-// Return ONLY valid JSON. Do NOT include markdown code blocks.
-// Escape all quotes and special characters properly.
-// Keep "summary" max 100 words, "keyInitiatives" max 5 items.
-// `;
-
-//     // Call Azure OpenAI
-//     const completion = await openaiClient.chat.completions.create({
-//       model: process.env.AZURE_OPENAI_DEPLOYMENT,
-//       messages: [{ role: "user", content: prompt }],
-//       max_tokens: 2000, // safely increased for batch
-//       temperature: 0.2,
-//     });
-
-//     // Parse JSON response
-//     let rawContent = completion.choices[0].message.content.trim();
-//     rawContent = rawContent.replace(/^```json\s*/, "").replace(/^```\s*/, "").replace(/```$/, "");
-
-//     try {
-//       const parsed = JSON.parse(rawContent);
-//       allSummaries.push(...parsed);
-//     } catch (err) {
-//       // fallback: remove trailing commas and try again
-//       const cleaned = rawContent.replace(/,\s*]/g, "]").replace(/,\s*}/g, "}");
-//       try {
-//         const parsed = JSON.parse(cleaned);
-//         allSummaries.push(...parsed);
-//       } catch (err2) {
-//         console.error("Failed to parse AI JSON for this batch:", err2.message);
-//       }
-//     }
-//   }
-
-//   return allSummaries;
-// }
-
-async function askAIAboutFilings(filings, query) {
-  if (!filings || filings.length === 0) return [];
+async function askAIAboutFilings(filings, query, { sections } = {}) {
+  if (!filings || filings.length === 0) return { answer: "", sources: [] };
 
   const BATCH_SIZE = 2;
   let allSummaries = [];
+  let allSources = [];
 
   for (let i = 0; i < filings.length; i += BATCH_SIZE) {
     const batch = filings.slice(i, i + BATCH_SIZE);
 
-    const filingsText = batch
-      .map(
-        (f) =>
-          `Company: ${f.companyName}, Ticker: ${f.ticker}, Form: ${f.form}, Date: ${f.filingDate}, Accession: ${f.accessionNumber}`
-      )
-      .join("\n");
+    // Pull the relevant excerpts of each filing's primary document
+    const { context, sources } = await buildFilingContext(batch, query, { sections });
 
     // ✨ Updated Prompt for Structured, Readable Format
     const prompt = `
 You are a financial assistant AI. 
-Use the following SEC filings data to provide a **well-formatted summary** for the user's question.
+Use ONLY the following SEC filing excerpts to provide a **well-formatted summary** for the user's question.
+Each excerpt starts with a citation tag like [0000320193-24-000123#4]. End every bullet, figure and statement
+with the citation tag of the excerpt it came from. If something is not in the excerpts, say it is not disclosed
+in the retrieved text — never estimate or invent figures.
 
-SEC Filings:
-${filingsText}
+SEC Filing Excerpts:
+${context}
 
 User Question: ${query}
 
@@ -236,15 +57,14 @@ Format the response as **structured readable text** with headings and bullet/num
 **Form:** 8-K  
 **Filing Date:** 2025-09-05  
 **Summary:**  
-- Intel reported strong quarterly performance...  
+- Intel reported strong quarterly performance... [0000050863-25-000123#2]  
 
 **Financial Summary:**  
-1. Revenue: $95.3 billion  
-2. Net Income: $14.8 billion  
+1. Revenue: $95.3 billion [0000050863-25-000123#5]  
+2. Net Income: $14.8 billion [0000050863-25-000123#5]  
 
 **Key Initiatives:**  
-- Expansion into AI and machine learning  
-- Partnership with major cloud providers  
+- Expansion into AI and machine learning [0000050863-25-000123#1]  
 
 If multiple filings exist, separate each company’s section clearly using a line like:
 ---
@@ -252,7 +72,7 @@ Keep text concise and readable. Return plain text only (no JSON, no markdown cod
 `;
 
     const completion = await openaiClient.chat.completions.create({
-      model: process.env.AZURE_OPENAI_DEPLOYMENT,
+      model: deployment,
       messages: [{ role: "user", content: prompt }],
       max_tokens: 2000,
       temperature: 0.3,
@@ -265,10 +85,11 @@ Keep text concise and readable. Return plain text only (no JSON, no markdown cod
       .trim();
 
     allSummaries.push(rawContent);
+    allSources.push(...extractCitations(rawContent, sources));
   }
 
   // Combine batches with spacing for better readability
-  return allSummaries.join("\n\n---\n\n");
+  return { answer: allSummaries.join("\n\n---\n\n"), sources: allSources };
 }
 
 
@@ -281,17 +102,24 @@ Given a user's question about SEC filings, extract the following fields:
 2. ticker
 3. cik
 4. form (e.g., 10-K, 8-K, 4, etc.)
-
-Return a JSON object with keys: companyName, ticker, cik, form.
+5. keywords — only when the question asks which companies said or mentioned something
+   (e.g. "which companies mentioned tariffs in their latest 10-Q"): the words or phrases to search
+   filing text for, as a full-text query string with phrases in double quotes (e.g. "\"supply chain\" tariffs").
+   Otherwise null.
+6. from, to — the date range the question asks about, as YYYY-MM-DD (today is ${isoDate(new Date())})
+7. fiscalYear — the fiscal year named (e.g. 2023 for "FY2023" or "fiscal 2023"), as a number
+8. fiscalPeriod — "Q1", "Q2", "Q3", "Q4" or "FY" when a fiscal quarter or year is named
+
+Return a JSON object with keys: companyName, ticker, cik, form, keywords, from, to, fiscalYear, fiscalPeriod.
 If a field is not mentioned, return null for that field.
 
 Query: "${query}"
 JSON:
 `;
   const completion = await openaiClient.chat.completions.create({
-    model: process.env.AZURE_OPENAI_DEPLOYMENT,
+    model: deployment,
     messages: [{ role: "user", content: prompt }],
-    max_tokens: 150,
+    max_tokens: 300,
     temperature: 0,
   });
   try {
@@ -299,44 +127,639 @@ JSON:
     return JSON.parse(text);
   } catch (err) {
     console.error("Error parsing entities:", err.message);
-    return { companyName: null, ticker: null, cik: null, form: null };
+    return { companyName: null, ticker: null, cik: null, form: null, keywords: null, from: null, to: null, fiscalYear: null, fiscalPeriod: null };
+  }
+}
+
+// Summarize a section diff; every point must cite the hunk ids it is based on
+async function summarizeSectionDiff(query, company, item, older, newer, hunks) {
+  if (!hunks.length) return "No material changes between the two filings in this section.";
+
+  const MAX_HUNKS = 40;
+  const MAX_CHARS = 600;
+  const clip = (t) => (t && t.length > MAX_CHARS ? `${t.slice(0, MAX_CHARS)}...` : t);
+  const hunksText = hunks
+    .slice(0, MAX_HUNKS)
+    .map((h) => {
+      if (h.type === "added") return `[${h.id}] ADDED:\n${clip(h.new)}`;
+      if (h.type === "removed") return `[${h.id}] REMOVED:\n${clip(h.old)}`;
+      if (h.type === "figures") return `[${h.id}] FIGURES CHANGED:\nBefore: ${clip(h.old)}\nAfter: ${clip(h.new)}`;
+      return `[${h.id}] REWORDED:\nBefore: ${clip(h.old)}\nAfter: ${clip(h.new)}`;
+    })
+    .join("\n\n");
+
+  const prompt = `
+You are a financial analyst AI comparing the same section of two SEC filings.
+Company: ${company}
+Section: Item ${item}
+Older filing: Form ${older.form} filed ${older.filingDate} (${older.accessionNumber})
+Newer filing: Form ${newer.form} filed ${newer.filingDate} (${newer.accessionNumber})
+
+Below are the passages that were added, removed, materially reworded or whose figures changed. Each starts with a hunk id like [H3].
+${query ? `The user asked: ${query}\n` : ""}
+Write a concise markdown summary of what changed and why it matters:
+- Group related changes under short headings (e.g. **New risks**, **Removed risks**, **Changed emphasis**, **Changed figures**).
+- End every bullet with the hunk ids it is based on, e.g. [H2][H5].
+- Use ONLY the hunks below; do not speculate beyond them.
+
+${hunksText}
+`;
+
+  const completion = await openaiClient.chat.completions.create({
+    model: deployment,
+    messages: [{ role: "user", content: prompt }],
+    max_tokens: 900,
+    temperature: 0.2,
+  });
+
+  return completion.choices[0].message.content.trim();
+}
+
+// Summarize insider activity from parsed Form 4 rows; statements cite the accession they came from
+async function summarizeInsiderActivity(query, companies) {
+  const MAX_ROWS = 60;
+  const blocks = companies.map((c) => {
+    const { openMarket, allTransactions, signal } = c.activity;
+    // open-market trades first; grants, exercises and withholding only add context
+    const rows = [...c.rows]
+      .sort((a, b) => Number(b.code === "P" || b.code === "S") - Number(a.code === "P" || a.code === "S"))
+      .slice(0, MAX_ROWS)
+      .map(
+        (r) =>
+          `- [${r.accessionNumber}] ${r.transactionDate} ${r.owner} (${r.relationship || "n/a"}): ` +
+          `${r.code} ${r.acquiredDisposed === "D" ? "disposed" : "acquired"} ${r.shares ?? "?"} ${r.securityTitle || ""}` +
+          `${r.price ? ` @ $${r.price}` : ""}; holds ${r.sharesOwnedAfter ?? "?"} after (${r.ownership || "n/a"})`
+      );
+    return `Company: ${c.companyName} (${c.ticker || "N/A"}), ${c.from} to ${c.to}
+Signal: ${signal}. Open market: ${openMarket.buys} buys (${openMarket.sharesBought} shares, $${openMarket.valueBought}), ${openMarket.sells} sells (${openMarket.sharesSold} shares, $${openMarket.valueSold}), net $${openMarket.netValue}.
+All non-derivative transactions: acquired ${allTransactions.acquiredShares}, disposed ${allTransactions.disposedShares}.
+Transactions:
+${rows.join("\n") || "- none reported"}`;
+  });
+
+  const prompt = `
+You are a financial assistant AI summarizing insider trading reported on SEC Form 4.
+Transaction codes: P = open market purchase, S = open market sale, A = grant/award, M = option/RSU exercise,
+F = shares withheld for taxes, G = gift. Only P and S reflect insiders' own buy/sell decisions.
+${query ? `User Question: ${query}\n` : ""}
+Using ONLY the data below, write a short markdown summary per company: the overall signal, who bought or sold the most,
+and anything notable (clustered sales, large purchases, 10b5-1 style routine selling). End every statement about a
+specific transaction with its accession tag, e.g. [0001214156-24-000012]. Do not invent transactions.
+
+${blocks.join("\n\n=====\n\n")}
+`;
+
+  const completion = await openaiClient.chat.completions.create({
+    model: deployment,
+    messages: [{ role: "user", content: prompt }],
+    max_tokens: 1200,
+    temperature: 0.2,
+  });
+
+  return completion.choices[0].message.content.trim();
+}
+
+// 🔹 Form 4 rows and net buying/selling for one company ({ cik, name, ticker })
+async function insiderActivityFor(company, { from, to, includeDerivative }) {
+  const { from: start, to: end, filingsScanned, truncated, rows } = await fetchInsiderTransactions(company.cik, { from, to });
+  return {
+    cik: company.cik,
+    companyName: rows[0]?.issuerName || company.name || "",
+    ticker: rows[0]?.issuerTicker || company.ticker || "",
+    from: start,
+    to: end,
+    filingsScanned,
+    truncated,
+    activity: aggregateInsiderActivity(rows),
+    rows: includeDerivative ? rows : rows.filter((r) => !r.derivative),
+  };
+}
+
+// 🔹 A 13F filer from a CIK or a name ("Vanguard", "Berkshire Hathaway"); { error, status } when it can't be resolved
+async function resolveFiler(value) {
+  if (/^\d{1,10}$/.test(String(value).trim())) return { cik: String(value).trim().padStart(10, "0") };
+  const known = findInstitution(value);
+  if (known) return known;
+  const resolution = await resolveCompanyText(value);
+  if (resolution.ambiguous) return { status: 409, error: ambiguityDetails(resolution, value) };
+  if (!resolution.match) return { status: 404, error: { error: `Filer not found in SEC records: ${value}` } };
+  return { cik: resolution.match.cik, name: resolution.match.name };
+}
+
+// One-sentence descriptions of 8-K events, keyed by accession number
+async function describeEvents(companyName, events) {
+  const BATCH_SIZE = 8;
+  const MAX_CHARS = 2500;
+  const descriptions = {};
+
+  for (let i = 0; i < events.length; i += BATCH_SIZE) {
+    const batch = events.slice(i, i + BATCH_SIZE);
+    const eventsText = batch
+      .map(
+        (e) =>
+          `Accession: ${e.accessionNumber}\nFiled: ${e.filingDate}\nItems: ${e.classification.items
+            .map((it) => `${it.code} ${it.title}`)
+            .join("; ")}\nText:\n${(e.text || "(text unavailable)").slice(0, MAX_CHARS)}`
+      )
+      .join("\n\n=====\n\n");
+
+    const prompt = `
+You are a financial assistant AI writing a timeline of ${companyName}'s material events from its 8-K filings.
+For each filing below write ONE factual sentence (max 30 words) saying what happened: the agreement, result, appointment,
+departure, vote outcome, etc., with key figures when the text states them. Use ONLY the text given; if it is unavailable,
+describe the event from its item titles.
+
+Return ONLY a JSON object mapping accession number to sentence, e.g. {"0000320193-24-000069": "Apple reported ..."}.
+
+${eventsText}
+`;
+
+    const completion = await openaiClient.chat.completions.create({
+      model: deployment,
+      messages: [{ role: "user", content: prompt }],
+      max_tokens: 120 * batch.length,
+      temperature: 0.2,
+    });
+
+    let text = completion.choices[0].message.content.trim();
+    text = text.replace(/^```json\s*/, "").replace(/```$/, "").replace(/^```\s*/, "");
+    try {
+      Object.assign(descriptions, JSON.parse(text));
+    } catch (err) {
+      console.error("Error parsing event descriptions:", err.message);
+    }
   }
+  return descriptions;
 }
 
 // ---------------- Main endpoint ----------------
-app.post("/sec-query", async (req, res) => {
+router.post("/sec-query", withWatchlist(async (req, res) => {
   try {
-    const { query } = req.body;
+    const { query, from, to, exchange, cik: chosenCik, ticker: chosenTicker, keywords: chosenKeywords } = req.body;
     if (!query) return res.status(400).json({ error: "Query is required." });
 
     // 1️ Extract entities from natural query
     const entities = await extractEntitiesFromQuery(query);
     let { cik, companyName, ticker, form } = entities;
+    const keywords = chosenKeywords || entities.keywords;
+    if (chosenCik) cik = chosenCik;
+    if (chosenTicker) ticker = chosenTicker;
+    if (cik) cik = String(cik).padStart(10, "0");
 
-    // 2️ Resolve CIK if not provided
+    // "Q2 2024", "last year", "past 3 months" -> { from, to, fiscalYear, fiscalPeriod }; body from / to win
+    const timeRange = resolveTimeRange({ query, from, to, extracted: entities });
+    const filingWindow = reportFilingWindow(timeRange);
+
+    // 2️ Resolve CIK if not provided; list the candidates rather than guess
     if (!cik && (companyName || ticker)) {
-      cik = await getCIKFromCompanyOrTicker(companyName, ticker);
+      const resolution = await resolveCompany({ name: companyName, ticker });
+      if (resolution.ambiguous) {
+        return res.status(409).json(ambiguityDetails(resolution, companyName || ticker));
+      }
+      cik = resolution.match?.cik || null;
+    }
+
+    // 3️ Fetch filings — questions about a section ("risk factors", "MD&A") use the matching
+    //    Item of the company's latest 10-K / 10-Q instead of whole documents
+    const sectionForm = form ? sectionFormOf(form) : "10-K";
+    const sections = sectionForm ? detectSectionsInQuery(query, sectionForm) : [];
+
+    // "Which companies mentioned X" — no company to look up, so search filing text instead
+    let search = null;
+    if (!cik && keywords) {
+      try {
+        search = await searchFullText({
+          q: keywords,
+          forms: form,
+          from: filingWindow.from,
+          to: filingWindow.to,
+          latestPerCompany: /\b(latest|most recent)\b/i.test(query),
+        });
+      } catch (err) {
+        // answer from the form's latest filings below rather than failing the question
+        console.error("EDGAR full-text search failed; falling back to the latest filings:", err.message);
+      }
+    }
+    if (search) {
+      const { total, filings } = search;
+      await attachSnippets(filings, keywords);
+      const matched = filings.filter((f) => f.snippets.length);
+      const { answer, sources } = matched.length
+        ? await askAIAboutFilings(matched, query)
+        : { answer: "No filings matching the full-text search were found.", sources: [] };
+      return res.json({
+        answer,
+        grounded_context: matched,
+        sources,
+        sections: [],
+        timeRange,
+        fullTextSearch: { q: keywords, total },
+      });
+    }
+
+    // Form 4 questions are answered from the parsed transactions rather than the documents
+    if (cik && form && formMatches(form, "4")) {
+      const insider = await insiderActivityFor(
+        { cik, name: companyName, ticker },
+        { from: timeRange.from, to: timeRange.to }
+      );
+      const answer = insider.rows.length
+        ? await summarizeInsiderActivity(query, [insider])
+        : "No Form 4 transactions were reported in this window.";
+      return res.json({
+        answer,
+        grounded_context: insider.rows,
+        sources: [],
+        sections: [],
+        timeRange,
+        insiderActivity: insider.activity,
+      });
     }
 
-    // 3️ Fetch filings
     let filings = [];
-    if (cik) {
-      filings = await fetchFilingsFromSECByCIK(cik, 10, form);
+    if (cik && sections.length) {
+      const filing = await findFiling(cik, { form: sectionForm, range: timeRange });
+      if (filing) filings = [filing];
+    } else if (cik) {
+      filings = await fetchFilingsForPeriod(cik, timeRange, { limit: 10, form });
     } else if (form) {
-      filings = await fetchLatestFilingsByForm(form, 10);
+      filings = await fetchLatestFilingsByForm(form, 10, { ...filingWindow, exchange });
     } else {
       return res.json({ answer: "CIK not found. Provide valid company name, ticker, or form.", grounded_context: [] });
     }
 
     // 4️ Summarize via AI
-    const answer = await askAIAboutFilings(filings, query);
-    res.json({ answer, grounded_context: filings || [] });
+    const { answer, sources } = await askAIAboutFilings(filings, query, { sections });
+    res.json({ answer, grounded_context: filings || [], sources, sections, timeRange });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+}));
+
+// ---------------- Section extractor endpoint ----------------
+// Splits a 10-K / 10-Q into its Items. Pass accessionNumber, or omit it (or send "latest")
+// for the company's latest filing of `form`.
+router.post("/sec-sections", withWatchlist(async (req, res) => {
+  try {
+    const { cik: rawCik, ticker, companyName, accessionNumber, form = "10-K", includeText = true } = req.body;
+    if (!rawCik && !ticker && !companyName) {
+      return res.status(400).json({ error: "cik, ticker or companyName is required." });
+    }
+    // one item ("1A") or a list (["1A", "7"])
+    const items = req.body.items ? [].concat(req.body.items).map(String) : undefined;
+    const latest = !accessionNumber || String(accessionNumber).toLowerCase() === "latest";
+    if (latest && !sectionFormOf(form)) {
+      return res.status(400).json({ error: "form must be 10-K or 10-Q." });
+    }
+
+    let cik = rawCik ? String(rawCik).padStart(10, "0") : null;
+    if (!cik) {
+      const resolution = await resolveCompany({ name: companyName, ticker });
+      if (resolution.ambiguous) return res.status(409).json(ambiguityDetails(resolution, companyName || ticker));
+      cik = resolution.match?.cik || null;
+    }
+    if (!cik) return res.status(404).json({ error: "Company not found in SEC records." });
+
+    const filing = await findFiling(cik, latest ? { form } : { accessionNumber });
+    if (!filing) return res.status(404).json({ error: "Filing not found." });
+    if (!sectionFormOf(filing.form)) {
+      return res.status(400).json({ error: `Form ${filing.form} is not a 10-K or 10-Q.` });
+    }
+
+    const { url, textLength, sections } = await fetchFilingSections(filing, items);
+    if (!textLength) return res.status(502).json({ error: "Could not download the filing document." });
+
+    res.json({
+      ...filing,
+      url,
+      textLength,
+      sections: includeText ? sections : sections.map(({ text, ...rest }) => rest),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+}));
+
+// ---------------- Section diff endpoint ----------------
+// Compares one Item across two filings of the same form (default: the latest two 10-Ks).
+router.post("/sec-section-diff", withWatchlist(async (req, res) => {
+  try {
+    const { query, cik: rawCik, ticker, companyName, form = "10-K", item = "1A", baseAccession, compareAccession } = req.body;
+    if (!rawCik && !ticker && !companyName) {
+      return res.status(400).json({ error: "cik, ticker or companyName is required." });
+    }
+    if (!sectionFormOf(form)) return res.status(400).json({ error: "form must be 10-K or 10-Q." });
+    if (!baseAccession !== !compareAccession) {
+      return res.status(400).json({ error: "Pass both baseAccession and compareAccession, or neither." });
+    }
+
+    let cik = rawCik ? String(rawCik).padStart(10, "0") : null;
+    if (!cik) {
+      const resolution = await resolveCompany({ name: companyName, ticker });
+      if (resolution.ambiguous) return res.status(409).json(ambiguityDetails(resolution, companyName || ticker));
+      cik = resolution.match?.cik || null;
+    }
+    if (!cik) return res.status(404).json({ error: "Company not found in SEC records." });
+
+    // older → newer; amendments are skipped by default since they rarely restate whole sections
+    let older;
+    let newer;
+    if (baseAccession && compareAccession) {
+      [older, newer] = await Promise.all([
+        findFiling(cik, { accessionNumber: baseAccession }),
+        findFiling(cik, { accessionNumber: compareAccession }),
+      ]);
+    } else {
+      const filings = (await fetchFilingsFromSECByCIK(cik, 1000, form)).filter(
+        (f) => f.form.toUpperCase() === form.toUpperCase()
+      );
+      [newer, older] = filings;
+    }
+    if (!older || !newer) {
+      return res.status(404).json({ error: `Need two ${form} filings to compare; found fewer.` });
+    }
+    if (sectionFormOf(older.form) !== sectionFormOf(newer.form)) {
+      return res.status(400).json({ error: "Both filings must be the same form." });
+    }
+    if (older.filingDate > newer.filingDate) [older, newer] = [newer, older];
+
+    const [oldDoc, newDoc] = await Promise.all([
+      fetchFilingSections(older, [item]),
+      fetchFilingSections(newer, [item]),
+    ]);
+    if (!oldDoc.textLength || !newDoc.textLength) {
+      return res.status(502).json({ error: "Could not download the filing documents." });
+    }
+    const [oldSection] = oldDoc.sections;
+    const [newSection] = newDoc.sections;
+    if (!oldSection || !newSection) {
+      return res.status(422).json({ error: `Item ${item} could not be located in both filings.` });
+    }
+
+    const { hunks, stats } = diffParagraphs(oldSection.text, newSection.text);
+    const company = newer.companyName || older.companyName;
+    const summary = await summarizeSectionDiff(query, company, newSection.item, older, newer, hunks);
+
+    res.json({
+      cik,
+      companyName: company,
+      item: newSection.item,
+      title: newSection.title,
+      older: { ...older, url: oldDoc.url },
+      newer: { ...newer, url: newDoc.url },
+      summary,
+      stats,
+      hunks,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+}));
+
+// ---------------- Insider activity endpoint ----------------
+// Form 4 transactions and net insider buying/selling per company over a date window (default: last 90 days).
+// Body: { cik | ticker | companyName } or { companies: ["AAPL", "Microsoft", ...] }, plus optional from, to, query.
+router.post("/insider-activity", withWatchlist(async (req, res) => {
+  try {
+    const { query, cik: rawCik, ticker, companyName, companies, from, to, includeDerivative = false } = req.body;
+    const MAX_COMPANIES = 5;
+
+    const targets = [];
+    const addTarget = (t) => {
+      if (!targets.some((x) => x.cik === t.cik)) targets.push(t);
+    };
+    if (rawCik) addTarget({ cik: String(rawCik).padStart(10, "0") });
+    else if (ticker || companyName) {
+      const resolution = await resolveCompany({ name: companyName, ticker });
+      if (resolution.ambiguous) return res.status(409).json(ambiguityDetails(resolution, companyName || ticker));
+      if (!resolution.match) return res.status(404).json({ error: "Company not found in SEC records." });
+      addTarget(resolution.match);
+    }
+    if (Array.isArray(companies)) {
+      for (const c of companies.slice(0, MAX_COMPANIES)) {
+        const resolution = await resolveCompanyText(c);
+        if (resolution.ambiguous) return res.status(409).json(ambiguityDetails(resolution, c));
+        if (!resolution.match) return res.status(404).json({ error: `Company not found in SEC records: ${c}` });
+        addTarget(resolution.match);
+      }
+    }
+    if (!targets.length) return res.status(400).json({ error: "cik, ticker, companyName or companies is required." });
+
+    // one company at a time keeps the Form 4 downloads within SEC's request rate
+    const results = [];
+    for (const company of targets.slice(0, MAX_COMPANIES)) {
+      results.push(await insiderActivityFor(company, { from, to, includeDerivative }));
+    }
+
+    const summary = results.some((r) => r.rows.length)
+      ? await summarizeInsiderActivity(query, results)
+      : "No Form 4 transactions were reported in this window.";
+
+    res.json({ summary, companies: results });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+}));
+
+// ---------------- 13F holdings endpoints ----------------
+// A filer's 13F-HR holdings and what changed since the previous quarter.
+// Body: { filer: "Berkshire Hathaway" | cik, accessionNumber?, limit? }
+router.post("/institutional-holdings", async (req, res) => {
+  try {
+    const { filer, cik, accessionNumber, compare = true } = req.body;
+    if (!filer && !cik) return res.status(400).json({ error: "filer or cik is required." });
+    const limit = req.body.limit === undefined ? 25 : Number(req.body.limit);
+    if (!Number.isInteger(limit) || limit < 1) return res.status(400).json({ error: "limit must be a positive integer." });
+
+    const resolved = await resolveFiler(cik || filer);
+    if (resolved.error) return res.status(resolved.status).json(resolved.error);
+
+    const filings = await list13FFilings(resolved.cik);
+    const index = accessionNumber
+      ? filings.findIndex((f) => f.accessionNumber === normalizeAccessionNumber(accessionNumber))
+      : 0;
+    const current = filings[index];
+    if (!current) return res.status(404).json({ error: "No matching 13F-HR filing found for this filer." });
+
+    const report = await fetch13FHoldings(current);
+    if (!report) return res.status(502).json({ error: "Could not read the 13F information table." });
+
+    let comparison = null;
+    const previousFiling = compare ? filings[index + 1] : null;
+    const previous = previousFiling ? await fetch13FHoldings(previousFiling) : null;
+    if (previous) {
+      const changes = compareHoldings(previous.holdings, report.holdings);
+      comparison = {
+        previous: {
+          accessionNumber: previous.accessionNumber,
+          reportDate: previous.reportDate,
+          filingDate: previous.filingDate,
+          totalValue: previous.totalValue,
+        },
+        counts: {
+          new: changes.new.length,
+          exited: changes.exited.length,
+          increased: changes.increased.length,
+          decreased: changes.decreased.length,
+          unchanged: changes.unchanged,
+        },
+        new: changes.new.slice(0, limit),
+        exited: changes.exited.slice(0, limit),
+        increased: changes.increased.slice(0, limit),
+        decreased: changes.decreased.slice(0, limit),
+      };
+    }
+
+    const { holdings, ...summary } = report;
+    res.json({ ...summary, filerName: report.filerName || resolved.name, holdings: holdings.slice(0, limit), comparison });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "Internal server error." });
   }
 });
 
-// ---------------- Start server ----------------
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`✅ Server running on port ${PORT}`));
+// Who holds a company, from the latest 13F-HR of each scanned filer.
+// Body: { ticker | companyName | cik, cusip?, filers?: ["Vanguard", "0001067983", ...] }
+router.post("/institutional-holders", withWatchlist(async (req, res) => {
+  try {
+    const { ticker, companyName, cik: rawCik, cusip, filers } = req.body;
+    if (!ticker && !companyName && !rawCik && !cusip) {
+      return res.status(400).json({ error: "ticker, companyName, cik or cusip is required." });
+    }
+
+    let company = null;
+    if (rawCik) company = (await primaryListing(String(rawCik).padStart(10, "0"))) || null;
+    else if (ticker || companyName) {
+      const resolution = await resolveCompany({ name: companyName, ticker });
+      if (resolution.ambiguous) return res.status(409).json(ambiguityDetails(resolution, companyName || ticker));
+      company = resolution.match;
+    }
+    if (!company && !cusip) return res.status(404).json({ error: "Company not found in SEC records." });
+
+    let filerList;
+    if (Array.isArray(filers) && filers.length) {
+      filerList = [];
+      for (const f of filers) {
+        const resolved = await resolveFiler(f);
+        if (resolved.error) return res.status(resolved.status).json(resolved.error);
+        filerList.push(resolved);
+      }
+    }
+
+    const result = await findHolders({ name: company?.name, cusip }, filerList ? { filers: filerList } : {});
+    res.json({
+      company: company ? { cik: company.cik, name: company.name, ticker: company.ticker } : null,
+      cusip: cusip || null,
+      ...result,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+}));
+
+// ---------------- Company timeline endpoint ----------------
+// A company's material 8-K events in date order, each with a one-line description and links.
+// Body: { cik | ticker | companyName, from?, to?, categories?: ["results", "leadership", ...], includeAll?, limit? }
+router.post("/company-timeline", withWatchlist(async (req, res) => {
+  try {
+    const { cik: rawCik, ticker, companyName, from, to, categories, includeAll = false, includeText = false } = req.body;
+    if (!rawCik && !ticker && !companyName) {
+      return res.status(400).json({ error: "cik, ticker or companyName is required." });
+    }
+    const limit = req.body.limit === undefined ? 15 : Number(req.body.limit);
+    if (!Number.isInteger(limit) || limit < 1) return res.status(400).json({ error: "limit must be a positive integer." });
+
+    let cik = rawCik ? String(rawCik).padStart(10, "0") : null;
+    if (!cik) {
+      const resolution = await resolveCompany({ name: companyName, ticker });
+      if (resolution.ambiguous) return res.status(409).json(ambiguityDetails(resolution, companyName || ticker));
+      cik = resolution.match?.cik || null;
+    }
+    if (!cik) return res.status(404).json({ error: "Company not found in SEC records." });
+
+    const events = await fetch8KEvents(cik, { from, to, categories, materialOnly: !includeAll, limit: Math.min(limit, 40) });
+    if (!events.length) {
+      return res.json({ cik, companyName: companyName || "", ticker: ticker || "", from, to, events: [] });
+    }
+
+    // the press release says more than the 8-K cover text; fall back to the 8-K itself
+    for (const e of events) {
+      const release = await fetchPressRelease(e);
+      e.pressReleaseUrl = release?.url || null;
+      e.text = release?.text || (await fetchFilingText(e));
+    }
+
+    const name = events[0].companyName || companyName;
+    const descriptions = await describeEvents(name, events);
+
+    const timeline = events
+      .map((e) => ({
+        date: e.filingDate,
+        reportDate: e.reportDate,
+        form: e.form,
+        accessionNumber: e.accessionNumber,
+        category: e.classification.primaryCategory,
+        categories: e.classification.categories,
+        items: e.classification.items,
+        description: descriptions[e.accessionNumber] || e.classification.items.map((it) => it.title).join("; "),
+        url: e.url,
+        pressReleaseUrl: e.pressReleaseUrl,
+        ...(includeText ? { text: e.text } : {}),
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    res.json({ cik, companyName: name, ticker: events[0].ticker, from, to, events: timeline });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+}));
+
+// ---------------- Full-text search endpoint ----------------
+// EDGAR full-text search with highlighted snippets (no AI).
+// Body: { q, forms?, from?, to?, cik? | ticker? | companyName?, entityName?, latestPerCompany?, limit? }
+router.post("/sec-search", withWatchlist(async (req, res) => {
+  try {
+    const { q, forms, from, to, cik: rawCik, ticker, companyName, entityName, latestPerCompany = false } = req.body;
+    if (!q) return res.status(400).json({ error: "q is required." });
+    const limit = req.body.limit === undefined ? 10 : Number(req.body.limit);
+    if (!Number.isInteger(limit) || limit < 1) return res.status(400).json({ error: "limit must be a positive integer." });
+
+    let cik = rawCik ? String(rawCik).padStart(10, "0") : null;
+    if (!cik && (ticker || companyName)) {
+      const resolution = await resolveCompany({ name: companyName, ticker });
+      if (resolution.ambiguous) return res.status(409).json(ambiguityDetails(resolution, companyName || ticker));
+      cik = resolution.match?.cik || null;
+      if (!cik) return res.status(404).json({ error: "Company not found in SEC records." });
+    }
+
+    const { total, filings } = await searchFullText({
+      q,
+      forms,
+      from,
+      to,
+      ciks: cik ? [cik] : [],
+      entityName,
+      latestPerCompany,
+      limit: Math.min(limit, 50),
+    });
+    await attachSnippets(filings, q);
+
+    res.json({
+      q,
+      total,
+      filings: filings.map(({ highlights, ...f }) => ({ ...f, url: filingDocumentUrl(f) })),
+    });
+  } catch (err) {
+    console.error(err);
+    if (err.response) return res.status(502).json({ error: "EDGAR full-text search failed." });
+    res.status(500).json({ error: "Internal server error." });
+  }
+}));
+
+export default router;
@@ -1,63 +1,29 @@
-import dotenv from "dotenv";
 import express from "express";
 import axios from "axios";
-import { AzureOpenAI } from "openai";
 import mammoth from "mammoth";
 import XLSX from "xlsx";
-import cors from "cors";
+import config from "./lib/config.js";
+import { aiClient as openaiClient, deployment } from "./lib/llm.js";
+import { extractKeywordsArray, countKeywordPresence } from "./lib/text.js";
 
 const pdfModule = await import("pdf-parse");
 const pdf = pdfModule.default || pdfModule;
 
-dotenv.config();
-const app = express();
-app.use(express.json());
-app.use(cors());
-
-const openaiClient = new AzureOpenAI({
-  endpoint: process.env.AZURE_OPENAI_ENDPOINT,
-  apiKey: process.env.AZURE_OPENAI_API_KEY,
-  apiVersion: process.env.OPENAI_API_VERSION,
-});
+const router = express.Router();
 
 // -------------------- helpers --------------------
 
-// improved keyword extractor (returns array of keywords)
-function extractKeywordsArray(query) {
-  const stopWords = new Set([
-    "the","is","are","am","was","were","a","an","and","or","for","to","of","in","on","at","by","with",
-    "from","that","this","it","as","be","been","being","if","then","else","what","which","who","when","where","how","why","please","give","some","details","here"
-  ]);
-  if (!query || typeof query !== "string") return [];
-  const words = query
-    .toLowerCase()
-    .match(/\w{3,}/g)   // words with length >= 3
-    ?.filter(w => !stopWords.has(w));
-  return words || [];
-}
-
 // join keywords into OR-string for Graph search
 function keywordsToSearchString(keywords, fallback) {
   if (!keywords || !keywords.length) return fallback || "";
   return keywords.join(" OR ");
 }
 
-// count presence (unique keywords matched) in a text
-function countKeywordPresence(text, keywords) {
-  if (!text || !keywords || !keywords.length) return 0;
-  const lower = text.toLowerCase();
-  let count = 0;
-  for (const kw of keywords) {
-    if (lower.includes(kw)) count++;
-  }
-  return count;
-}
-
 // -------------------- SharePoint helpers --------------------
 
 async function searchSharePointFiles(query, token) {
   const res = await axios.post(
-    `${process.env.GRAPH_API_URL}/search/query`,
+    `${config.graphApiUrl}/search/query`,
     {
       requests: [
         {
@@ -84,7 +50,7 @@ async function searchSharePointFiles(query, token) {
 async function getFileTextContent(driveId, itemId, token, maxChars = null) {
   try {
     const res = await axios.get(
-      `${process.env.GRAPH_API_URL}/drives/${driveId}/items/${itemId}/content`,
+      `${config.graphApiUrl}/drives/${driveId}/items/${itemId}/content`,
       { headers: { Authorization: `Bearer ${token}` }, responseType: "arraybuffer" }
     );
 
@@ -132,7 +98,7 @@ async function getFileTextContent(driveId, itemId, token, maxChars = null) {
 
 // -------------------- /query endpoint with ranking --------------------
 
-app.post("/sharepoint-query", async (req, res) => {
+router.post("/sharepoint-query", async (req, res) => {
   try {
     const { query } = req.body;
     const token = req.headers.authorization?.split(" ")[1];
@@ -231,7 +197,7 @@ Answer:
 `;
 
     const completion = await openaiClient.chat.completions.create({
-      model: process.env.AZURE_OPENAI_DEPLOYMENT,
+      model: deployment,
       messages: [{ role: "user", content: prompt }],
       temperature: 0.2,
       max_tokens: 500,
@@ -255,5 +221,4 @@ Answer:
   }
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+export default router;
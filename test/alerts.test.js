@@ -0,0 +1,56 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import axios from "axios";
+
+// Webhook delivery from the outbox, offline: no rules, so a poll only delivers what is queued.
+
+let dataDir;
+let alerts;
+
+const alert = (id, queuedAt = new Date().toISOString()) => ({
+  webhookId: "up",
+  alert: { id, ruleId: "r1", title: `alert ${id}` },
+  queuedAt,
+  attempts: 0,
+});
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "alerts-"));
+  process.env.ALERTS_FILE = path.join(dataDir, "alerts.json");
+  process.env.ALERTS_POLL_MINUTES = "0";
+  process.env.WEBHOOK_MAX_ATTEMPTS = "1";
+  process.env.AZURE_OPENAI_API_KEY ||= "test";
+  process.env.AZURE_OPENAI_ENDPOINT ||= "https://test.openai.azure.com";
+  alerts = await import("../lib/alerts.js");
+});
+
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+test("a poll retries queued alerts and keeps what a dead webhook refused", async (t) => {
+  const webhooks = [
+    { id: "up", url: "http://93.184.216.34/up", secret: "s".repeat(32), rules: [] },
+    { id: "down", url: "http://93.184.216.35/down", secret: "s".repeat(32), rules: [] },
+  ];
+  const stale = new Date(Date.now() - 48 * 3_600_000).toISOString();
+  const outbox = [alert("a1"), alert("a2"), { ...alert("b1"), webhookId: "down" }, { ...alert("b2"), webhookId: "down" }, { ...alert("old", stale), webhookId: "down" }];
+  await fs.writeFile(process.env.ALERTS_FILE, JSON.stringify({ webhooks, outbox }));
+
+  const posted = [];
+  t.mock.method(axios, "post", async (url, body) => {
+    posted.push([url, JSON.parse(body).alert.id]);
+    if (url.endsWith("/down")) throw Object.assign(new Error("Service Unavailable"), { response: { status: 503 } });
+    return { status: 200 };
+  });
+
+  const result = await alerts.pollAlerts();
+  assert.deepEqual(posted.filter(([url]) => url.endsWith("/up")).map(([, id]) => id), ["a1", "a2"]);
+  // the down webhook is tried once per poll, and the expired alert is dropped
+  assert.deepEqual(posted.filter(([url]) => url.endsWith("/down")).map(([, id]) => id), ["b1"]);
+  assert.equal(result.queued, 2);
+
+  const { outbox: left } = JSON.parse(await fs.readFile(process.env.ALERTS_FILE, "utf8"));
+  assert.deepEqual(left.map((i) => [i.alert.id, i.attempts]), [["b1", 1], ["b2", 0]]);
+});
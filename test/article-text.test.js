@@ -0,0 +1,60 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import http from "http";
+import os from "os";
+import path from "path";
+import axios from "axios";
+
+let cacheDir;
+let articles;
+
+const paragraph = (n) => `<p>Paragraph ${n} of the story, long enough to count as reporting rather than page furniture.</p>`;
+
+before(async () => {
+  cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), "article-text-"));
+  process.env.CACHE_DIR = cacheDir;
+  articles = await import("../lib/article-text.js");
+});
+
+after(() => fs.rm(cacheDir, { recursive: true, force: true }));
+
+test("extractArticleText keeps the article's paragraphs and drops boilerplate", () => {
+  const html = `<html><head><title>Chipmaker beats estimates</title></head><body>
+    <nav><p>Markets | Tech | Opinion and other sections of the site menu</p></nav>
+    <article>${[1, 2, 3, 4, 5, 6].map(paragraph).join("")}<p>Subscribe to our newsletter for the latest market news.</p></article>
+  </body></html>`;
+  const { title, text } = articles.extractArticleText(html);
+  assert.equal(title, "Chipmaker beats estimates");
+  assert.equal(text.split("\n").length, 6);
+  assert.doesNotMatch(text, /newsletter|Opinion/);
+});
+
+test("fetchArticleText never requests a private host", async () => {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits++;
+    res.end(`<article>${[1, 2, 3, 4, 5, 6].map(paragraph).join("")}</article>`);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    const page = await articles.fetchArticleText(`http://127.0.0.1:${server.address().port}/internal`);
+    assert.equal(page.text, "");
+    assert.match(page.error, /not a public host/);
+    assert.equal(hits, 0);
+  } finally {
+    server.close();
+  }
+});
+
+test("fetchArticleText stops at a redirect to a private host", async (t) => {
+  const get = t.mock.method(axios, "get", async () => ({
+    status: 302,
+    headers: { location: "http://169.254.169.254/latest/meta-data/" },
+    data: "",
+  }));
+  const page = await articles.fetchArticleText("http://93.184.216.34/story");
+  assert.match(page.error, /not a public host: 169\.254\.169\.254/);
+  assert.equal(get.mock.callCount(), 1);
+  assert.equal(get.mock.calls[0].arguments[1].maxRedirects, 0);
+});
@@ -0,0 +1,34 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { pruneCacheDir } from "../lib/disk-cache.js";
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "disk-cache-"));
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+test("pruneCacheDir drops expired files, then the oldest beyond the byte cap", async () => {
+  const now = Date.now();
+  const write = async (name, bytes, ageMs) => {
+    const file = path.join(dir, name);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, "x".repeat(bytes));
+    await fs.utimes(file, new Date(now - ageMs), new Date(now - ageMs));
+  };
+  await write("ab/newest.json", 40, 1_000);
+  await write("ab/newer.json", 40, 2_000);
+  await write("cd/older.json", 40, 3_000);
+  await write("cd/small-oldest.json", 10, 4_000);
+  await write("ef/expired.json", 10, 10_000);
+
+  const result = await pruneCacheDir(dir, { maxBytes: 100, maxAgeMs: 5_000, now });
+  assert.deepEqual(result, { removed: 3, bytes: 80 });
+  const left = (await fs.readdir(dir, { recursive: true })).filter((n) => n.endsWith(".json")).sort();
+  assert.deepEqual(left, [path.join("ab", "newer.json"), path.join("ab", "newest.json")]);
+});
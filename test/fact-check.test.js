@@ -0,0 +1,52 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+
+let factCheck;
+let aiClient;
+
+before(async () => {
+  process.env.AZURE_OPENAI_API_KEY ||= "test";
+  process.env.AZURE_OPENAI_ENDPOINT ||= "https://test.openai.azure.com";
+  factCheck = await import("../lib/fact-check.js");
+  ({ aiClient } = await import("../lib/llm.js"));
+});
+
+test("extractNumbers keeps sign, scale and precision", () => {
+  const [growth, revenue, multiple] = factCheck.extractNumbers("Growth -12.50%, revenue $391 billion, P/E 37.83x");
+  assert.equal(growth.value, -12.5);
+  assert.equal(growth.percent, true);
+  assert.equal(revenue.value, 391e9);
+  assert.equal(multiple.value, 37.83);
+  assert.equal(multiple.tolerance, 0.005);
+});
+
+test("extractNumbers skips years, form names and small counts", () => {
+  assert.deepEqual(factCheck.extractNumbers("In 2024 the 10-K listed 3 risks"), []);
+});
+
+test("a flipped sign is unsupported", () => {
+  assert.deepEqual(factCheck.findUnsupportedNumbers("Revenue grew 12.50%", ["- Revenue growth (YoY): -12.50%"]), ["12.50%"]);
+  assert.deepEqual(factCheck.findUnsupportedNumbers("Revenue growth was -12.50%", ["- Revenue growth (YoY): 12.50%"]), ["-12.50%"]);
+  assert.deepEqual(factCheck.findUnsupportedNumbers("Revenue growth was -12.50%", ["- Revenue growth (YoY): -12.50%"]), []);
+});
+
+test("numbers match to the precision they were written", () => {
+  assert.deepEqual(factCheck.findUnsupportedNumbers("Margin was 46.3%", ["- Gross margin: 46.29%"]), []);
+  assert.deepEqual(factCheck.findUnsupportedNumbers("Margin was 47.3%", ["- Gross margin: 46.29%"]), ["47.3%"]);
+});
+
+test("completeWithFacts grounds the prompt and asks once to drop unsupported numbers", async (t) => {
+  const prompts = [];
+  const replies = ["Revenue grew 15.00%.", "Revenue grew 12.50%."];
+  t.mock.method(aiClient.chat.completions, "create", async ({ messages }) => {
+    prompts.push(messages[0].content);
+    return { choices: [{ message: { content: replies[prompts.length - 1] } }] };
+  });
+
+  const facts = "- Revenue growth (YoY): 12.50%";
+  const result = await factCheck.completeWithFacts({ prompt: `Summarize.\n\nFacts:\n${facts}\n`, facts });
+  assert.deepEqual(result, { answer: "Revenue grew 12.50%.", unsupportedNumbers: [] });
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[0], /Facts:\n- Revenue growth \(YoY\): 12\.50%\n\nEvery number you write must be copied exactly/);
+  assert.match(prompts[1], /not in the facts: 15\.00%/);
+});
@@ -0,0 +1,15 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { sourceQuality } from "../lib/news.js";
+
+test("sourceQuality matches hosts by domain suffix", () => {
+  assert.equal(sourceQuality({ url: "https://www.ft.com/content/1", source: "" }), 1);
+  assert.equal(sourceQuality({ url: "https://finance.yahoo.com/news/1", source: "" }), 0.75);
+  assert.equal(sourceQuality({ url: "https://news.microsoft.com/1", source: "Microsoft" }), 0.5);
+});
+
+test("sourceQuality matches whole source names", () => {
+  assert.equal(sourceQuality({ url: "https://finnhub.io/api/news?id=1", source: "Reuters" }), 1);
+  assert.equal(sourceQuality({ url: "", source: "The Wall Street Journal" }), 1);
+  assert.equal(sourceQuality({ url: "https://www.fortunebusinessinsights.com/1", source: "Fortune Business Insights" }), 0.5);
+});
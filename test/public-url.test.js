@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isPrivateAddress, isPublicUrl } from "../lib/public-url.js";
+
+test("isPrivateAddress flags loopback, private, link-local and mapped addresses", () => {
+  for (const ip of ["127.0.0.1", "10.1.2.3", "172.20.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "::1", "fe80::1", "fd00::1", "::ffff:10.0.0.1"]) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ["93.184.216.34", "8.8.8.8", "2606:4700::1111"]) assert.equal(isPrivateAddress(ip), false, ip);
+});
+
+test("isPublicUrl refuses private hosts unless they are allowed", async () => {
+  assert.equal(await isPublicUrl("https://93.184.216.34/hook"), true);
+  assert.equal(await isPublicUrl("http://169.254.169.254/latest/meta-data"), false);
+  assert.equal(await isPublicUrl("http://[::1]:8080/"), false);
+  assert.equal(await isPublicUrl("http://2130706433/"), false); // 127.0.0.1 written as a number
+  assert.equal(await isPublicUrl("http://localhost:3000/hook"), false);
+  assert.equal(await isPublicUrl("http://localhost:3000/hook", { allowedHosts: ["localhost"] }), true);
+  assert.equal(await isPublicUrl("file:///etc/passwd"), false);
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffParagraphs } from "../lib/sec-diff.js";
+
+const WORDS = ["revenue", "supply", "customers", "competition", "regulation", "currency", "litigation", "cybersecurity", "tariffs", "inventory"];
+const OTHER_WORDS = ["weather", "aviation", "lending", "mining", "shipping", "farming", "broadcasting", "insurance", "tourism", "gaming"];
+
+// a distinct risk-factor paragraph per index
+const words = (list, n) => [1, 10, 100, 1000].map((d) => list[Math.floor(n / d) % 10]);
+const paragraph = (n) => {
+  const [a, b, c, d] = words(WORDS, n);
+  return `Our ${a} and ${b} exposure depends on ${c} conditions and ${d} trends.`;
+};
+
+test("diffParagraphs reports added, removed and reworded paragraphs", () => {
+  const old = [0, 1, 2, 3, 4].map(paragraph);
+  const next = [...old];
+  next.splice(1, 1); // removed
+  next.splice(2, 0, "A new risk: export controls on advanced chips could cut sales to several markets."); // added
+  next[3] = `${old[3]} This exposure increased materially during the year because of new tariffs.`; // reworded
+
+  const { hunks, stats } = diffParagraphs(old.join("\n"), next.join("\n"));
+  assert.deepEqual(
+    hunks.map((h) => h.type),
+    ["removed", "added", "reworded"]
+  );
+  assert.equal(stats.unchanged, 3);
+});
+
+test("diffParagraphs reports changed figures but not changed years or page references", () => {
+  const old = [
+    "Our backlog was $12.4 billion at the end of fiscal 2023, up 8% from the prior year.",
+    "See Note 7 on page 54 of this report for a description of our credit facilities.",
+  ];
+  const next = [
+    "Our backlog was $9.1 billion at the end of fiscal 2024, down 27% from the prior year.",
+    "See Note 7 on page 61 of this report for a description of our credit facilities.",
+  ];
+
+  const { hunks, stats } = diffParagraphs(old.join("\n"), next.join("\n"));
+  assert.deepEqual(
+    hunks.map((h) => [h.type, h.oldIndex, h.newIndex]),
+    [["figures", 0, 0]]
+  );
+  assert.equal(stats.unchanged, 1);
+});
+
+test("diffParagraphs aligns long sections without comparing every pair", () => {
+  const old = Array.from({ length: 3000 }, (_, n) => paragraph(n));
+  // every 50th paragraph is replaced, so the gap after the common head and tail is far beyond the LCS cap
+  const next = old.map((p, n) => (n % 50 === 25 ? `A passage on ${words(OTHER_WORDS, n).join(", ")} instead.` : p));
+
+  const { stats } = diffParagraphs(old.join("\n"), next.join("\n"));
+  assert.equal(stats.added, 60);
+  assert.equal(stats.removed, 60);
+  assert.equal(stats.unchanged, 2940);
+});
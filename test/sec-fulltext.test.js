@@ -0,0 +1,114 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import http from "http";
+import os from "os";
+import path from "path";
+
+// EDGAR full-text search against a local stand-in for efts.sec.gov
+
+let cacheDir;
+let server;
+let fulltext;
+let requests;
+let reply; // (url) -> [status, body]
+
+const hit = (accession, document, { cik, name, ticker, date, form = "10-K", highlight } = {}) => ({
+  _id: `${accession}:${document}`,
+  _source: {
+    adsh: accession,
+    ciks: [cik],
+    display_names: [`${name}  (${ticker})  (CIK ${cik})`],
+    file_date: date,
+    period_ending: `${date.slice(0, 4)}-01-31`,
+    form,
+    root_form: form,
+    items: [],
+    file_type: form,
+  },
+  ...(highlight ? { highlight: { doc_text: highlight } } : {}),
+});
+
+const HITS = [
+  hit("0000320193-24-000123", "aapl-20240928.htm", {
+    cik: "0000320193",
+    name: "Apple Inc.",
+    ticker: "AAPL",
+    date: "2024-11-01",
+    highlight: ["exposure to <em>tariffs</em> on components", "retaliatory <em>tariffs</em>"],
+  }),
+  // a second document of the same filing
+  hit("0000320193-24-000123", "exhibit.htm", { cik: "0000320193", name: "Apple Inc.", ticker: "AAPL", date: "2024-11-01", highlight: ["x"] }),
+  hit("0000320193-23-000106", "aapl-20230930.htm", { cik: "0000320193", name: "Apple Inc.", ticker: "AAPL", date: "2023-11-03", highlight: ["y"] }),
+  hit("0000789019-24-000073", "msft-10k.htm", { cik: "0000789019", name: "MICROSOFT CORP", ticker: "MSFT", date: "2024-07-30", highlight: ["z"] }),
+];
+
+before(async () => {
+  cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), "sec-fulltext-"));
+  server = http.createServer((req, res) => {
+    requests.push(new URL(req.url, "http://localhost"));
+    const [status, body] = reply(req.url);
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.CACHE_DIR = cacheDir;
+  process.env.SEC_USER_AGENT = "entsearch-ai-backend tests@example.com";
+  process.env.SEC_FULL_TEXT_SEARCH_URL = `http://127.0.0.1:${server.address().port}/LATEST/search-index`;
+  fulltext = await import("../lib/sec-fulltext.js");
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(cacheDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  requests = [];
+  reply = () => [200, { hits: { total: { value: 42 }, hits: HITS } }];
+});
+
+test("searchFullText sends the query, forms, date range and CIKs", async () => {
+  await fulltext.searchFullText({ q: '"supply chain" tariffs', forms: "10-k, 10-q", from: "2024-01-01", to: "2024-12-31", ciks: "320193" });
+  assert.equal(requests.length, 1);
+  const params = requests[0].searchParams;
+  assert.equal(requests[0].pathname, "/LATEST/search-index");
+  assert.equal(params.get("q"), '"supply chain" tariffs');
+  assert.equal(params.get("forms"), "10-K,10-Q");
+  assert.equal(params.get("dateRange"), "custom");
+  assert.equal(params.get("startdt"), "2024-01-01");
+  assert.equal(params.get("enddt"), "2024-12-31");
+  assert.equal(params.get("ciks"), "0000320193");
+});
+
+test("searchFullText reports each filing once, newest first", async () => {
+  const { total, filings } = await fulltext.searchFullText({ q: "tariffs" });
+  assert.equal(total, 42);
+  assert.deepEqual(
+    filings.map((f) => f.accessionNumber),
+    ["0000320193-24-000123", "0000789019-24-000073", "0000320193-23-000106"]
+  );
+  assert.deepEqual(
+    { cik: filings[0].cik, companyName: filings[0].companyName, ticker: filings[0].ticker, form: filings[0].form, primaryDocument: filings[0].primaryDocument },
+    { cik: "0000320193", companyName: "Apple Inc.", ticker: "AAPL", form: "10-K", primaryDocument: "aapl-20240928.htm" }
+  );
+});
+
+test("searchFullText keeps only each company's latest filing when asked", async () => {
+  const { filings } = await fulltext.searchFullText({ q: "tariffs", latestPerCompany: true });
+  assert.deepEqual(
+    filings.map((f) => [f.ticker, f.filingDate]),
+    [["AAPL", "2024-11-01"], ["MSFT", "2024-07-30"]]
+  );
+});
+
+test("attachSnippets turns search highlights into bold snippets", async () => {
+  const { filings } = await fulltext.searchFullText({ q: "tariffs", limit: 1 });
+  await fulltext.attachSnippets(filings, "tariffs");
+  assert.deepEqual(filings[0].snippets, ["exposure to **tariffs** on components", "retaliatory **tariffs**"]);
+});
+
+test("searchFullText throws when the search service fails", async () => {
+  reply = () => [500, { error: "internal" }];
+  await assert.rejects(fulltext.searchFullText({ q: "tariffs" }), (err) => err.response?.status === 500);
+});
@@ -0,0 +1,58 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// Reference lookups and company resolution against the fixture snapshot, offline
+// (refresh disabled, so the snapshot on disk is the only source).
+
+let cacheDir;
+let reference;
+let resolver;
+
+before(async () => {
+  cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), "sec-reference-"));
+  await fs.mkdir(path.join(cacheDir, "sec-reference"));
+  await fs.copyFile(
+    new URL("./fixtures/company_tickers_exchange.json", import.meta.url),
+    path.join(cacheDir, "sec-reference", "company_tickers_exchange.json")
+  );
+  process.env.CACHE_DIR = cacheDir;
+  process.env.SEC_REFERENCE_REFRESH_HOURS = "0";
+  reference = await import("../lib/sec-reference.js");
+  resolver = await import("../lib/entity-resolver.js");
+});
+
+after(() => fs.rm(cacheDir, { recursive: true, force: true }));
+
+test("normalizeCompanyName drops punctuation and legal suffixes", () => {
+  assert.equal(reference.normalizeCompanyName("Apple Inc."), "apple");
+  assert.equal(reference.normalizeCompanyName("The Boeing Co"), "boeing");
+  assert.equal(reference.normalizeCompanyName("AT&T Inc."), "at and t");
+});
+
+test("lookups by ticker, CIK, name and exchange", async () => {
+  assert.equal((await reference.findByTicker("aapl")).cik, "0000320193");
+  assert.deepEqual((await reference.findByCIK(1652044)).map((r) => r.ticker), ["GOOGL", "GOOG"]);
+  assert.equal((await reference.primaryListing("0001652044")).ticker, "GOOGL");
+  assert.deepEqual((await reference.findByName("Meta Platforms")).map((r) => r.ticker), ["META"]);
+  assert.deepEqual((await reference.listByExchange("nyse")).map((r) => r.ticker), ["BA", "APLE"]);
+  assert.equal(await reference.findByTicker("NOPE"), null);
+});
+
+test("resolveCompany prefers exact tickers and aliases", async () => {
+  const byTicker = await resolver.resolveCompany({ ticker: "MSFT" });
+  assert.equal(byTicker.match.cik, "0000789019");
+  assert.equal(byTicker.ambiguous, false);
+
+  const byName = await resolver.resolveCompany({ name: "Boeing" });
+  assert.equal(byName.match.ticker, "BA");
+});
+
+test("resolveCompanyText matches longer names and misses unknown companies", async () => {
+  const result = await resolver.resolveCompanyText("Apple Hospitality");
+  assert.equal(result.match.ticker, "APLE");
+  const unknown = await resolver.resolveCompanyText("Nonexistent Holdings");
+  assert.equal(unknown.match, null);
+});
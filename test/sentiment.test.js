@@ -0,0 +1,53 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+
+let sentiment;
+
+before(async () => {
+  process.env.AZURE_OPENAI_API_KEY ||= "test";
+  process.env.AZURE_OPENAI_ENDPOINT ||= "https://test.openai.azure.com";
+  sentiment = await import("../lib/sentiment.js");
+});
+
+const label = (text) => sentiment.lexiconSentiment(text).label;
+
+test("lexicon scores direction words, not context-dependent nouns", () => {
+  assert.equal(label("Apple profit falls 10%"), "negative");
+  assert.equal(label("Results were fine"), "neutral");
+  assert.equal(label("Fed rate cut lifts stocks"), "positive");
+  assert.equal(label("Intel cuts jobs as sales slump"), "negative");
+  assert.equal(label("Regulator fined the bank"), "negative");
+});
+
+test("lexicon flips negated terms and matches whole words only", () => {
+  assert.equal(label("Nvidia beats estimates and raises guidance"), "positive");
+  assert.equal(label("Tesla did not beat estimates"), "negative");
+  assert.equal(label("Winter missile tests"), "neutral"); // not "win" or "miss"
+  assert.equal(sentiment.lexiconSentiment("Shares rally").score, 0.5);
+});
+
+test("aggregateSentiment buckets by period and reports the shift", () => {
+  const scored = [
+    { publishedAt: "2026-10-05T10:00:00Z", sentiment: { score: -0.5, label: "negative" } },
+    { publishedAt: "2026-10-06T10:00:00Z", sentiment: { score: -0.3, label: "negative" } },
+    { publishedAt: "2026-10-13T10:00:00Z", sentiment: { score: 0.5, label: "positive" } },
+    { publishedAt: "2026-10-14T10:00:00Z", sentiment: { score: 0, label: "neutral" } },
+    { publishedAt: null, sentiment: { score: 0.9, label: "positive" } }, // undated: overall only
+  ];
+  const result = sentiment.aggregateSentiment(scored, { interval: "week" });
+  assert.deepEqual(
+    result.periods.map((p) => [p.period, p.articles, p.averageScore, p.label]),
+    [
+      ["2026-10-05", 2, -0.4, "negative"],
+      ["2026-10-12", 2, 0.25, "positive"],
+    ]
+  );
+  assert.deepEqual(result.shift, { from: "2026-10-05", to: "2026-10-12", change: 0.65, direction: "improving" });
+  assert.equal(result.overall.articles, 5);
+  assert.equal(result.overall.positive, 2);
+});
+
+test("aggregateSentiment has no shift with a single period", () => {
+  const scored = [{ publishedAt: "2026-10-05T10:00:00Z", sentiment: { score: 0.2, label: "positive" } }];
+  assert.equal(sentiment.aggregateSentiment(scored, { interval: "day" }).shift, null);
+});
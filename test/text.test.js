@@ -0,0 +1,12 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { decodeEntities, htmlToText } from "../lib/text.js";
+
+test("decodeEntities decodes numeric and named entities", () => {
+  assert.equal(decodeEntities("AT&amp;T&#8217;s &#x2014; &nbsp;"), "AT&T’s —  ");
+});
+
+test("decodeEntities leaves code points past Unicode's range as written", () => {
+  assert.equal(decodeEntities("Item &#99999999; and &#x110000;"), "Item &#99999999; and &#x110000;");
+  assert.equal(htmlToText("<p>Risk factors &#99999999;</p>"), "Risk factors &#99999999;");
+});
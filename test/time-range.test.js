@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseTimeRange } from "../lib/time-range.js";
+
+const now = new Date("2026-10-19T12:00:00Z");
+
+test("a year with a context word is a range", () => {
+  assert.deepEqual(parseTimeRange("top 2000 companies in 2000", now), {
+    from: "2000-01-01",
+    to: "2000-12-31",
+    fiscalYear: 2000,
+    fiscalPeriod: null,
+    matched: "in 2000",
+  });
+  assert.equal(parseTimeRange("Apple filings during 2023", now).fiscalYear, 2023);
+  const since = parseTimeRange("news since 2022", now);
+  assert.deepEqual([since.from, since.to], ["2022-01-01", "2026-10-19"]);
+});
+
+test("a bare year counts when it ends the phrase or names a report", () => {
+  assert.equal(parseTimeRange("Apple's 2023 10-K", now).fiscalYear, 2023);
+  assert.equal(parseTimeRange("Tesla 2024", now).fiscalYear, 2024);
+  assert.equal(parseTimeRange("Microsoft 2022 revenue", now).fiscalYear, 2022);
+});
+
+test("a number followed by a count noun is not a year", () => {
+  assert.equal(parseTimeRange("top 2000 companies", now), null);
+  assert.equal(parseTimeRange("firms with 1950 employees", now), null);
+});
+
+test("quarters and fiscal years keep their period", () => {
+  const q = parseTimeRange("Q2 2024 results", now);
+  assert.deepEqual([q.from, q.to, q.fiscalPeriod], ["2024-04-01", "2024-06-30", "Q2"]);
+  assert.equal(parseTimeRange("FY23", now).fiscalPeriod, "FY");
+});
@@ -1,30 +1,18 @@
-import dotenv from "dotenv";
 import express from "express";
 import axios from "axios";
 import { SearchClient, AzureKeyCredential } from "@azure/search-documents";
-import { AzureOpenAI } from "openai";
-import cors from "cors";
+import config from "./lib/config.js";
+import { aiClient as openaiClient, deployment } from "./lib/llm.js";
 
-dotenv.config();
-const app = express();
-app.use(express.json());
-app.use(cors());
+const router = express.Router();
 
 // 🔹 Azure Cognitive Search client
 const searchClient = new SearchClient(
-  process.env.AZURE_SEARCH_ENDPOINT,
-  process.env.AZURE_SEARCH_INDEX,
-  new AzureKeyCredential(process.env.AZURE_SEARCH_API_KEY)
+  config.azureSearch.endpoint,
+  config.azureSearch.index,
+  new AzureKeyCredential(config.azureSearch.apiKey)
 );
 
-
-const openaiClient = new AzureOpenAI({
-  endpoint: process.env.AZURE_OPENAI_ENDPOINT,
-  apiKey: process.env.AZURE_OPENAI_API_KEY,
-  deployment: process.env.AZURE_OPENAI_DEPLOYMENT,
-  apiVersion: "2023-07-01-preview", // add this line
-});
-
 // 🔹 Fetch content from URL
 async function fetchContent(url) {
   const res = await axios.get(url);
@@ -51,7 +39,7 @@ async function ensureIndexed(urls) {
 }
 
 // 🔹 Search API endpoint
-app.post("/url-search", async (req, res) => {
+router.post("/url-search", async (req, res) => {
   try {
     const { query, urls } = req.body;
 
@@ -81,7 +69,7 @@ Answer:
 
     // 4️⃣ Get response from Azure AI Foundry model
     const completion = await openaiClient.chat.completions.create({
-      model: process.env.AZURE_OPENAI_DEPLOYMENT,
+      model: deployment,
       messages: [
         { role: "system", content: "You are a helpful assistant." },
         { role: "user", content: prompt },
@@ -100,8 +88,4 @@ Answer:
   }
 });
 
-// 🔹 Start server
-const PORT = 3000;
-app.listen(PORT, () => {
-  console.log(`✅ Server listening on port ${PORT}`);
-});
\ No newline at end of file
+export default router;
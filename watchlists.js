@@ -0,0 +1,187 @@
+import express from "express";
+import { ambiguityDetails } from "./lib/entity-resolver.js";
+import {
+  MAX_WATCHLIST_COMPANIES,
+  createWatchlist,
+  deleteWatchlist,
+  getWatchlist,
+  isValidWatchlistName,
+  listWatchlists,
+  resolveWatchlistEntry,
+  updateWatchlist,
+} from "./lib/watchlists.js";
+import { companyDigest, digestFactLines, digestWindow } from "./lib/digest.js";
+import { completeWithFacts } from "./lib/fact-check.js";
+import { ISO_DATE } from "./lib/time-range.js";
+
+const router = express.Router();
+
+const DIGEST_BATCH_SIZE = 4; // companies fetched in parallel for a digest
+
+// ---------------- Helpers ----------------
+
+// 🔹 Resolve entries in order; stops at the first ambiguous one so the caller can ask about it
+async function resolveEntries(entries) {
+  const companies = [];
+  const unresolved = [];
+  for (const entry of entries) {
+    const result = await resolveWatchlistEntry(entry);
+    if (result.ambiguous) return { ambiguous: result };
+    if (result.notFound) unresolved.push(result.input);
+    else if (!companies.some((c) => c.ticker === result.company.ticker)) companies.push(result.company);
+  }
+  return { companies, unresolved };
+}
+
+// 🔹 AI digest over the companies' price moves, filings and headlines
+async function summarizeDigest(watchlist, window, entries, query) {
+  const facts = digestFactLines(entries).join("\n");
+  const prompt = `
+You are a financial analyst AI writing a daily digest for the watchlist "${watchlist.name}"
+covering ${window.from} to ${window.to}.
+
+Start with the 3–5 most notable developments across the list (large price moves, new 8-Ks and
+periodic reports, significant headlines), then one line per company that had news or filings.
+Skip companies with nothing new. Use the team notes to judge what matters to them.
+${query ? `\nThe team asked specifically: ${query}\n` : ""}
+Data:
+${facts}
+`;
+
+  return completeWithFacts({ prompt, facts, query, max_tokens: 800 });
+}
+
+// ---------------- Watchlist CRUD ----------------
+
+router.get("/watchlists", async (req, res) => {
+  try {
+    const watchlists = await listWatchlists();
+    res.json({
+      watchlists: watchlists.map(({ name, description, companies, updatedAt }) => ({
+        name,
+        description,
+        companies: companies.length,
+        updatedAt,
+      })),
+    });
+  } catch (err) {
+    console.error("Error in GET /watchlists:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+// Body: { name, description?, companies: ["AAPL", "Microsoft", { ticker, companyName, cik, notes }] }
+router.post("/watchlists", async (req, res) => {
+  try {
+    const { name, description = "", companies = [] } = req.body || {};
+    if (!isValidWatchlistName(name)) {
+      return res.status(400).json({ error: "name is required: letters, digits, spaces, '.', '_' or '-' (up to 64)." });
+    }
+    if (!Array.isArray(companies)) return res.status(400).json({ error: "companies must be a list." });
+    if (companies.length > MAX_WATCHLIST_COMPANIES) {
+      return res.status(400).json({ error: `A watchlist holds at most ${MAX_WATCHLIST_COMPANIES} companies.` });
+    }
+    if (await getWatchlist(name)) return res.status(409).json({ error: `Watchlist "${name}" already exists.` });
+
+    const { ambiguous, companies: resolved, unresolved } = await resolveEntries(companies);
+    if (ambiguous) return res.status(409).json(ambiguityDetails(ambiguous.resolution, ambiguous.input));
+
+    const watchlist = await createWatchlist({ name, description, companies: resolved });
+    if (!watchlist) return res.status(409).json({ error: `Watchlist "${name}" already exists.` });
+    res.status(201).json({ watchlist, unresolved });
+  } catch (err) {
+    console.error("Error in POST /watchlists:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+router.get("/watchlists/:name", async (req, res) => {
+  try {
+    const watchlist = await getWatchlist(req.params.name);
+    if (!watchlist) return res.status(404).json({ error: `Watchlist "${req.params.name}" not found.` });
+    res.json({ watchlist });
+  } catch (err) {
+    console.error("Error in GET /watchlists/:name:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+// Body: { description?, add?: [company entries], remove?: [tickers or CIKs], notes?: { TICKER: "text" } }
+router.patch("/watchlists/:name", async (req, res) => {
+  try {
+    const { description, add = [], remove = [], notes = {} } = req.body || {};
+    if (!Array.isArray(add) || !Array.isArray(remove) || typeof notes !== "object" || notes === null) {
+      return res.status(400).json({ error: "add and remove must be lists and notes an object." });
+    }
+    const existing = await getWatchlist(req.params.name);
+    if (!existing) return res.status(404).json({ error: `Watchlist "${req.params.name}" not found.` });
+
+    const { ambiguous, companies: added, unresolved } = await resolveEntries(add);
+    if (ambiguous) return res.status(409).json(ambiguityDetails(ambiguous.resolution, ambiguous.input));
+    const removed = remove.map((r) => String(r).toUpperCase());
+    const kept = existing.companies.filter((c) => !removed.includes(c.ticker) && !removed.includes(c.cik));
+    const total = new Set([...kept, ...added].map((c) => c.ticker)).size;
+    if (total > MAX_WATCHLIST_COMPANIES) {
+      return res.status(400).json({ error: `A watchlist holds at most ${MAX_WATCHLIST_COMPANIES} companies.` });
+    }
+
+    const watchlist = await updateWatchlist(req.params.name, { description, add: added, remove, notes });
+    if (!watchlist) return res.status(404).json({ error: `Watchlist "${req.params.name}" not found.` });
+    res.json({ watchlist, unresolved });
+  } catch (err) {
+    console.error("Error in PATCH /watchlists/:name:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+router.delete("/watchlists/:name", async (req, res) => {
+  try {
+    if (!(await deleteWatchlist(req.params.name))) {
+      return res.status(404).json({ error: `Watchlist "${req.params.name}" not found.` });
+    }
+    res.json({ deleted: req.params.name });
+  } catch (err) {
+    console.error("Error in DELETE /watchlists/:name:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+// ---------------- Daily Digest ----------------
+// Price moves, SEC filings and headlines for every company on the list since yesterday
+// (or from / to, YYYY-MM-DD), with an AI digest. Body: { from?, to?, query? }
+router.post("/watchlists/:name/digest", async (req, res) => {
+  try {
+    const { from, to, query } = req.body || {};
+    if ((from && !ISO_DATE.test(from)) || (to && !ISO_DATE.test(to))) {
+      return res.status(400).json({ error: "from and to must be YYYY-MM-DD." });
+    }
+    const watchlist = await getWatchlist(req.params.name);
+    if (!watchlist) return res.status(404).json({ error: `Watchlist "${req.params.name}" not found.` });
+    if (!watchlist.companies.length) return res.status(400).json({ error: `Watchlist "${watchlist.name}" is empty.` });
+
+    const window = digestWindow({ from, to });
+    if (window.from > window.to) return res.status(400).json({ error: "from must not be after to." });
+
+    const companies = [];
+    for (let i = 0; i < watchlist.companies.length; i += DIGEST_BATCH_SIZE) {
+      const batch = watchlist.companies.slice(i, i + DIGEST_BATCH_SIZE);
+      companies.push(...(await Promise.all(batch.map((company) => companyDigest(company, window)))));
+    }
+
+    const { answer, unsupportedNumbers } = await summarizeDigest(watchlist, window, companies, query);
+
+    res.json({
+      watchlist: watchlist.name,
+      from: window.from,
+      to: window.to,
+      answer,
+      companies,
+      unsupportedNumbers,
+    });
+  } catch (err) {
+    console.error("Error in /watchlists/:name/digest:", err.message);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+export default router;